@@ -0,0 +1,212 @@
+#!/usr/bin/env node
+// Runs the app's parse → detect → expand → filter → aggregate pipeline on CSV files from the command line.
+import { readFileSync } from 'node:fs'
+import { basename } from 'node:path'
+import { parseArgs } from 'node:util'
+import { aggregate, applyMapping, expandRows, parseText, resolveMapping, rowMatchesFilters } from '../src/pipeline.js'
+import { EMPTY_SELECTION, FILTER_FIELDS } from '../src/filters.js'
+import { AGGREGATIONS } from '../src/metrics.js'
+import { DATE_GRAINS } from '../src/dates.js'
+import { BUILT_IN_RULES, parseRuleSet } from '../src/detectionRules.js'
+import { groupsToTable, rowsToTable } from '../src/exports.js'
+import { toCsv } from '../src/download.js'
+
+const DIMENSIONS = ['product', 'branch', 'area', 'file', 'date']
+
+const USAGE = `Usage: allocation [options] <file.csv> [more.csv ...]
+
+Reads one or more CSV files the way the app does and prints normalized rows or totals.
+
+Mapping
+  --profile <file.json>   Column mapping to use instead of detection: a saved profile
+                          ({ "name", "mapping" }), a bare mapping, or profiles keyed by header signature
+  --rules <file.json>     Detection rules exported from the app (default: built-in rules)
+  --delimiter <char>      Field delimiter (default: detect)
+  --encoding <name>       utf-8 or windows-1252 (default: detect)
+  --locale <en|eu>        Number format (default: detect)
+  --year <yyyy>           Year of the first date column when headers such as "Oct 14" leave it out
+                          (default: the dates end on or before today)
+
+Filters (repeat a flag for several values)
+  --product, --branch, --area, --file <value>
+  --exclude-product, --exclude-branch, --exclude-area, --exclude-file <value>
+  --from <YYYY-MM-DD>, --to <YYYY-MM-DD>
+
+Grouping
+  --group <${DIMENSIONS.join('|')}>   Print totals per group instead of rows
+  --series <dimension>    Split each group's total by a second dimension
+  --aggregation <${AGGREGATIONS.map((a) => a.value).join('|')}>   (default: sum)
+  --grain <${DATE_GRAINS.map((g) => g.value).join('|')}>   Period for --group date (default: day)
+  --top <n>               Fold groups past the top n into "Other"
+
+Output
+  --format <json|csv>     (default: json)
+  --meta                  Print the detected column mapping of each file instead of data
+  -h, --help              Show this help
+`
+
+function fail(message) {
+  process.stderr.write(`allocation: ${message}\n\n${USAGE}`)
+  process.exit(1)
+}
+
+function readOptions(argv) {
+  const repeat = { type: 'string', multiple: true }
+  const options = {
+    profile: { type: 'string' },
+    rules: { type: 'string' },
+    delimiter: { type: 'string', default: 'auto' },
+    encoding: { type: 'string', default: 'auto' },
+    locale: { type: 'string', default: 'auto' },
+    year: { type: 'string' },
+    from: { type: 'string', default: '' },
+    to: { type: 'string', default: '' },
+    group: { type: 'string' },
+    series: { type: 'string' },
+    aggregation: { type: 'string', default: 'sum' },
+    grain: { type: 'string', default: 'day' },
+    top: { type: 'string', default: '0' },
+    format: { type: 'string', default: 'json' },
+    meta: { type: 'boolean', default: false },
+    help: { type: 'boolean', short: 'h', default: false },
+  }
+  FILTER_FIELDS.forEach((field) => {
+    options[field] = repeat
+    options[`exclude-${field}`] = repeat
+  })
+  try {
+    return parseArgs({ args: argv, options, allowPositionals: true })
+  } catch (err) {
+    return fail(err.message)
+  }
+}
+
+// A profile file holds one saved mapping, a bare mapping, or every saved profile keyed by header signature.
+function readProfile(path) {
+  let json
+  try {
+    json = JSON.parse(readFileSync(path, 'utf8'))
+  } catch (err) {
+    return fail(`could not read the profile ${path}: ${err.message}`)
+  }
+  if (json?.mapping) return { mapping: json.mapping, profiles: {} }
+  if (json && ('productKey' in json || 'metricKey' in json || 'productColumns' in json)) {
+    return { mapping: json, profiles: {} }
+  }
+  return { mapping: null, profiles: json || {} }
+}
+
+function readRules(path) {
+  try {
+    return parseRuleSet(readFileSync(path, 'utf8'))
+  } catch (err) {
+    return fail(`could not read the rules ${path}: ${err.message}`)
+  }
+}
+
+function loadFile(path, parseOptions, profile, ruleSet, dateYear) {
+  let buffer
+  try {
+    buffer = readFileSync(path)
+  } catch (err) {
+    return fail(`could not read ${path}: ${err.message}`)
+  }
+  const parsed = parseText(new Uint8Array(buffer), parseOptions)
+  const name = basename(path)
+  let meta
+  if (profile.mapping) {
+    meta = applyMapping(parsed.headers, parsed.rawHeaders, profile.mapping)
+    if (!meta) fail(`${name} is missing columns named in the profile`)
+    meta = { ...meta, numberLocale: parsed.numberLocale || 'en' }
+  } else {
+    meta = resolveMapping(parsed, profile.profiles, null, [], ruleSet).meta
+  }
+  if (dateYear) meta = { ...meta, dateYear }
+  const rows = expandRows(parsed.rows, meta).map((row) => ({ ...row, file: name }))
+  return { name, meta, rows }
+}
+
+function filtersFrom(values) {
+  const filters = { dateFrom: values.from, dateTo: values.to }
+  FILTER_FIELDS.forEach((field) => {
+    const include = values[field] || []
+    const exclude = values[`exclude-${field}`] || []
+    if (include.length && exclude.length) fail(`use either --${field} or --exclude-${field}, not both`)
+    filters[field] = include.length
+      ? { mode: 'include', values: include }
+      : exclude.length
+        ? { mode: 'exclude', values: exclude }
+        : EMPTY_SELECTION
+  })
+  return filters
+}
+
+function main() {
+  const { values, positionals } = readOptions(process.argv.slice(2))
+  if (values.help) return process.stdout.write(USAGE)
+  if (!positionals.length) fail('no input files')
+  if (!['json', 'csv'].includes(values.format)) fail(`unknown format "${values.format}"`)
+  if (values.group && !DIMENSIONS.includes(values.group)) fail(`unknown group "${values.group}"`)
+  if (values.series && !DIMENSIONS.includes(values.series)) fail(`unknown series "${values.series}"`)
+  if (!AGGREGATIONS.some((a) => a.value === values.aggregation)) fail(`unknown aggregation "${values.aggregation}"`)
+  if (!DATE_GRAINS.some((g) => g.value === values.grain)) fail(`unknown grain "${values.grain}"`)
+  if (values.year && !/^\d{4}$/.test(values.year)) fail(`"${values.year}" is not a year`)
+
+  const profile = values.profile ? readProfile(values.profile) : { mapping: null, profiles: {} }
+  const parseOptions = { delimiter: values.delimiter, encoding: values.encoding, locale: values.locale }
+  const ruleSet = values.rules ? readRules(values.rules) : BUILT_IN_RULES
+  const dateYear = values.year ? Number(values.year) : null
+  const files = positionals.map((path) => loadFile(path, parseOptions, profile, ruleSet, dateYear))
+
+  if (values.meta) {
+    const metas = files.map((file) => ({ file: file.name, ...file.meta }))
+    return process.stdout.write(`${JSON.stringify(metas, null, 2)}\n`)
+  }
+
+  const filters = filtersFrom(values)
+  const rows = files.flatMap((file) => file.rows.filter((row) => rowMatchesFilters(row, filters, file.meta)))
+  const output = values.group ? 'groups' : 'rows'
+
+  if (output === 'groups') {
+    const series = values.series && values.series !== values.group ? values.series : null
+    const groups = aggregate(rows, values.group, series, values.aggregation, {
+      topN: Number(values.top) || 0,
+      grain: values.grain,
+    })
+    if (values.format === 'csv') {
+      return process.stdout.write(`${toCsv(groupsToTable(groups, values.group, values.aggregation))}\n`)
+    }
+    const json = groups.map((entry) => ({
+      label: entry.label,
+      value: entry.value,
+      ...(entry.series ? { series: Object.fromEntries(entry.series) } : {}),
+    }))
+    return process.stdout.write(`${JSON.stringify(json, null, 2)}\n`)
+  }
+
+  if (values.format === 'csv') {
+    const units = new Map(rows.filter((row) => row.uom).map((row) => [row.product, row.uom]))
+    const labels = new Map(files.map((file) => [file.name, file.meta.metricKey || 'Metric']))
+    const sameLabel = new Set(labels.values()).size === 1
+    const table = rowsToTable(rows, {
+      hasBranches: files.some((file) => file.meta.branchKey),
+      hasAreas: files.some((file) => file.meta.areaKey),
+      hasFiles: files.length > 1,
+      hasDates: files.some((file) => file.meta.dateKey || file.meta.dateColumns?.length),
+      metricLabel: sameLabel ? labels.values().next().value : 'Metric',
+      metricColumnOf: sameLabel ? null : (row) => labels.get(row.file),
+      unitOf: (product) => units.get(product) || '',
+    })
+    return process.stdout.write(`${toCsv(table)}\n`)
+  }
+  // Row ids and indexes only point into the app's in-memory tables.
+  const json = rows.map((row) => {
+    const copy = { ...row }
+    delete copy.id
+    delete copy.rowIndex
+    return copy
+  })
+  return process.stdout.write(`${JSON.stringify(json, null, 2)}\n`)
+}
+
+main()
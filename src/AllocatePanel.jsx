@@ -0,0 +1,203 @@
+import { useMemo, useState } from 'react'
+import { allocationKey } from './allocation.js'
+
+function AllocatePanel({ settings, onChange, rows, basisOptions, result, hasBranches }) {
+  const [focusProduct, setFocusProduct] = useState('')
+
+  const products = useMemo(() => Array.from(new Set(rows.map((r) => r.product).filter(Boolean))).sort(), [rows])
+  const branches = useMemo(() => {
+    const byBranch = new Map()
+    rows.forEach((r) => {
+      if (r.branch && !byBranch.has(r.branch)) byBranch.set(r.branch, r.area)
+    })
+    return Array.from(byBranch.entries())
+      .map(([branch, area]) => ({ branch, area }))
+      .sort((a, b) => a.branch.localeCompare(b.branch))
+  }, [rows])
+
+  const activeProduct = products.includes(focusProduct) ? focusProduct : products[0] || ''
+  const productResults = useMemo(
+    () => new Map((result?.products || []).map((p) => [p.product, p])),
+    [result],
+  )
+  const partialPack = productResults.get(activeProduct)?.partialPack
+  const belowMin = new Set(productResults.get(activeProduct)?.belowMin || [])
+
+  const update = (patch) => onChange((prev) => ({ ...prev, ...patch(prev) }))
+  const setSupply = (product, value) => update((prev) => ({ supply: { ...prev.supply, [product]: value } }))
+  const setBound = (branch, field, value) =>
+    update((prev) => ({
+      bounds: { ...prev.bounds, [branch]: { ...prev.bounds[branch], [field]: value } },
+    }))
+  const setLock = (branch, value) =>
+    update((prev) => ({
+      locks: { ...prev.locks, [activeProduct]: { ...prev.locks[activeProduct], [branch]: value } },
+    }))
+
+  return (
+    <section className="card">
+      <div className="panel-head">
+        <h3>Allocate</h3>
+        <label className="toggle">
+          <input
+            type="checkbox"
+            checked={settings.enabled}
+            onChange={(e) => update(() => ({ enabled: e.target.checked }))}
+          />{' '}
+          Allocate mode
+        </label>
+      </div>
+      {!settings.enabled ? (
+        <div className="preview-empty">
+          Enter the available supply per product and split it across the filtered branches.
+        </div>
+      ) : !hasBranches ? (
+        <div className="preview-empty">Map a branch column to allocate supply across branches.</div>
+      ) : (
+        <>
+          <div className="filters-grid">
+            <div>
+              <label htmlFor="allocBasis">Split by</label>
+              <select
+                id="allocBasis"
+                value={settings.basis}
+                onChange={(e) => update(() => ({ basis: e.target.value }))}
+              >
+                <option value="__metric">Current values</option>
+                {basisOptions.map((opt) => (
+                  <option key={opt} value={opt}>
+                    {opt}
+                  </option>
+                ))}
+              </select>
+            </div>
+            <div>
+              <label htmlFor="allocPack">Pack size</label>
+              <input
+                id="allocPack"
+                type="number"
+                min="0"
+                step="any"
+                value={settings.packSize}
+                onChange={(e) => update(() => ({ packSize: e.target.value }))}
+              />
+            </div>
+          </div>
+
+          <div className="preview-table">
+            <table>
+              <thead>
+                <tr>
+                  <th>Product</th>
+                  <th>Supply</th>
+                  <th>Allocated</th>
+                  <th>Unallocated</th>
+                  <th>Over-allocated</th>
+                </tr>
+              </thead>
+              <tbody>
+                {products.map((product) => {
+                  const outcome = productResults.get(product)
+                  return (
+                    <tr key={product}>
+                      <td>{product}</td>
+                      <td>
+                        <input
+                          type="number"
+                          min="0"
+                          step="any"
+                          value={settings.supply[product] ?? ''}
+                          onChange={(e) => setSupply(product, e.target.value)}
+                          aria-label={`Supply for ${product}`}
+                        />
+                      </td>
+                      <td>{outcome ? outcome.allocated.toLocaleString() : '—'}</td>
+                      <td>{outcome ? outcome.unallocated.toLocaleString() : '—'}</td>
+                      <td className={outcome?.overAllocated ? 'summary-warning' : ''}>
+                        {outcome ? outcome.overAllocated.toLocaleString() : '—'}
+                        {outcome?.overAllocated > 0 && ' (locks exceed supply)'}
+                      </td>
+                    </tr>
+                  )
+                })}
+              </tbody>
+            </table>
+          </div>
+
+          <div className="panel-head allocate-branches">
+            <h3>Branch limits</h3>
+            <div>
+              <label htmlFor="allocFocus">Locks for product</label>
+              <select id="allocFocus" value={activeProduct} onChange={(e) => setFocusProduct(e.target.value)}>
+                {products.map((product) => (
+                  <option key={product} value={product}>
+                    {product}
+                  </option>
+                ))}
+              </select>
+            </div>
+          </div>
+          <div className="preview-table">
+            <table>
+              <thead>
+                <tr>
+                  <th>Branch</th>
+                  <th>Area</th>
+                  <th>Min</th>
+                  <th>Max</th>
+                  <th>Lock</th>
+                  <th>Allocated</th>
+                </tr>
+              </thead>
+              <tbody>
+                {branches.map(({ branch, area }) => (
+                  <tr key={branch}>
+                    <td>{branch}</td>
+                    <td>{area || '—'}</td>
+                    <td>
+                      <input
+                        type="number"
+                        min="0"
+                        step="any"
+                        value={settings.bounds[branch]?.min ?? ''}
+                        onChange={(e) => setBound(branch, 'min', e.target.value)}
+                        aria-label={`Minimum for ${branch}`}
+                      />
+                    </td>
+                    <td>
+                      <input
+                        type="number"
+                        min="0"
+                        step="any"
+                        value={settings.bounds[branch]?.max ?? ''}
+                        onChange={(e) => setBound(branch, 'max', e.target.value)}
+                        aria-label={`Maximum for ${branch}`}
+                      />
+                    </td>
+                    <td>
+                      <input
+                        type="number"
+                        min="0"
+                        step="any"
+                        value={settings.locks[activeProduct]?.[branch] ?? ''}
+                        onChange={(e) => setLock(branch, e.target.value)}
+                        aria-label={`Locked quantity for ${branch}`}
+                      />
+                    </td>
+                    <td>
+                      {result?.byKey.get(allocationKey(activeProduct, branch))?.toLocaleString() ?? '—'}
+                      {branch === partialPack && <span className="summary-warning"> (not a whole pack)</span>}
+                      {belowMin.has(branch) && <span className="summary-warning"> (below min)</span>}
+                    </td>
+                  </tr>
+                ))}
+              </tbody>
+            </table>
+          </div>
+        </>
+      )}
+    </section>
+  )
+}
+
+export default AllocatePanel
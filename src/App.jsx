@@ -1,8 +1,119 @@
-import { useEffect, useMemo, useRef, useState } from 'react'
+import { useEffect, useEffectEvent, useMemo, useRef, useState } from 'react'
 import Chart from 'chart.js/auto'
+import {
+  CHART_TYPES,
+  buildChartModel,
+  isCircular,
+  legendLabels,
+  pickColor,
+  tooltipLabel,
+  withTargets,
+} from './chartConfig.js'
+import MappingWizard from './MappingWizard.jsx'
+import AllocatePanel from './AllocatePanel.jsx'
+import ForecastPanel from './ForecastPanel.jsx'
+import TargetsPanel from './TargetsPanel.jsx'
+import ScenariosPanel from './ScenariosPanel.jsx'
+import TransfersPanel from './TransfersPanel.jsx'
+import ExportPanel from './ExportPanel.jsx'
+import DetectionRulesPanel from './DetectionRulesPanel.jsx'
+import ComparePanel from './ComparePanel.jsx'
+import DataGrid from './DataGrid.jsx'
+import PivotPanel from './PivotPanel.jsx'
+import MetricControls from './MetricControls.jsx'
+import {
+  PRIMARY_METRIC,
+  addToStats,
+  applyMetric,
+  createStats,
+  defaultMetricSettings,
+  formulaNames,
+  metricOptions,
+  statValue,
+} from './metrics.js'
+import { allocationKey, defaultAllocation, runAllocation } from './allocation.js'
+import { defaultForecast, preferredHistory, runForecast } from './forecast.js'
+import { defaultTargets, pairTargets, preferredTarget } from './attainment.js'
+import { applyScenario, defaultScenarios } from './scenarios.js'
+import { defaultTransfers, suggestTransfers } from './transfers.js'
+import { buildSlips, chartImage, groupsToTable, rowsToTable } from './exports.js'
+import { downloadFile, downloadTable } from './download.js'
+import { DELIMITERS, ENCODINGS, defaultParseOptions, parseCsv } from './csv.js'
+import { BUILT_IN_ID, BUILT_IN_RULES, ruleSetById } from './detectionRules.js'
+import {
+  aggregate,
+  applyMapping,
+  detectColumns,
+  expandRows,
+  headerSignature,
+  mappingFromMeta,
+  parseText,
+  resolveMapping,
+  rowMatchesFilters,
+} from './pipeline.js'
+import { NUMBER_LOCALES, looksNumeric, parseNumber } from './numbers.js'
+import QualityPanel from './QualityPanel.jsx'
+import WorkbookPicker from './WorkbookPicker.jsx'
+import { isWorkbookFile, readWorkbook, sheetToTable, suggestHeaderRow } from './workbook.js'
+import { buildQualityReport } from './quality.js'
+import UnitsPanel from './UnitsPanel.jsx'
+import FilesPanel from './FilesPanel.jsx'
+import {
+  addFileToSource,
+  expandFile,
+  expandSource,
+  mergedMeta,
+  removeFileFromSource,
+  replaceFileMeta,
+  withFiles,
+} from './merge.js'
+import LibraryPanel from './LibraryPanel.jsx'
+import {
+  createDatasetId,
+  deleteDataset,
+  duplicateDataset,
+  isQuotaError,
+  listDatasets,
+  loadDataset,
+  migrateLegacySession,
+  renameDataset,
+  saveDataset,
+  saveDatasetView,
+  storageEstimate,
+} from './library.js'
+import { decodeView, encodeView, missingFilterValues, writeHash } from './urlState.js'
+import { breadcrumbs, canDrill, drillDown } from './drilldown.js'
+import { DATE_GRAINS, dateBounds } from './dates.js'
+import MultiSelectFilter from './MultiSelectFilter.jsx'
+import {
+  EMPTY_SELECTION,
+  FILTER_FIELDS,
+  OTHER_LABEL,
+  TOP_N_CHOICES,
+  describeSelection,
+  isActive,
+  matchesSelection,
+  normalizeFilters,
+  singleValue,
+  withoutValues,
+} from './filters.js'
+import {
+  NATIVE_UNIT,
+  UNITS,
+  convertRows,
+  defaultUnitSettings,
+  distinctUnits,
+  productUnits,
+  unitLabel,
+} from './units.js'
 import './App.css'
 
-const STORAGE_KEY = 'allocationData_v2'
+const CURRENT_KEY = 'allocationCurrentDataset_v1'
+const PROFILES_KEY = 'allocationMappings_v1'
+const RULES_KEY = 'allocationDetectionRules_v1'
+const HISTORY_LIMIT = 50
+const SAVE_DELAY = 400
+const UPLOAD_ACCEPT = '.csv,.tsv,.txt,.xlsx,.xlsm,.xls,.ods,text/csv,text/tab-separated-values'
 
 const defaultMeta = {
   headers: [],
@@ -11,81 +122,198 @@ const defaultMeta = {
   areaKey: null,
   itemKey: null,
   metricKey: null,
+  metricKeys: [],
+  uomKey: null,
+  conversionKey: null,
+  caseKey: null,
+  dateKey: null,
+  dateColumns: [],
+  dateYear: null,
   productColumns: [],
   syntheticProduct: false,
   syntheticProductLabel: 'All Products',
   rawHeaders: [],
 }
 
+const emptyQueue = { drafts: [], replace: false, keep: false }
+
+const defaultFilters = {
+  product: EMPTY_SELECTION,
+  branch: EMPTY_SELECTION,
+  area: EMPTY_SELECTION,
+  file: EMPTY_SELECTION,
+  dateFrom: '',
+  dateTo: '',
+  dateGrain: 'day',
+  group: 'product',
+  topN: 0,
+  series: 'none',
+  chartType: 'bar',
+  stacked: true,
+  percent: false,
+}
+
 function App() {
   const [dataRows, setDataRows] = useState([])
   const [meta, setMeta] = useState(defaultMeta)
-  const [filters, setFilters] = useState({
-    product: '__all',
-    branch: '__all',
-    area: '__all',
-    group: 'product',
-  })
+  const [filters, setFilters] = useState(defaultFilters)
+  const [source, setSource] = useState(null)
+  const [mappingQueue, setMappingQueue] = useState(emptyQueue)
+  const [profiles, setProfiles] = useState(loadProfiles)
+  const [ruleSets, setRuleSets] = useState(loadRuleSets)
+  const [detectionRules, setDetectionRules] = useState(BUILT_IN_ID)
+  const [allocation, setAllocation] = useState(defaultAllocation)
+  const [forecast, setForecast] = useState(defaultForecast)
+  const [targets, setTargets] = useState(defaultTargets)
+  const [scenarios, setScenarios] = useState(defaultScenarios)
+  const [transfers, setTransfers] = useState(defaultTransfers)
+  const [baseline, setBaseline] = useState(null)
+  const [history, setHistory] = useState({ past: [], future: [] })
+  const [metricSettings, setMetricSettings] = useState(defaultMetricSettings)
+  const [unitSettings, setUnitSettings] = useState(defaultUnitSettings)
+  const [gridFocus, setGridFocus] = useState(null)
+  const [parseOptions, setParseOptions] = useState(defaultParseOptions)
+  const [workbookDraft, setWorkbookDraft] = useState(null)
   const [chartEmpty, setChartEmpty] = useState(false)
+  const [dropActive, setDropActive] = useState(false)
+  const [dataset, setDataset] = useState(null)
+  const [library, setLibrary] = useState([])
+  const [storageUsage, setStorageUsage] = useState(null)
+  const [viewReady, setViewReady] = useState(false)
   const [status, setStatus] = useState({
     message: 'Waiting for a CSV file.',
     isError: false,
   })
 
   const fileInputRef = useRef(null)
+  const lastFileRef = useRef(null)
   const chartCanvasRef = useRef(null)
   const chartInstanceRef = useRef(null)
+  const skipSaveRef = useRef(false)
+  const savedDataRef = useRef(null)
+
+  const setStatusState = (message, isError = false) => setStatus({ message, isError })
+
+  // Every change to the open dataset is written back to the library after a short pause. The rows are only
+  // rewritten when they, the mapping, the source or the baseline changed; other settings are saved on their own.
+  useEffect(() => {
+    if (!dataset || !dataRows.length) return
+    const data = { id: dataset.id, rows: dataRows, meta, source, baseline }
+    if (skipSaveRef.current) {
+      skipSaveRef.current = false
+      savedDataRef.current = data
+      return
+    }
+    const view = {
+      filters,
+      allocation,
+      forecast,
+      targets,
+      scenarios,
+      transfers,
+      detectionRules,
+      metrics: metricSettings,
+      units: unitSettings,
+    }
+    const saved = savedDataRef.current
+    const dataChanged = !saved || Object.keys(data).some((key) => saved[key] !== data[key])
+    const timer = setTimeout(() => {
+      savedDataRef.current = data
+      const save = dataChanged
+        ? saveDataset(dataset.id, dataset.name, { rows: dataRows, meta, source, baseline, ...view }, dataset.createdAt)
+        : saveDatasetView(dataset.id, dataset.name, view)
+      save
+        .then((summary) => {
+          if (summary) setLibrary((prev) => upsertSummary(prev, summary))
+          if (dataChanged) storageEstimate().then(setStorageUsage)
+        })
+        .catch((err) => {
+          console.warn('Unable to save the dataset', err)
+          savedDataRef.current = null
+          setStatus({
+            message: isQuotaError(err)
+              ? `Not enough browser storage to save "${dataset.name}". Delete older datasets to free space.`
+              : `Could not save "${dataset.name}": ${err.message || err}`,
+            isError: true,
+          })
+        })
+    }, SAVE_DELAY)
+    return () => clearTimeout(timer)
+  }, [
+    allocation,
+    baseline,
+    dataRows,
+    dataset,
+    detectionRules,
+    filters,
+    forecast,
+    meta,
+    metricSettings,
+    scenarios,
+    source,
+    targets,
+    transfers,
+    unitSettings,
+  ])
 
   useEffect(() => {
     try {
-      const saved = localStorage.getItem(STORAGE_KEY)
-      if (!saved) return
-      const parsed = JSON.parse(saved)
-      if (!parsed.rows || !parsed.rows.length) return
-      setDataRows(parsed.rows)
-      setMeta(parsed.meta || defaultMeta)
-      setFilters(parsed.filters || filters)
-      setStatus({
-        message: `Restored ${parsed.rows.length} rows from last session.`,
-        isError: false,
-      })
+      localStorage.setItem(PROFILES_KEY, JSON.stringify(profiles))
     } catch (err) {
-      console.warn('Could not restore saved data', err)
+      console.warn('Unable to persist mapping profiles', err)
     }
-  }, [])
+  }, [profiles])
 
   useEffect(() => {
-    if (!dataRows.length) {
-      localStorage.removeItem(STORAGE_KEY)
-      return
-    }
     try {
-      localStorage.setItem(STORAGE_KEY, JSON.stringify({ rows: dataRows, meta, filters }))
+      localStorage.setItem(RULES_KEY, JSON.stringify(ruleSets))
     } catch (err) {
-      console.warn('Unable to persist data', err)
+      console.warn('Unable to persist detection rules', err)
     }
-  }, [dataRows, meta, filters])
+  }, [ruleSets])
+
+  // Files are detected with the rule set chosen for the dataset; the built-in one when it was deleted.
+  const activeRuleSet = ruleSetById(ruleSets, detectionRules)
 
   const productOptions = useMemo(() => uniqueValues(dataRows, 'product'), [dataRows])
   const areaOptions = useMemo(
     () => (meta.areaKey ? uniqueValues(dataRows, 'area') : []),
     [dataRows, meta.areaKey],
   )
+  const allBranches = useMemo(() => (meta.branchKey ? uniqueValues(dataRows, 'branch') : []), [dataRows, meta.branchKey])
   const branchOptions = useMemo(() => {
     if (!meta.branchKey) return []
-    const scopedRows =
-      filters.area === '__all' || !meta.areaKey
-        ? dataRows
-        : dataRows.filter((r) => r.area === filters.area)
-    return uniqueValues(scopedRows, 'branch')
-  }, [dataRows, filters.area, meta.areaKey, meta.branchKey])
+    return uniqueValues(branchScope(dataRows, filters.area, meta), 'branch')
+  }, [dataRows, filters.area, meta])
+
+  // Branch choices grouped by area for the "all in area" shortcuts.
+  const branchGroups = useMemo(() => {
+    if (!meta.branchKey || !meta.areaKey) return null
+    const areas = new Map()
+    branchScope(dataRows, filters.area, meta).forEach((r) => {
+      if (!r.branch) return
+      const area = r.area || 'Unspecified'
+      if (!areas.has(area)) areas.set(area, new Set())
+      areas.get(area).add(r.branch)
+    })
+    return Array.from(areas.entries())
+      .sort((a, b) => a[0].localeCompare(b[0]))
+      .map(([label, branches]) => ({ label, values: Array.from(branches).sort() }))
+  }, [dataRows, filters.area, meta])
+
+  const fileOptions = useMemo(() => (source?.files?.length > 1 ? source.files.map((file) => file.name) : []), [source])
+
+  const hasDates = Boolean(meta.dateKey || meta.dateColumns?.length)
+  const dataDates = useMemo(() => (hasDates ? dateBounds(dataRows) : { min: '', max: '' }), [dataRows, hasDates])
 
   const groupOptions = useMemo(() => {
     const opts = [{ value: 'product', label: 'Product' }]
     if (meta.branchKey) opts.push({ value: 'branch', label: 'Branch' })
     if (meta.areaKey) opts.push({ value: 'area', label: 'Area' })
+    if (fileOptions.length) opts.push({ value: 'file', label: 'File' })
+    if (hasDates) opts.push({ value: 'date', label: 'Date' })
     return opts
-  }, [meta.areaKey, meta.branchKey])
+  }, [fileOptions.length, hasDates, meta.areaKey, meta.branchKey])
 
   useEffect(() => {
     if (!groupOptions.find((opt) => opt.value === filters.group)) {
@@ -94,35 +322,194 @@ function App() {
     }
   }, [filters.group, groupOptions])
 
-  const filteredRows = useMemo(() => {
-    return dataRows.filter((row) => {
-      const productOk = filters.product === '__all' || row.product === filters.product
-      const branchOk = !meta.branchKey || filters.branch === '__all' || row.branch === filters.branch
-      const areaOk = !meta.areaKey || filters.area === '__all' || row.area === filters.area
-      return productOk && branchOk && areaOk
-    })
-  }, [dataRows, filters.area, filters.branch, filters.product, meta.areaKey, meta.branchKey])
+  const metricChoices = useMemo(() => metricOptions(meta, metricSettings.derived), [meta, metricSettings.derived])
+  const activeMetric = metricChoices.find((opt) => opt.id === metricSettings.active) || metricChoices[0]
+  const aggregation = metricSettings.aggregations[activeMetric.id] || 'sum'
+
+  // Calculated metrics are ratios of whatever units the file holds, so only plain quantities get converted.
+  const displayUnit = activeMetric.kind === 'derived' ? NATIVE_UNIT : unitSettings.display
+  const unitConfig = useMemo(() => ({ ...unitSettings, display: displayUnit }), [displayUnit, unitSettings])
 
+  const unitConversion = useMemo(() => {
+    const rows = applyMetric(dataRows.filter((row) => rowMatchesFilters(row, filters, meta)), activeMetric, meta)
+    return convertRows(rows, unitConfig)
+  }, [activeMetric, dataRows, filters, meta, unitConfig])
+  // The active scenario adjusts the rows in view, so the chart, totals and allocation all follow it.
+  const baseRows = unitConversion.rows
+  const activeScenario = scenarios.list.find((scenario) => scenario.id === scenarios.active) || null
+  const filteredRows = useMemo(() => applyScenario(baseRows, activeScenario), [activeScenario, baseRows])
+
+  const filteredBaselineRows = useMemo(() => {
+    if (!baseline) return null
+    const rows = baseline.rows.filter((row) => rowMatchesFilters(row, filters, baseline.meta))
+    return convertRows(applyMetric(rows, activeMetric, baseline.meta), unitConfig).rows
+  }, [activeMetric, baseline, filters, unitConfig])
+
+  const unitProducts = useMemo(() => productUnits(dataRows, unitSettings), [dataRows, unitSettings])
+  const mixedUnits = useMemo(
+    () => displayUnit === NATIVE_UNIT && distinctUnits(filteredRows, unitSettings).length > 1,
+    [displayUnit, filteredRows, unitSettings],
+  )
+
+  const qualityIssues = useMemo(
+    () => (dataRows.length ? buildQualityReport(source, meta, dataRows) : []),
+    [dataRows, meta, source],
+  )
+
+  const editedCount = useMemo(() => dataRows.filter((r) => r.original).length, [dataRows])
+
+  // A single branch has nothing to compare across branches, so it is split by product instead; a trend stays a trend.
   const groupDimension =
-    meta.branchKey && filters.branch !== '__all' ? 'product' : filters.group || 'product'
+    meta.branchKey && singleValue(filters.branch) && filters.group !== 'date' ? 'product' : filters.group || 'product'
+  const crumbs = useMemo(() => breadcrumbs(filters, meta), [filters, meta])
+  const drillParent = crumbs.length > 1 ? crumbs[crumbs.length - 1].label : null
+
+  const basisOptions = useMemo(() => {
+    if (!source) return []
+    const productColumns = new Set(meta.productColumns || [])
+    return source.headers.filter(
+      (h) => !productColumns.has(h) && source.rows.some((r) => looksNumeric(r[h], meta.numberLocale)),
+    )
+  }, [meta.numberLocale, meta.productColumns, source])
+
+  const allocationResult = useMemo(() => {
+    if (!allocation.enabled || !meta.branchKey) return null
+    // Each file keeps its own number format, so the basis column is read with the locale of the row's file.
+    const locales = new Map((source?.files || []).map((file) => [file.name, file.meta.numberLocale]))
+    const basisOf = (row) => {
+      if (allocation.basis === '__metric' || !source) return row.metric
+      const sourceRow = source.rows[row.rowIndex]
+      return sourceRow ? parseNumber(sourceRow[allocation.basis], locales.get(row.file) || meta.numberLocale) : 0
+    }
+    return runAllocation(filteredRows, allocation, basisOf)
+  }, [allocation, filteredRows, meta.branchKey, meta.numberLocale, source])
+
+  // Without a choice, the history is the "daily sales" or "average" column when the file has one.
+  const historyOptions = meta.metricKeys || []
+  const forecastBasis =
+    forecast.basis === '__metric' || historyOptions.includes(forecast.basis)
+      ? forecast.basis
+      : preferredHistory(historyOptions)
+  const forecastResult = useMemo(() => {
+    if (!forecast.enabled || !hasDates) return null
+    const valueOf = (row) => (forecastBasis === '__metric' ? row.metric : (row.values?.[forecastBasis] ?? 0))
+    return runForecast(filteredRows, forecast, valueOf)
+  }, [filteredRows, forecast, forecastBasis, hasDates])
+
+  // Transfers compare what each branch holds with a sales column; the forecast's history column is the default.
+  // The quantity being moved cannot be its own sales basis, so the metric column is never offered.
+  const salesOptions = (meta.metricKeys || []).filter((col) => col !== meta.metricKey)
+  const salesColumn = salesOptions.includes(transfers.sales)
+    ? transfers.sales
+    : [preferredHistory(salesOptions)].find((col) => col !== '__metric') || salesOptions[0] || ''
+  const transferResult = useMemo(() => {
+    if (!transfers.enabled || !meta.branchKey || !salesColumn) return null
+    return suggestTransfers(filteredRows, transfers, (row) => row.values?.[salesColumn] ?? 0)
+  }, [filteredRows, meta.branchKey, salesColumn, transfers])
 
   const summary = useMemo(() => {
-    const total = filteredRows.reduce((sum, r) => sum + r.metric, 0)
-    return { rows: filteredRows.length, total }
-  }, [filteredRows])
+    const total = statValue(
+      filteredRows.reduce((stats, r) => addToStats(stats, r.metric), createStats()),
+      aggregation,
+    )
+    const allocated = allocationResult ? allocationResult.rows.reduce((sum, r) => sum + r.metric, 0) : null
+    return { rows: filteredRows.length, total, allocated }
+  }, [aggregation, allocationResult, filteredRows])
+
+  const seriesDimension =
+    filters.series !== 'none' && filters.series !== groupDimension && groupOptions.some((o) => o.value === filters.series)
+      ? filters.series
+      : null
+
+  // Targets are paired per chart group. In wide layouts every expanded row repeats its source row's target,
+  // so it is only counted on the first of them.
+  const targetColumn = historyOptions.includes(targets.target) ? targets.target : preferredTarget(historyOptions)
+  const actualColumn = historyOptions.includes(targets.actual) ? targets.actual : '__metric'
+  const attainment = useMemo(() => {
+    if (!targets.enabled || !targetColumn) return null
+    const wide = Boolean(meta.productColumns?.length || meta.dateColumns?.length)
+    const counted = new Set()
+    const actualRows = filteredRows.map((row) => ({
+      ...row,
+      metric: actualColumn === '__metric' ? row.metric : (row.values?.[actualColumn] ?? 0),
+    }))
+    const targetRows = filteredRows.map((row) => {
+      const sourceKey = `${row.file}\u0000${row.rowIndex}`
+      const first = !wide || !counted.has(sourceKey)
+      counted.add(sourceKey)
+      return { ...row, metric: first ? (row.values?.[targetColumn] ?? 0) : 0 }
+    })
+    const options = { topN: filters.topN, grain: filters.dateGrain }
+    const actuals = aggregate(actualRows, groupDimension, null, 'sum', options)
+    const keep = actuals.map((entry) => entry.label)
+    return pairTargets(actuals, aggregate(targetRows, groupDimension, null, 'sum', { ...options, keep }), targets.threshold)
+  }, [
+    actualColumn,
+    filteredRows,
+    filters.dateGrain,
+    filters.topN,
+    groupDimension,
+    meta.dateColumns,
+    meta.productColumns,
+    targetColumn,
+    targets.enabled,
+    targets.threshold,
+  ])
+
+  const scenarioComparison = useMemo(() => {
+    if (!scenarios.list.length) return null
+    const options = { topN: filters.topN, grain: filters.dateGrain }
+    const base = aggregate(baseRows, groupDimension, null, aggregation, options)
+    const keep = base.map((entry) => entry.label)
+    const totalOf = (rows) =>
+      statValue(
+        rows.reduce((stats, r) => addToStats(stats, r.metric), createStats()),
+        aggregation,
+      )
+    const values = (aggregated) => new Map(aggregated.map((entry) => [entry.label, entry.value]))
+    return {
+      labels: keep,
+      base: { values: values(base), total: totalOf(baseRows) },
+      columns: scenarios.list.map((scenario) => {
+        const rows = applyScenario(baseRows, scenario)
+        return {
+          id: scenario.id,
+          name: scenario.name,
+          values: values(aggregate(rows, groupDimension, null, aggregation, { ...options, keep })),
+          total: totalOf(rows),
+        }
+      }),
+    }
+  }, [aggregation, baseRows, filters.dateGrain, filters.topN, groupDimension, scenarios.list])
+
+  const drillTarget = useEffectEvent((label) => drillDown(groupDimension, label, meta, dataRows))
 
   useEffect(() => {
     const ctx = chartCanvasRef.current?.getContext('2d')
     if (!ctx) return
-    const aggregated = aggregate(filteredRows, groupDimension)
+    const chartType = CHART_TYPES.some((t) => t.value === filters.chartType) ? filters.chartType : 'bar'
+    const targetChart =
+      Boolean(attainment) && !seriesDimension && !filters.percent && (chartType === 'bar' || chartType === 'horizontal')
+    const aggregated = targetChart
+      ? attainment.groups.map((g) => ({ label: g.label, value: g.actual }))
+      : aggregate(filteredRows, groupDimension, seriesDimension, aggregation, {
+          topN: filters.topN,
+          grain: filters.dateGrain,
+        })
+    const circular = isCircular(chartType)
+    const type = chartType === 'horizontal' ? 'bar' : chartType
+    if (chartInstanceRef.current && chartInstanceRef.current.config.type !== type) {
+      chartInstanceRef.current.destroy()
+      chartInstanceRef.current = null
+    }
+
     if (!aggregated.length) {
       setChartEmpty(true)
       if (chartInstanceRef.current) {
         const chart = chartInstanceRef.current
         chart.data.labels = ['No data']
-        chart.data.datasets[0].label = 'No data'
-        chart.data.datasets[0].data = [0]
-        chart.data.datasets[0].backgroundColor = [pickColor(0)]
+        chart.data.datasets = [{ label: 'No data', data: [0], backgroundColor: [pickColor(0)], borderRadius: 6 }]
+        chart.options.plugins.legend.display = false
         chart.update()
       }
       return
@@ -130,207 +517,1051 @@ function App() {
 
     setChartEmpty(false)
 
-    const labels = aggregated.map((d) => d.label)
-    const values = aggregated.map((d) => d.value)
-    const colors = aggregated.map((_, idx) => pickColor(idx))
+    const keep = aggregated.map((entry) => entry.label)
+    const extraSeries = []
+    if (activeScenario && !seriesDimension) {
+      extraSeries.push({
+        label: 'Base',
+        aggregated: aggregate(baseRows, groupDimension, null, aggregation, { keep, grain: filters.dateGrain }),
+      })
+    }
+    if (allocationResult && !seriesDimension) {
+      extraSeries.push({
+        label: 'Allocated',
+        aggregated: aggregate(allocationResult.rows, groupDimension, null, 'sum', { keep, grain: filters.dateGrain }),
+      })
+    }
+    const model = buildChartModel(
+      aggregated,
+      { dimension: groupDimension, series: seriesDimension, percent: filters.percent, chartType, parent: drillParent },
+      extraSeries,
+    )
+    if (activeScenario && !seriesDimension && !circular) model.datasets[0].label = activeScenario.name
+    const { labels, datasets } = targetChart
+      ? withTargets(model, attainment.groups, { view: targets.view, horizontal: chartType === 'horizontal' })
+      : model
+    const stacked = Boolean(seriesDimension && filters.stacked)
+    const valueAxis = {
+      beginAtZero: true,
+      stacked,
+      max: filters.percent && stacked ? 100 : undefined,
+      grid: { color: 'rgba(0,0,0,0.04)' },
+      ticks: filters.percent ? { callback: (value) => `${value}%` } : {},
+    }
+    const categoryAxis = { stacked, grid: { color: 'rgba(0,0,0,0.04)' } }
+    const horizontal = chartType === 'horizontal'
+    const clickedLabel = (elements) => (elements.length ? labels[elements[0].index] : null)
+    const options = {
+      indexAxis: horizontal ? 'y' : 'x',
+      onHover: (event, elements) => {
+        event.native.target.style.cursor = drillTarget(clickedLabel(elements)) ? 'pointer' : ''
+      },
+      onClick: (event, elements) => {
+        const change = drillTarget(clickedLabel(elements))
+        if (change) setFilters((prev) => ({ ...prev, ...change }))
+      },
+      animation: { duration: 550, easing: 'easeOutQuart' },
+      transitions: {
+        active: { animation: { duration: 350 } },
+        resize: { animation: { duration: 150 } },
+      },
+      plugins: {
+        legend: {
+          display: circular || datasets.length > 1,
+          position: circular ? 'right' : 'top',
+          labels: { generateLabels: legendLabels },
+        },
+        tooltip: { callbacks: { label: tooltipLabel } },
+      },
+      scales: circular
+        ? {}
+        : horizontal
+          ? { x: valueAxis, y: categoryAxis }
+          : { x: categoryAxis, y: valueAxis },
+    }
 
     if (chartInstanceRef.current) {
       const chart = chartInstanceRef.current
       chart.data.labels = labels
-      chart.data.datasets[0].label = `Total by ${groupDimension}`
-      chart.data.datasets[0].data = values
-      chart.data.datasets[0].backgroundColor = colors
+      chart.data.datasets = datasets
+      chart.options = options
       chart.update()
       return
     }
 
     chartInstanceRef.current = new Chart(ctx, {
-      type: 'bar',
+      type,
       data: {
         labels,
-        datasets: [
-          {
-            label: `Total by ${groupDimension}`,
-            data: values,
-            backgroundColor: colors,
-            borderRadius: 6,
-          },
-        ],
-      },
-      options: {
-        animation: { duration: 550, easing: 'easeOutQuart' },
-        transitions: {
-          active: { animation: { duration: 350 } },
-          resize: { animation: { duration: 150 } },
-        },
-        plugins: {
-          legend: { display: false },
-          tooltip: { callbacks: { label: (ctx) => `${ctx.formattedValue}` } },
-        },
-        scales: {
-          x: { grid: { color: 'rgba(0,0,0,0.04)' } },
-          y: { beginAtZero: true, grid: { color: 'rgba(0,0,0,0.04)' } },
-        },
+        datasets,
       },
+      options,
     })
 
-  }, [filteredRows, groupDimension])
+  }, [
+    activeScenario,
+    aggregation,
+    allocationResult,
+    attainment,
+    baseRows,
+    drillParent,
+    filteredRows,
+    filters.chartType,
+    filters.dateGrain,
+    filters.percent,
+    filters.stacked,
+    filters.topN,
+    groupDimension,
+    seriesDimension,
+    targets.view,
+  ])
 
-  const handleFileChange = (event) => {
-    const file = event.target.files?.[0]
-    if (!file) return
-    const reader = new FileReader()
-    reader.onload = (e) => {
-      try {
-        const text = e.target?.result
-        const parsed = parseCsv(String(text || ''))
-        if (!parsed.rows.length) {
-          return setStatusState('Could not find data rows in this file.', true)
-        }
-        const detected = detectColumns(parsed.headers, parsed.rows, parsed.rawHeaders)
-        if (!detected.metricKey && !detected.productColumns.length) {
-          return setStatusState('Missing required columns. Need at least one numeric column.', true)
+  // Files are read together, then parsed and mapped in one pass so each file sees the ones before it.
+  const readFiles = (files, { replace, options = parseOptions, currentMeta = null }) => {
+    Promise.all(files.map(readBuffer))
+      .then((buffers) => {
+        if (files.length === 1 && isWorkbookFile(files[0])) {
+          return readWorkbook(buffers[0]).then((sheets) => {
+            if (!sheets.some((sheet) => sheet.cells.length)) {
+              return setStatusState('Could not find any data in this workbook.', true)
+            }
+            if (replace) setMappingQueue(emptyQueue)
+            setWorkbookDraft({ sheets, fileName: files[0].name, currentMeta, replace })
+            return setStatusState('Pick the sheet and header row to import.')
+          })
         }
-        const expandedRows = expandRows(parsed.rows, detected)
-        const defaultGroup = detected.branchKey ? 'branch' : detected.areaKey ? 'area' : 'product'
-        setDataRows(expandedRows)
-        setMeta(detected)
-        setFilters({
-          product: '__all',
-          branch: '__all',
-          area: '__all',
-          group: defaultGroup,
+        // Several workbooks at once skip the picker: first sheet with data, suggested header row.
+        return Promise.all(
+          files.map((file, idx) =>
+            isWorkbookFile(file)
+              ? readWorkbook(buffers[idx]).then((sheets) => firstSheetTable(sheets, options))
+              : parseText(buffers[idx], options),
+          ),
+        ).then((tables) => {
+          const entries = files.map((file, idx) => ({ fileName: file.name, parsed: tables[idx] }))
+          addEntries(entries, replace, currentMeta)
         })
-        setStatusState(`Loaded ${expandedRows.length} rows. Grouping by ${defaultGroup}.`)
-      } catch (err) {
+      })
+      .catch((err) => {
         console.error(err)
         setStatusState('Unable to read or parse the file.', true)
+      })
+  }
+
+  const addEntries = (entries, replace, currentMeta = null) => {
+    const base = replace ? null : source
+    let next = base
+    const drafts = []
+    const notes = []
+    const empty = []
+    entries.forEach(({ parsed, fileName }) => {
+      if (!parsed.rows.length) return empty.push(fileName)
+      const resolved = resolveMapping(parsed, profiles, currentMeta, next?.files, activeRuleSet)
+      const usable = resolved.meta.metricKey || resolved.meta.productColumns.length || resolved.meta.dateColumns.length
+      if (usable && (resolved.profile || resolved.reused)) {
+        next = addFileToSource(next, parsed, fileName, resolved.meta)
+        if (resolved.profile) notes.push(`Applied mapping profile "${resolved.profile.name}" to ${fileName}.`)
+        else if (replace) notes.push(`Re-read ${fileName}.`)
+      } else {
+        drafts.push({ parsed, fileName, mapping: mappingFromMeta(resolved.meta) })
       }
+    })
+
+    const parts = []
+    if (empty.length) parts.push(`Could not find data rows in ${empty.join(', ')}.`)
+    parts.push(...notes)
+    const keep = Boolean(currentMeta)
+    if (next !== base) parts.push(commitSource(next, replace, keep))
+    if (drafts.length) {
+      const committed = next !== base
+      setMappingQueue((prev) =>
+        replace ? { drafts, replace: !committed, keep } : { ...prev, drafts: [...prev.drafts, ...drafts] },
+      )
+      parts.push(
+        drafts.length === 1
+          ? 'Review the detected column mapping, then apply it.'
+          : `Review the column mapping of ${drafts.length} files, then apply each.`,
+      )
+    } else if (replace) {
+      setMappingQueue(emptyQueue)
+    }
+    setStatusState(parts.join(' '), next === base && !drafts.length)
+  }
+
+  // Replacing starts a fresh dataset in the library unless `keep` says it is the same one read again;
+  // appending keeps the loaded rows, their edits and the current settings.
+  const commitSource = (next, replace, keep = false) => {
+    const nextMeta = mergedMeta(next.files)
+    if (replace && !(keep && dataset)) {
+      const id = createDatasetId()
+      setDataset({ id, name: next.fileName, createdAt: new Date().toISOString() })
+      localStorage.setItem(CURRENT_KEY, id)
+    }
+    setSource(next)
+    setMeta(nextMeta)
+    setHistory({ past: [], future: [] })
+    if (!replace) {
+      const added = next.files.slice(source?.files.length || 0)
+      const addedRows = added.flatMap((file) => expandFile(next, file, expandRows))
+      setDataRows([...dataRows, ...addedRows].map((row, idx) => ({ ...row, id: idx })))
+      const names = added.map((file) => file.name).join(', ')
+      const rowCount = `${addedRows.length} ${addedRows.length === 1 ? 'row' : 'rows'}`
+      return `Added ${rowCount} from ${names}; ${next.files.length} files loaded.`
+    }
+    const expandedRows = expandSource(next, expandRows)
+    const defaultGroup = nextMeta.branchKey ? 'branch' : nextMeta.areaKey ? 'area' : 'product'
+    setDataRows(expandedRows)
+    setMetricSettings(defaultMetricSettings)
+    setUnitSettings(defaultUnitSettings)
+    setGridFocus(null)
+    setAllocation(defaultAllocation)
+    setForecast(defaultForecast)
+    setTargets(defaultTargets)
+    setScenarios(defaultScenarios)
+    setTransfers(defaultTransfers)
+    setFilters({ ...defaultFilters, group: defaultGroup })
+    return `Loaded ${expandedRows.length} rows. Grouping by ${defaultGroup}.`
+  }
+
+  // Re-expands one file after its mapping changed; rows from the other files keep their edits.
+  const remapFile = (index, fileMeta) => {
+    const next = replaceFileMeta(source, index, fileMeta)
+    if (next.files.length === 1) return commitSource(next, true, true)
+    const file = next.files[index]
+    const end = file.start + file.count
+    const rows = [
+      ...dataRows.filter((row) => row.rowIndex < file.start),
+      ...expandFile(next, file, expandRows),
+      ...dataRows.filter((row) => row.rowIndex >= end),
+    ]
+    setSource(next)
+    setMeta(mergedMeta(next.files))
+    setHistory({ past: [], future: [] })
+    setGridFocus(null)
+    setDataRows(rows.map((row, idx) => ({ ...row, id: idx })))
+    return `Updated the mapping of ${file.name}.`
+  }
+
+  const removeFile = (index) => {
+    if (source.files.length === 1) return resetApp()
+    const file = source.files[index]
+    const end = file.start + file.count
+    const next = removeFileFromSource(source, index)
+    const rows = dataRows
+      .filter((row) => row.rowIndex < file.start || row.rowIndex >= end)
+      .map((row, idx) => ({ ...row, id: idx, rowIndex: row.rowIndex >= end ? row.rowIndex - file.count : row.rowIndex }))
+    setSource(next)
+    setMeta(mergedMeta(next.files))
+    setDataRows(rows)
+    setHistory({ past: [], future: [] })
+    setGridFocus(null)
+    setMappingQueue((prev) => ({ ...prev, drafts: prev.drafts.filter((draft) => draft.fileIndex === undefined) }))
+    setFilters((prev) => ({ ...prev, file: withoutValues(prev.file, [file.name]) }))
+    setStatusState(`Removed ${file.name}; ${next.files.length} ${next.files.length === 1 ? 'file' : 'files'} left.`)
+  }
+
+  const fileTable = (file) => ({
+    headers: file.headers,
+    rawHeaders: file.rawHeaders,
+    rows: source.rows.slice(file.start, file.start + file.count),
+    numberLocale: file.numberLocale,
+  })
+
+  const editFileMapping = (index) => {
+    const file = source.files[index]
+    const draft = { parsed: fileTable(file), fileName: file.name, mapping: mappingFromMeta(file.meta), fileIndex: index }
+    setMappingQueue((prev) => ({ ...prev, drafts: [draft, ...prev.drafts] }))
+  }
+
+  // Every loaded file goes back through the mapping wizard with the columns the selected rules find.
+  const redetectFiles = () => {
+    const drafts = source.files.map((file, index) => {
+      const parsed = fileTable(file)
+      const detected = detectColumns(
+        parsed.headers,
+        parsed.rows,
+        parsed.rawHeaders,
+        parsed.numberLocale || 'en',
+        activeRuleSet,
+      )
+      return { parsed, fileName: file.name, mapping: mappingFromMeta(detected), fileIndex: index }
+    })
+    setMappingQueue((prev) => ({ ...prev, drafts: [...drafts, ...prev.drafts.filter((d) => d.fileIndex === undefined)] }))
+    setStatusState(`Review the columns "${activeRuleSet.name}" finds, then apply each mapping.`)
+  }
+
+  // Reconciles a file with the first one when it has the same role columns under the same names.
+  const matchFirstMapping = (index) => {
+    const file = source.files[index]
+    const reference = source.files[0]
+    const matched = applyMapping(file.headers, file.rawHeaders, mappingFromMeta(reference.meta))
+    if (!matched || matched.productColumns.length !== (reference.meta.productColumns || []).length) {
+      return setStatusState(`${file.name} does not have every column that ${reference.name} maps.`, true)
+    }
+    setStatusState(remapFile(index, { ...matched, numberLocale: file.numberLocale || 'en' }))
+  }
+
+  const confirmWorkbookSheet = (sheetIndex, headerRow) => {
+    if (!workbookDraft) return
+    const sheet = workbookDraft.sheets[sheetIndex]
+    const parsed = { ...sheetToTable(sheet, headerRow, parseOptions), sheetName: sheet.name, headerRow }
+    setWorkbookDraft(null)
+    addEntries(
+      [{ parsed, fileName: `${workbookDraft.fileName} (${sheet.name})` }],
+      workbookDraft.replace,
+      workbookDraft.currentMeta,
+    )
+  }
+
+  const handleFileChange = (event) => {
+    const files = Array.from(event.target.files || [])
+    if (!files.length) return
+    lastFileRef.current = files.length === 1 ? files[0] : null
+    readFiles(files, { replace: true })
+  }
+
+  const handleAddFiles = (event) => {
+    const files = Array.from(event.target.files || [])
+    event.target.value = ''
+    if (!files.length) return
+    lastFileRef.current = null
+    readFiles(files, { replace: false })
+  }
+
+  const handleDrop = (event) => {
+    event.preventDefault()
+    setDropActive(false)
+    const files = Array.from(event.dataTransfer?.files || [])
+    if (!files.length) return
+    if (!dataRows.length) lastFileRef.current = files.length === 1 ? files[0] : null
+    readFiles(files, { replace: !dataRows.length })
+  }
+
+  const handleDragOver = (event) => {
+    if (!Array.from(event.dataTransfer?.types || []).includes('Files')) return
+    event.preventDefault()
+    if (!dropActive) setDropActive(true)
+  }
+
+  // A range copied from a spreadsheet arrives as tab-separated text.
+  const handlePaste = (event) => {
+    const target = event.target
+    if (target?.isContentEditable || ['INPUT', 'TEXTAREA', 'SELECT'].includes(target?.tagName)) return
+    const text = event.clipboardData?.getData('text/plain') || ''
+    if (!text.includes('\t')) return
+    event.preventDefault()
+    const parsed = parseCsv(text, { ...parseOptions, delimiter: '\t' })
+    addEntries([{ parsed, fileName: 'Pasted table' }], !dataRows.length)
+  }
+
+  // The listener lives on the document so a paste works wherever the focus is, outside form fields.
+  const onDocumentPaste = useEffectEvent((event) => handlePaste(event))
+
+  useEffect(() => {
+    document.addEventListener('paste', onDocumentPaste)
+    return () => document.removeEventListener('paste', onDocumentPaste)
+  }, [])
+
+  const changeParseOptions = (patch) => {
+    const next = { ...parseOptions, ...patch }
+    setParseOptions(next)
+    if (source?.files.length > 1) {
+      setStatusState('The new settings apply to the files you add next.')
+    } else if (lastFileRef.current) {
+      readFiles([lastFileRef.current], { replace: true, options: next, currentMeta: dataRows.length ? meta : null })
+    } else if (source) {
+      setStatusState('Choose the file again to read it with these settings.')
+    }
+  }
+
+  const handleBaselineFile = (file) => {
+    const reader = new FileReader()
+    reader.onload = (e) => {
+      const buffer = e.target?.result
+      const read = isWorkbookFile(file)
+        ? readWorkbook(buffer).then((sheets) => firstSheetTable(sheets, parseOptions))
+        : Promise.resolve().then(() => parseText(buffer, parseOptions))
+      read
+        .then((parsed) => {
+          if (!parsed.rows.length) {
+            return setStatusState('Could not find data rows in the baseline file.', true)
+          }
+          const { meta: baselineMeta } = resolveMapping(parsed, profiles, meta, [], activeRuleSet)
+          if (!baselineMeta.metricKey && !baselineMeta.productColumns.length && !baselineMeta.dateColumns.length) {
+            return setStatusState('Baseline file has no numeric column to compare.', true)
+          }
+          const rows = expandRows(parsed.rows, baselineMeta)
+          setBaseline({ rows, meta: baselineMeta, fileName: file.name })
+          setStatusState(`Loaded ${rows.length} baseline rows from ${file.name}.`)
+        })
+        .catch((err) => {
+          console.error(err)
+          setStatusState('Unable to read or parse the baseline file.', true)
+        })
+    }
+    reader.onerror = () => setStatusState('Unable to read the baseline file.', true)
+    reader.readAsArrayBuffer(file)
+  }
+
+  const applyMappingDraft = (mapping, profileName) => {
+    const [draft, ...rest] = mappingQueue.drafts
+    if (!draft) return
+    const { parsed } = draft
+    const nextMeta = applyMapping(parsed.headers, parsed.rawHeaders, mapping)
+    if (!nextMeta) return setStatusState('The mapping refers to columns that are not in this file.', true)
+    if (!nextMeta.metricKey && !nextMeta.productColumns.length && !nextMeta.dateColumns.length) {
+      return setStatusState('Assign a metric column or at least one product or date column.', true)
+    }
+    const fileMeta = { ...nextMeta, numberLocale: parsed.numberLocale || 'en' }
+    const notes = []
+    if (profileName) {
+      const signature = headerSignature(parsed.rawHeaders)
+      setProfiles((prev) => ({
+        ...prev,
+        // The year belongs to this file's dates; a later file with the same headers may be from another year.
+        [signature]: { name: profileName, mapping: { ...mapping, dateYear: null }, savedAt: new Date().toISOString() },
+      }))
+      notes.push(`Saved mapping profile "${profileName}".`)
+    }
+    if (draft.fileIndex !== undefined) {
+      notes.push(remapFile(draft.fileIndex, fileMeta))
+    } else {
+      const base = mappingQueue.replace ? null : source
+      const next = addFileToSource(base, parsed, draft.fileName, fileMeta)
+      notes.push(commitSource(next, mappingQueue.replace, mappingQueue.keep))
+    }
+    setMappingQueue({ drafts: rest, replace: false, keep: false })
+    if (rest.length) notes.push(`${rest.length} more ${rest.length === 1 ? 'file needs' : 'files need'} a mapping.`)
+    setStatusState(notes.join(' '))
+  }
+
+  const skipMappingDraft = () => {
+    const [draft, ...rest] = mappingQueue.drafts
+    setMappingQueue({ ...mappingQueue, drafts: rest })
+    if (draft && draft.fileIndex === undefined) setStatusState(`Skipped ${draft.fileName}.`)
+  }
+
+  const commitRows = (nextRows) => {
+    setHistory((prev) => ({ past: [...prev.past, dataRows].slice(-HISTORY_LIMIT), future: [] }))
+    setDataRows(nextRows)
+  }
+
+  const editCell = (id, field, rawValue) => {
+    const numericField = field === 'metric' || field.startsWith('value:')
+    const value = numericField ? parseNumber(rawValue) : String(rawValue).trim()
+    const target = dataRows.find((r) => r.id === id)
+    if (!target || readField(target, field) === value) return
+    commitRows(
+      dataRows.map((row) => {
+        if (row.id !== id) return row
+        const original = { ...row.original }
+        if (!(field in original)) original[field] = readField(row, field)
+        if (original[field] === value) delete original[field]
+        const next = { ...writeField(row, field, value), original }
+        if (!Object.keys(original).length) delete next.original
+        return next
+      }),
+    )
+  }
+
+  const undoEdit = () => {
+    if (!history.past.length) return
+    setHistory((prev) => ({ past: prev.past.slice(0, -1), future: [dataRows, ...prev.future] }))
+    setDataRows(history.past[history.past.length - 1])
+  }
+
+  const redoEdit = () => {
+    if (!history.future.length) return
+    setHistory((prev) => ({ past: [...prev.past, dataRows], future: prev.future.slice(1) }))
+    setDataRows(history.future[0])
+  }
+
+  const revertEdits = () => {
+    if (!editedCount) return
+    commitRows(
+      dataRows.map((row) => {
+        if (!row.original) return row
+        const { original, ...rest } = row
+        return Object.entries(original).reduce((next, [field, value]) => writeField(next, field, value), rest)
+      }),
+    )
+    setStatusState('Reverted all edits to the original file values.')
+  }
+
+  const forgetProfile = (signature) => {
+    setProfiles((prev) => {
+      const next = { ...prev }
+      delete next[signature]
+      return next
+    })
+  }
+
+  const applyRecord = ({ summary, payload }, viewFilters = null) => {
+    const restoredSource = withFiles(payload.source || null, payload.meta || defaultMeta)
+    const fileName = restoredSource?.files.length === 1 ? restoredSource.files[0].name : undefined
+    skipSaveRef.current = true
+    setDataset({ id: summary.id, name: summary.name, createdAt: summary.createdAt })
+    setDataRows(withRowIds(payload.rows, fileName))
+    setMeta(payload.meta || defaultMeta)
+    setSource(restoredSource)
+    setAllocation(payload.allocation || defaultAllocation)
+    setForecast({ ...defaultForecast, ...payload.forecast })
+    setTargets({ ...defaultTargets, ...payload.targets })
+    setScenarios({ ...defaultScenarios, ...payload.scenarios })
+    setTransfers({ ...defaultTransfers, ...payload.transfers })
+    setDetectionRules(payload.detectionRules || BUILT_IN_ID)
+    setBaseline(payload.baseline || null)
+    setMetricSettings({ ...defaultMetricSettings, ...payload.metrics })
+    setUnitSettings({ ...defaultUnitSettings, ...payload.units })
+    setFilters(viewFilters || normalizeFilters({ ...defaultFilters, ...payload.filters }))
+    setHistory({ past: [], future: [] })
+    setGridFocus(null)
+    setMappingQueue(emptyQueue)
+    setWorkbookDraft(null)
+    localStorage.setItem(CURRENT_KEY, summary.id)
+    lastFileRef.current = null
+  }
+
+  const reportLibraryError = (err, action) => {
+    console.warn(`Unable to ${action}`, err)
+    setStatusState(`Could not ${action}: ${err.message || err}`, true)
+  }
+
+  // A link's view wins over the last session; its dataset is matched by id, then by name.
+  const restoreSession = useEffectEvent(() => {
+    const view = decodeView(window.location.hash, defaultFilters)
+    let missingDataset = false
+    migrateLegacySession()
+      .then((migrated) => Promise.all([migrated, listDatasets()]))
+      .then(([migrated, datasets]) => {
+        setLibrary(datasets)
+        const linked = view?.datasetId ? findLinkedDataset(datasets, view) : null
+        missingDataset = Boolean(view?.datasetId && !linked)
+        const wanted = linked?.id || localStorage.getItem(CURRENT_KEY) || migrated?.id
+        return wanted ? loadDataset(wanted) : null
+      })
+      .then((record) => {
+        if (record) applyRecord(record, view?.filters)
+        if (missingDataset) {
+          setStatusState(`The linked dataset "${view.datasetName || view.datasetId}" is not saved in this browser.`, true)
+        } else if (record) {
+          setStatusState(`Restored ${record.payload.rows.length} rows of "${record.summary.name}" from last session.`)
+        }
+      })
+      .catch((err) => reportLibraryError(err, 'open the saved datasets'))
+      .finally(() => setViewReady(true))
+    storageEstimate().then(setStorageUsage)
+  })
+
+  useEffect(() => {
+    restoreSession()
+  }, [])
+
+  const openDataset = (id, viewFilters = null) => {
+    loadDataset(id)
+      .then((record) => {
+        if (!record) return setStatusState('That dataset is no longer in the library.', true)
+        applyRecord(record, viewFilters)
+        setStatusState(`Opened "${record.summary.name}" with ${record.payload.rows.length} rows.`)
+      })
+      .catch((err) => reportLibraryError(err, 'open the dataset'))
+  }
+
+  // Back/forward and edited hashes re-apply the view they describe.
+  const followHash = useEffectEvent(() => {
+    const view = decodeView(window.location.hash, defaultFilters)
+    if (!view) return
+    const linked = view.datasetId ? findLinkedDataset(library, view) : null
+    if (linked && linked.id !== dataset?.id) return openDataset(linked.id, view.filters)
+    if (view.datasetId && !linked) {
+      setStatusState(`The linked dataset "${view.datasetName || view.datasetId}" is not saved in this browser.`, true)
     }
-    reader.onerror = () => setStatusState('Unable to read the file.', true)
-    reader.readAsText(file)
+    setFilters(view.filters)
+  })
+
+  useEffect(() => {
+    window.addEventListener('hashchange', followHash)
+    window.addEventListener('popstate', followHash)
+    return () => {
+      window.removeEventListener('hashchange', followHash)
+      window.removeEventListener('popstate', followHash)
+    }
+  }, [])
+
+  useEffect(() => {
+    if (!viewReady) return
+    writeHash(encodeView(filters, defaultFilters, dataset))
+  }, [dataset, filters, viewReady])
+
+  const copyViewLink = () => {
+    const link = window.location.href
+    const fallback = () => setStatusState(`Copy this link to share the view: ${link}`)
+    if (!navigator.clipboard?.writeText) return fallback()
+    navigator.clipboard.writeText(link).then(() => setStatusState('Copied a link to this view.'), fallback)
+  }
+
+  const copyDataset = (id) => {
+    const original = library.find((d) => d.id === id)
+    duplicateDataset(id, `${original?.name || 'Dataset'} (copy)`)
+      .then((summary) => {
+        setLibrary((prev) => upsertSummary(prev, summary))
+        storageEstimate().then(setStorageUsage)
+        setStatusState(`Saved a copy as "${summary.name}".`)
+      })
+      .catch((err) => reportLibraryError(err, isQuotaError(err) ? 'copy the dataset, storage is full' : 'copy the dataset'))
   }
 
+  const removeDataset = (id) => {
+    const removed = library.find((d) => d.id === id)
+    deleteDataset(id)
+      .then(() => {
+        setLibrary((prev) => prev.filter((d) => d.id !== id))
+        storageEstimate().then(setStorageUsage)
+        if (dataset?.id === id) resetApp()
+        setStatusState(`Deleted "${removed?.name || 'dataset'}".`)
+      })
+      .catch((err) => reportLibraryError(err, 'delete the dataset'))
+  }
+
+  const nameDataset = (id, name) => {
+    if (dataset?.id === id) {
+      setDataset((prev) => ({ ...prev, name }))
+      return
+    }
+    renameDataset(id, name)
+      .then((summary) => summary && setLibrary((prev) => upsertSummary(prev, summary)))
+      .catch((err) => reportLibraryError(err, 'rename the dataset'))
+  }
+
+  // Closing only clears the view; the dataset stays in the library.
   const resetApp = () => {
+    setDataset(null)
+    localStorage.removeItem(CURRENT_KEY)
     setDataRows([])
+    setHistory({ past: [], future: [] })
     setMeta(defaultMeta)
-    setFilters({
-      product: '__all',
-      branch: '__all',
-      area: '__all',
-      group: 'product',
-    })
+    setSource(null)
+    setMappingQueue(emptyQueue)
+    setAllocation(defaultAllocation)
+    setForecast(defaultForecast)
+    setTargets(defaultTargets)
+    setScenarios(defaultScenarios)
+    setTransfers(defaultTransfers)
+    setBaseline(null)
+    setMetricSettings(defaultMetricSettings)
+    setUnitSettings(defaultUnitSettings)
+    setGridFocus(null)
+    setWorkbookDraft(null)
+    setFilters(defaultFilters)
     setStatusState('Waiting for a CSV file.')
+    lastFileRef.current = null
     if (fileInputRef.current) fileInputRef.current.value = ''
   }
 
+  const missingFilters = useMemo(() => {
+    if (!dataRows.length) return []
+    return missingFilterValues(filters, {
+      product: productOptions,
+      branch: meta.branchKey ? branchOptions : null,
+      area: meta.areaKey ? areaOptions : null,
+      file: source?.files?.map((file) => file.name) || null,
+    })
+  }, [areaOptions, branchOptions, dataRows.length, filters, meta.areaKey, meta.branchKey, productOptions, source])
+
   const filterState = useMemo(() => {
     const parts = []
-    if (filters.product !== '__all') parts.push(`Product: ${filters.product}`)
-    if (meta.branchKey && filters.branch !== '__all') parts.push(`Branch: ${filters.branch}`)
-    if (meta.areaKey && filters.area !== '__all') parts.push(`Area: ${filters.area}`)
+    if (isActive(filters.product)) parts.push(`Product: ${describeSelection(filters.product, 'product')}`)
+    if (meta.branchKey && isActive(filters.branch)) {
+      parts.push(`Branch: ${describeSelection(filters.branch, 'branch', 'branches')}`)
+    }
+    if (meta.areaKey && isActive(filters.area)) parts.push(`Area: ${describeSelection(filters.area, 'area')}`)
+    if (fileOptions.length && isActive(filters.file)) parts.push(`File: ${describeSelection(filters.file, 'file')}`)
+    if (hasDates && (filters.dateFrom || filters.dateTo)) {
+      parts.push(`Dates: ${filters.dateFrom || 'start'} to ${filters.dateTo || 'end'}`)
+    }
     return parts.length ? parts.join(' | ') : 'No filters'
-  }, [filters.area, filters.branch, filters.product, meta.areaKey, meta.branchKey])
+  }, [
+    filters.area,
+    filters.branch,
+    filters.dateFrom,
+    filters.dateTo,
+    filters.file,
+    filters.product,
+    fileOptions.length,
+    hasDates,
+    meta.areaKey,
+    meta.branchKey,
+  ])
 
-  const metricLabel = meta.productColumns?.length
-    ? 'Metric: product column values'
-    : `Metric: ${meta.metricKey || 'first numeric column'}`
+  const unitSuffix = displayUnit === NATIVE_UNIT ? '' : ` (${unitLabel(displayUnit)})`
+  const scenarioSuffix = activeScenario ? ` (${activeScenario.name})` : ''
+  const metricColumn = {
+    key: activeMetric.kind === 'column' ? `value:${activeMetric.column}` : 'metric',
+    label: `${activeMetric.id === PRIMARY_METRIC ? 'Metric' : activeMetric.label}${unitSuffix}${scenarioSuffix}`,
+    // Scenario values are derived from the data; editing them would write the adjustment back as if typed.
+    editable: activeMetric.kind !== 'derived' && displayUnit === NATIVE_UNIT && !activeScenario,
+  }
 
-  const previewRows = filteredRows.slice(0, 10)
+  const updateMetricSettings = (patch) => setMetricSettings((prev) => ({ ...prev, ...patch(prev) }))
 
-  const setStatusState = (message, isError = false) => setStatus({ message, isError })
+  const groupLabel = groupOptions.find((opt) => opt.value === groupDimension)?.label || 'Group'
+  const unitOf = useMemo(() => {
+    const units = new Map(unitProducts.map((entry) => [entry.product, entry.uom]))
+    return (product) => unitLabel(displayUnit === NATIVE_UNIT ? units.get(product) : displayUnit)
+  }, [displayUnit, unitProducts])
+  const exportName = (dataset?.name || 'allocation')
+    .replace(/\.\w+$/, '')
+    .replace(/[^\w-]+/g, '-')
+    .toLowerCase()
+
+  const downloadData = (scope, format) => {
+    const table =
+      scope === 'groups'
+        ? groupsToTable(
+            aggregate(filteredRows, groupDimension, seriesDimension, aggregation, {
+              topN: filters.topN,
+              grain: filters.dateGrain,
+            }),
+            groupLabel,
+            metricColumn.label,
+          )
+        : rowsToTable(filteredRows, {
+            hasBranches: Boolean(meta.branchKey),
+            hasAreas: Boolean(meta.areaKey),
+            hasFiles: fileOptions.length > 0,
+            hasDates,
+            metricLabel: metricColumn.label,
+            unitOf,
+          })
+    downloadTable(`${exportName}-${scope === 'groups' ? `by-${groupDimension}` : 'rows'}`, table, format).catch((err) => {
+      console.error(err)
+      setStatusState('Unable to create the export file.', true)
+    })
+  }
+
+  const saveChartImage = () => {
+    const canvas = chartCanvasRef.current
+    if (!canvas) return
+    chartImage(canvas, { title: `${metricColumn.label} by ${groupLabel.toLowerCase()}`, caption: filterState })
+      .then((blob) =>
+        blob ? downloadFile(`${exportName}-chart.png`, blob) : setStatusState('Could not draw the chart image.', true),
+      )
+      .catch((err) => {
+        console.error(err)
+        setStatusState('Unable to create the chart image.', true)
+      })
+  }
+
+  // Slips list what each branch receives: the allocation when it is on, otherwise the quantities in view.
+  const slips = useMemo(
+    () => buildSlips(allocationResult ? allocationResult.rows : filteredRows, unitOf),
+    [allocationResult, filteredRows, unitOf],
+  )
+
+  const gridExtraColumns = useMemo(() => {
+    if (!allocationResult) return []
+    return [
+      {
+        key: 'allocated',
+        label: 'Allocated (branch)',
+        numeric: true,
+        // The branch total repeats on each of its rows, so summing the column would count it once per row.
+        noTotal: true,
+        get: (r) => allocationResult.byKey.get(allocationKey(r.product, r.branch)) ?? null,
+      },
+    ]
+  }, [allocationResult])
+
+  // Clears every filter that hides rows, the date range included, so all focused rows are in the grid.
+  const showRows = (label, rowIndexes) => {
+    const cleared = Object.fromEntries(FILTER_FIELDS.map((field) => [field, EMPTY_SELECTION]))
+    setFilters((prev) => ({ ...prev, ...cleared, dateFrom: '', dateTo: '' }))
+    setGridFocus({ label, rowIndexes })
+    document.getElementById('dataGrid')?.scrollIntoView?.({ behavior: 'smooth', block: 'start' })
+  }
+
+  const currentDraft = mappingQueue.drafts[0]
+
+  // The first loaded file (or the one waiting in the wizard) as each rule set would read it.
+  const sampleFile = currentDraft ? null : source?.files[0]
+  const detectionPreview = useMemo(() => {
+    const table =
+      currentDraft?.parsed ||
+      (sampleFile && {
+        headers: sampleFile.headers,
+        rawHeaders: sampleFile.rawHeaders,
+        rows: source.rows.slice(sampleFile.start, sampleFile.start + sampleFile.count),
+        numberLocale: sampleFile.numberLocale,
+      })
+    if (!table) return null
+    return [BUILT_IN_RULES, ...ruleSets].map((set) => ({
+      id: set.id,
+      name: set.name,
+      meta: detectColumns(table.headers, table.rows, table.rawHeaders, table.numberLocale || 'en', set),
+    }))
+  }, [currentDraft, ruleSets, sampleFile, source])
 
   return (
-    <div className="app-shell">
+    <div
+      className="app-shell"
+      onDragOver={handleDragOver}
+      onDragLeave={(e) => {
+        if (!e.currentTarget.contains(e.relatedTarget)) setDropActive(false)
+      }}
+      onDrop={handleDrop}
+    >
+      {dropActive && (
+        <div className="drop-overlay">Drop files to {dataRows.length ? 'add them to the dataset' : 'load them'}</div>
+      )}
       <header>
         <h1>Allocation Visualizer</h1>
         <p className="lede">
-          Upload a CSV file and instantly chart totals with filters per product and per branch/area.
-          Columns needed: a product label, a branch or area label, and at least one numeric value.
+          Upload a CSV or Excel file and instantly chart totals with filters per product and per branch/area.
+          Columns needed: a product label, a branch or area label, and at least one numeric value. Drop several
+          files or paste a table copied from a spreadsheet to combine them into one dataset.
         </p>
       </header>
 
       <section className="card">
         <div className="upload-row">
           <div className="file-picker">
-            <label htmlFor="fileInput">Choose CSV file</label>
+            <label htmlFor="fileInput">Choose CSV or Excel file</label>
             <input
               id="fileInput"
               type="file"
-              accept=".csv,text/csv"
+              accept={UPLOAD_ACCEPT}
+              multiple
               onChange={handleFileChange}
               ref={fileInputRef}
             />
           </div>
-          <button className="secondary" type="button" onClick={resetApp}>
-            Reset
-          </button>
-          <div className={`status ${status.isError ? 'error' : ''}`}>{status.message}</div>
-        </div>
-      </section>
-
-      <section className="card">
-        <div className="filters-grid">
-          <div>
-            <label htmlFor="productFilter">Product</label>
+          {dataRows.length > 0 && (
+            <div className="file-picker secondary-picker">
+              <label htmlFor="addFileInput">Add files</label>
+              <input id="addFileInput" type="file" accept={UPLOAD_ACCEPT} multiple onChange={handleAddFiles} />
+            </div>
+          )}
+          <div className="parse-options">
             <select
-              id="productFilter"
-              value={filters.product}
-              onChange={(e) => setFilters((prev) => ({ ...prev, product: e.target.value }))}
-              disabled={!productOptions.length}
+              className="compact-select"
+              value={parseOptions.delimiter}
+              onChange={(e) => changeParseOptions({ delimiter: e.target.value })}
+              aria-label="Delimiter"
             >
-              <option value="__all">All products</option>
-              {productOptions.map((opt) => (
-                <option key={opt} value={opt}>
-                  {opt}
+              {DELIMITERS.map((opt) => (
+                <option key={opt.label} value={opt.value}>
+                  Delimiter: {detectedLabel(opt, source?.delimiter && delimiterName(source.delimiter))}
                 </option>
               ))}
             </select>
-          </div>
-          <div>
-            <label htmlFor="branchFilter">Branch</label>
             <select
-              id="branchFilter"
-              value={filters.branch}
-              onChange={(e) => setFilters((prev) => ({ ...prev, branch: e.target.value }))}
-              disabled={!meta.branchKey || !branchOptions.length}
+              className="compact-select"
+              value={parseOptions.encoding}
+              onChange={(e) => changeParseOptions({ encoding: e.target.value })}
+              aria-label="Encoding"
             >
-              <option value="__all">{meta.branchKey ? 'All branches' : 'No branch column'}</option>
-              {branchOptions.map((opt) => (
-                <option key={opt} value={opt}>
-                  {opt}
+              {ENCODINGS.map((opt) => (
+                <option key={opt.value} value={opt.value}>
+                  Encoding: {detectedLabel(opt, source?.encoding && encodingName(source.encoding))}
                 </option>
               ))}
             </select>
-          </div>
-          <div>
-            <label htmlFor="areaFilter">Area</label>
             <select
-              id="areaFilter"
-              value={filters.area}
-              onChange={(e) =>
-                setFilters((prev) => ({
-                  ...prev,
-                  area: e.target.value,
-                  branch: '__all',
-                }))
-              }
-              disabled={!meta.areaKey || !areaOptions.length}
+              className="compact-select"
+              value={parseOptions.locale}
+              onChange={(e) => changeParseOptions({ locale: e.target.value })}
+              aria-label="Number format"
             >
-              <option value="__all">{meta.areaKey ? 'All areas' : 'No area column'}</option>
-              {areaOptions.map((opt) => (
-                <option key={opt} value={opt}>
-                  {opt}
+              {NUMBER_LOCALES.map((opt) => (
+                <option key={opt.value} value={opt.value}>
+                  Numbers: {detectedLabel(opt, source?.numberLocale && localeName(source.numberLocale))}
                 </option>
               ))}
             </select>
           </div>
+          {source?.files.length === 1 && !currentDraft && (
+            <button className="secondary" type="button" onClick={() => editFileMapping(0)}>
+              Edit mapping
+            </button>
+          )}
+          <button className="secondary" type="button" onClick={resetApp}>
+            Reset
+          </button>
+          <div className={`status ${status.isError ? 'error' : ''}`}>{status.message}</div>
+        </div>
+      </section>
+
+      {(library.length > 0 || dataset) && (
+        <LibraryPanel
+          datasets={library}
+          current={dataset}
+          usage={storageUsage}
+          onOpen={openDataset}
+          onDuplicate={copyDataset}
+          onDelete={removeDataset}
+          onRename={nameDataset}
+        />
+      )}
+
+      {workbookDraft && (
+        <WorkbookPicker
+          key={workbookDraft.fileName}
+          sheets={workbookDraft.sheets}
+          fileName={workbookDraft.fileName}
+          onConfirm={confirmWorkbookSheet}
+          onCancel={() => {
+            setWorkbookDraft(null)
+            setStatusState(dataRows.length ? 'Kept the current data.' : 'Waiting for a CSV file.')
+          }}
+        />
+      )}
+
+      {currentDraft && (
+        <MappingWizard
+          key={`${currentDraft.fileName}|${headerSignature(currentDraft.parsed.rawHeaders)}`}
+          headers={currentDraft.parsed.headers}
+          rawHeaders={currentDraft.parsed.rawHeaders}
+          rows={currentDraft.parsed.rows}
+          fileName={currentDraft.fileName}
+          initialMapping={currentDraft.mapping}
+          profile={profiles[headerSignature(currentDraft.parsed.rawHeaders)]}
+          onApply={applyMappingDraft}
+          onForgetProfile={() => forgetProfile(headerSignature(currentDraft.parsed.rawHeaders))}
+          onCancel={skipMappingDraft}
+        />
+      )}
+
+      {source?.files.length > 1 && (
+        <FilesPanel
+          files={source.files}
+          rows={dataRows}
+          onEditMapping={editFileMapping}
+          onMatchMapping={matchFirstMapping}
+          onRemove={removeFile}
+          onFilter={(name) => setFilters((prev) => ({ ...prev, file: { mode: 'include', values: [name] } }))}
+        />
+      )}
+
+      <DetectionRulesPanel
+        ruleSets={ruleSets}
+        selectedId={activeRuleSet.id}
+        onSelect={setDetectionRules}
+        onChangeSets={setRuleSets}
+        preview={detectionPreview}
+        previewName={currentDraft?.fileName || sampleFile?.name}
+        onRedetect={source?.files.length ? redetectFiles : null}
+        onError={(message) => setStatusState(message, true)}
+      />
+
+      {source && !currentDraft && dataRows.length > 0 && (
+        <QualityPanel issues={qualityIssues} fileName={source.fileName} onShowRows={showRows} />
+      )}
+
+      <section className="card">
+        {missingFilters.length > 0 && (
+          <div className="filter-warning">
+            Not in this data:{' '}
+            {missingFilters.map(({ field, value }) => `${field} "${value}"`).join(', ')}. These filter values match no
+            rows.{' '}
+            <button
+              className="link-button"
+              type="button"
+              onClick={() =>
+                setFilters((prev) => {
+                  const next = { ...prev }
+                  missingFilters.forEach(({ field, value }) => {
+                    next[field] = withoutValues(next[field], [value])
+                  })
+                  return next
+                })
+              }
+            >
+              Clear these filters
+            </button>
+          </div>
+        )}
+        <div className="filters-grid">
+          <MultiSelectFilter
+            id="productFilter"
+            label="Product"
+            noun="product"
+            plural="products"
+            options={productOptions}
+            selection={filters.product}
+            onChange={(selection) => setFilters((prev) => ({ ...prev, product: selection }))}
+            disabled={!productOptions.length}
+            disabledLabel="No products"
+          />
+          <MultiSelectFilter
+            id="branchFilter"
+            label="Branch"
+            noun="branch"
+            plural="branches"
+            options={branchOptions}
+            groups={branchGroups}
+            selection={filters.branch}
+            onChange={(selection) => setFilters((prev) => ({ ...prev, branch: selection }))}
+            disabled={!meta.branchKey || !branchOptions.length}
+            disabledLabel={meta.branchKey ? 'No branches' : 'No branch column'}
+          />
+          <MultiSelectFilter
+            id="areaFilter"
+            label="Area"
+            noun="area"
+            plural="areas"
+            options={areaOptions}
+            selection={filters.area}
+            onChange={(selection) => setFilters((prev) => ({ ...prev, area: selection, branch: EMPTY_SELECTION }))}
+            disabled={!meta.areaKey || !areaOptions.length}
+            disabledLabel={meta.areaKey ? 'No areas' : 'No area column'}
+          />
+          {fileOptions.length > 0 && (
+            <MultiSelectFilter
+              id="fileFilter"
+              label="File"
+              noun="file"
+              plural="files"
+              options={fileOptions}
+              selection={filters.file}
+              onChange={(selection) => setFilters((prev) => ({ ...prev, file: selection }))}
+            />
+          )}
+          {hasDates && (
+            <div className="date-range">
+              <div>
+                <label htmlFor="dateFrom">From</label>
+                <input
+                  id="dateFrom"
+                  type="date"
+                  value={filters.dateFrom}
+                  min={dataDates.min}
+                  max={filters.dateTo || dataDates.max}
+                  onChange={(e) => setFilters((prev) => ({ ...prev, dateFrom: e.target.value }))}
+                />
+              </div>
+              <div>
+                <label htmlFor="dateTo">To</label>
+                <input
+                  id="dateTo"
+                  type="date"
+                  value={filters.dateTo}
+                  min={filters.dateFrom || dataDates.min}
+                  max={dataDates.max}
+                  onChange={(e) => setFilters((prev) => ({ ...prev, dateTo: e.target.value }))}
+                />
+              </div>
+            </div>
+          )}
           <div>
             <label htmlFor="groupSelect">Group chart by</label>
             <select
               id="groupSelect"
               value={filters.group}
-              onChange={(e) => setFilters((prev) => ({ ...prev, group: e.target.value }))}
+              onChange={(e) => {
+                const group = e.target.value
+                // Time reads best as a line; other groupings keep whatever chart was chosen.
+                setFilters((prev) => ({ ...prev, group, chartType: group === 'date' ? 'line' : prev.chartType }))
+              }}
               disabled={!groupOptions.length}
             >
               {groupOptions.map((opt) => (
@@ -345,335 +1576,374 @@ function App() {
 
       <section className="card chart-card">
         <div className="chart-head">
-          <div className="pill">{metricLabel}</div>
-          <div className="pill">{filterState}</div>
+          <MetricControls
+            options={metricChoices}
+            active={activeMetric}
+            aggregation={aggregation}
+            names={formulaNames(meta)}
+            onSelect={(id) => updateMetricSettings(() => ({ active: id }))}
+            onAggregation={(value) =>
+              updateMetricSettings((prev) => ({ aggregations: { ...prev.aggregations, [activeMetric.id]: value } }))
+            }
+            onAddDerived={(def) =>
+              updateMetricSettings((prev) => ({ derived: [...prev.derived, def], active: `calc:${def.name}` }))
+            }
+            onRemoveDerived={(name) =>
+              updateMetricSettings((prev) => ({ derived: prev.derived.filter((d) => d.name !== name) }))
+            }
+          />
+          <div className="chart-head-actions">
+            <div className="pill">{filterState}</div>
+            <button className="secondary" type="button" onClick={copyViewLink}>
+              Copy link
+            </button>
+            <button className="secondary" type="button" onClick={saveChartImage} disabled={chartEmpty}>
+              Save PNG
+            </button>
+          </div>
         </div>
+        <div className="chart-controls">
+          <select
+            className="compact-select"
+            value={filters.chartType}
+            onChange={(e) => setFilters((prev) => ({ ...prev, chartType: e.target.value }))}
+            aria-label="Chart type"
+          >
+            {CHART_TYPES.map((opt) => (
+              <option key={opt.value} value={opt.value}>
+                {opt.label}
+              </option>
+            ))}
+          </select>
+          <select
+            className="compact-select"
+            value={seriesDimension || 'none'}
+            onChange={(e) => setFilters((prev) => ({ ...prev, series: e.target.value }))}
+            disabled={isCircular(filters.chartType)}
+            aria-label="Split bars by"
+          >
+            <option value="none">No split</option>
+            {groupOptions
+              .filter((opt) => opt.value !== groupDimension)
+              .map((opt) => (
+                <option key={opt.value} value={opt.value}>
+                  Split by {opt.label.toLowerCase()}
+                </option>
+              ))}
+          </select>
+          <label className="toggle">
+            <input
+              type="checkbox"
+              checked={filters.stacked}
+              onChange={(e) => setFilters((prev) => ({ ...prev, stacked: e.target.checked }))}
+              disabled={!seriesDimension || isCircular(filters.chartType)}
+            />{' '}
+            Stacked
+          </label>
+          {(groupDimension === 'date' || seriesDimension === 'date') && (
+            <select
+              className="compact-select"
+              value={filters.dateGrain}
+              onChange={(e) => setFilters((prev) => ({ ...prev, dateGrain: e.target.value }))}
+              aria-label="Date grouping"
+            >
+              {DATE_GRAINS.map((opt) => (
+                <option key={opt.value} value={opt.value}>
+                  {opt.label}
+                </option>
+              ))}
+            </select>
+          )}
+          <select
+            className="compact-select"
+            value={filters.topN}
+            onChange={(e) => setFilters((prev) => ({ ...prev, topN: Number(e.target.value) }))}
+            aria-label="Groups shown"
+          >
+            {TOP_N_CHOICES.map((n) => (
+              <option key={n} value={n}>
+                {n ? `Top ${n}, rest as ${OTHER_LABEL}` : 'All groups'}
+              </option>
+            ))}
+          </select>
+          <label className="toggle">
+            <input
+              type="checkbox"
+              checked={filters.percent}
+              onChange={(e) => setFilters((prev) => ({ ...prev, percent: e.target.checked }))}
+            />{' '}
+            Percent of total
+          </label>
+          <select
+            className="compact-select"
+            value={unitSettings.display}
+            onChange={(e) => setUnitSettings((prev) => ({ ...prev, display: e.target.value }))}
+            disabled={activeMetric.kind === 'derived'}
+            aria-label="Display unit"
+          >
+            <option value={NATIVE_UNIT}>Units as loaded</option>
+            {UNITS.map((unit) => (
+              <option key={unit.value} value={unit.value}>
+                Show in {unit.label.toLowerCase()}
+              </option>
+            ))}
+          </select>
+        </div>
+        {(crumbs.length > 1 || canDrill(groupDimension, meta)) && (
+          <nav className="breadcrumbs" aria-label="Drill-down">
+            {crumbs.map((crumb, index) => (
+              <span key={`${index}-${crumb.label}`} className="breadcrumb">
+                {index > 0 && <span className="breadcrumb-sep">›</span>}
+                {index < crumbs.length - 1 ? (
+                  <button
+                    className="link-button"
+                    type="button"
+                    onClick={() => setFilters((prev) => ({ ...prev, ...crumb.change }))}
+                  >
+                    {crumb.label}
+                  </button>
+                ) : (
+                  <strong>{crumb.label}</strong>
+                )}
+              </span>
+            ))}
+            {canDrill(groupDimension, meta) && <span className="mapping-note">Click a bar to drill down.</span>}
+          </nav>
+        )}
         <div className="chart-wrap">
           <canvas ref={chartCanvasRef} height="120" />
           {chartEmpty && <div className="chart-empty">No data for current filters</div>}
         </div>
         <div className="summary">
-          <strong>{summary.rows}</strong> rows | <strong>{summary.total.toLocaleString()}</strong> total
+          <strong>{summary.rows}</strong> rows | <strong>{summary.total.toLocaleString()}</strong>{' '}
+          {unitSuffix && `${unitLabel(displayUnit)} `}
+          {aggregation === 'sum' ? 'total' : aggregation}
+          {mixedUnits && <span className="summary-warning"> (mixed units)</span>}
+          {summary.allocated !== null && (
+            <>
+              {' '}
+              | <strong>{summary.allocated.toLocaleString()}</strong> allocated
+            </>
+          )}
+          {activeScenario && scenarioComparison && (
+            <>
+              {' '}
+              | {activeScenario.name}: <strong>{formatChange(summary.total, scenarioComparison.base.total)}</strong> vs
+              base
+            </>
+          )}
+          {attainment?.overall.attainment !== null && attainment?.overall.attainment !== undefined && (
+            <>
+              {' '}
+              |{' '}
+              <strong className={attainment.overall.below ? 'below-target' : ''}>
+                {attainment.overall.attainment.toFixed(1)}%
+              </strong>{' '}
+              of target
+            </>
+          )}
         </div>
       </section>
 
-      <section className="card">
-        <h3 style={{ margin: '0 0 8px 0' }}>Preview (first 10 rows)</h3>
-        {!previewRows.length ? (
-          <div className="preview-empty">No rows match your filters yet.</div>
-        ) : (
-          <div className="preview-table">
-            <table>
-              <thead>
-                <tr>
-                  <th>Product</th>
-                  <th>Branch</th>
-                  <th>Area</th>
-                  <th>Metric</th>
-                </tr>
-              </thead>
-              <tbody>
-                {previewRows.map((row, idx) => (
-                  <tr key={`${row.product}-${row.branch}-${row.area}-${idx}`}>
-                    <td>{row.product || '—'}</td>
-                    <td>{row.branch || '—'}</td>
-                    <td>{row.area || '—'}</td>
-                    <td>{row.metric}</td>
-                  </tr>
-                ))}
-              </tbody>
-            </table>
-          </div>
-        )}
-      </section>
+      {dataRows.length > 0 && (
+        <UnitsPanel
+          products={unitProducts}
+          settings={unitSettings}
+          onChange={setUnitSettings}
+          skipped={unitConversion.skipped}
+          mixedUnits={mixedUnits}
+        />
+      )}
+
+      {dataRows.length > 0 && (
+        <AllocatePanel
+          settings={allocation}
+          onChange={setAllocation}
+          rows={filteredRows}
+          basisOptions={basisOptions}
+          result={allocationResult}
+          hasBranches={Boolean(meta.branchKey)}
+        />
+      )}
+
+      {dataRows.length > 0 && (
+        <ScenariosPanel
+          scenarios={scenarios}
+          onChange={setScenarios}
+          options={{ area: areaOptions, branch: allBranches, product: productOptions }}
+          comparison={scenarioComparison}
+          dimension={groupLabel}
+        />
+      )}
+
+      {dataRows.length > 0 && (
+        <TransfersPanel
+          settings={transfers}
+          onChange={setTransfers}
+          result={transferResult}
+          salesColumn={salesColumn}
+          columns={salesOptions}
+          hasBranches={Boolean(meta.branchKey)}
+        />
+      )}
+
+      {dataRows.length > 0 && (
+        <TargetsPanel
+          settings={targets}
+          onChange={setTargets}
+          columns={historyOptions}
+          actualColumn={actualColumn}
+          targetColumn={targetColumn}
+          result={attainment}
+          dimension={groupLabel}
+          chartShowsTargets={!seriesDimension && !filters.percent && ['bar', 'horizontal'].includes(filters.chartType)}
+        />
+      )}
+
+      {dataRows.length > 0 && (
+        <ForecastPanel
+          settings={forecast}
+          onChange={setForecast}
+          result={forecastResult}
+          basis={forecastBasis}
+          historyOptions={historyOptions}
+          hasDates={hasDates}
+          currentOf={(row) =>
+            allocationResult ? (allocationResult.byKey.get(allocationKey(row.product, row.branch)) ?? null) : row.latest
+          }
+        />
+      )}
+
+      {dataRows.length > 0 && (
+        <ExportPanel
+          onDownload={downloadData}
+          slips={slips}
+          slipsFrom={allocationResult ? 'allocation' : 'quantities in view'}
+          caption={[dataset?.name, filterState].filter(Boolean).join(' | ')}
+        />
+      )}
+
+      {dataRows.length > 0 && (
+        <PivotPanel rows={filteredRows} dimensions={groupOptions} hasAreas={Boolean(meta.areaKey)} />
+      )}
+
+      {dataRows.length > 0 && (
+        <ComparePanel
+          currentRows={filteredRows}
+          baselineRows={filteredBaselineRows}
+          baselineName={baseline?.fileName}
+          dimension={groupDimension}
+          onLoadBaseline={handleBaselineFile}
+          onClearBaseline={() => setBaseline(null)}
+        />
+      )}
+
+      <DataGrid
+        rows={filteredRows}
+        sourceRows={source?.rows}
+        rawHeaders={source?.headers || []}
+        hasItems={Boolean(meta.itemKey)}
+        hasFiles={fileOptions.length > 0}
+        metricColumn={metricColumn}
+        extraColumns={gridExtraColumns}
+        focus={gridFocus}
+        onClearFocus={() => setGridFocus(null)}
+        onEditCell={editCell}
+        onUndo={undoEdit}
+        onRedo={redoEdit}
+        onRevert={revertEdits}
+        canUndo={history.past.length > 0}
+        canRedo={history.future.length > 0}
+        editedCount={editedCount}
+      />
     </div>
   )
 }
 
 export default App
 
-function parseCsv(text) {
-  const lines = text.replace(/\r\n/g, '\n').split('\n').map((l) => l.trimEnd()).filter((l) => l.trim() !== '')
-  if (!lines.length) return { headers: [], rows: [], rawHeaders: [] }
-
-  const delimiter = detectDelimiter(lines)
-  const split = (line) => splitCsvLine(line, delimiter)
-  const allCells = lines.map(split)
-
-  let headerIdx = 0
-  let maxCols = 0
-  const isHeaderRow = (cells) => {
-    const texty = cells.filter((c) => /[A-Za-z]/.test(c)).length
-    return texty >= Math.max(2, Math.ceil(cells.length * 0.3))
-  }
-  for (let i = 0; i < allCells.length; i++) {
-    const cells = allCells[i]
-    if (isHeaderRow(cells)) {
-      headerIdx = i
-      maxCols = cells.length
-      break
-    }
-    if (cells.length > maxCols) {
-      maxCols = cells.length
-      headerIdx = i
-    }
-  }
+function readField(row, field) {
+  return field.startsWith('value:') ? (row.values?.[field.slice(6)] ?? 0) : row[field]
+}
 
-  let headerCells = allCells[headerIdx]
-  const firstDataCells = allCells.slice(headerIdx + 1).find((c) => c.some((v) => v.trim() !== '')) || []
-  if (headerCells[0] && headerCells[0].toLowerCase().includes('branch') && firstDataCells.length === headerCells.length + 1) {
-    headerCells = ['Area', ...headerCells]
-  }
-  if (headerCells.length < maxCols) {
-    const extras = Array.from({ length: maxCols - headerCells.length }, (_, i) => `col${headerCells.length + i + 1}`)
-    headerCells = [...headerCells, ...extras]
-  }
+function writeField(row, field, value) {
+  if (!field.startsWith('value:')) return { ...row, [field]: value }
+  return { ...row, values: { ...row.values, [field.slice(6)]: value } }
+}
 
-  const rawHeaders = [...headerCells]
-  const headers = sanitizeHeaders(headerCells)
-  const rows = []
-  for (let i = headerIdx + 1; i < allCells.length; i++) {
-    const cells = allCells[i]
-    if (cells.every((cell) => cell.trim() === '')) continue
-    const padded = [...cells]
-    while (padded.length < headers.length) padded.push('')
-    const row = {}
-    headers.forEach((h, idx) => {
-      row[h] = padded[idx] !== undefined ? padded[idx] : ''
-    })
-    rows.push(row)
-  }
-  return { headers, rows, rawHeaders }
+function formatChange(value, base) {
+  if (!base) return value ? 'new' : '0%'
+  const change = ((value - base) / Math.abs(base)) * 100
+  return `${change > 0 ? '+' : ''}${change.toFixed(1)}%`
 }
 
-function detectDelimiter(lines) {
-  const firstLine = lines.find((l) => l.trim() !== '') || ''
-  const commaCount = (firstLine.match(/,/g) || []).length
-  const tabCount = (firstLine.match(/\t/g) || []).length
-  return tabCount > commaCount ? '\t' : ','
+function findLinkedDataset(datasets, view) {
+  return datasets.find((d) => d.id === view.datasetId) || datasets.find((d) => d.name === view.datasetName) || null
 }
 
-function splitCsvLine(line, delimiter) {
-  if (delimiter === '\t') return line.split('\t')
-  const result = []
-  let current = ''
-  let inQuotes = false
-  for (let i = 0; i < line.length; i++) {
-    const ch = line[i]
-    if (ch === '"') {
-      if (inQuotes && line[i + 1] === '"') {
-        current += '"'
-        i++
-        continue
-      }
-      inQuotes = !inQuotes
-      continue
-    }
-    if (ch === delimiter && !inQuotes) {
-      result.push(current)
-      current = ''
-      continue
-    }
-    current += ch
-  }
-  result.push(current)
-  return result
+function upsertSummary(list, summary) {
+  return [summary, ...list.filter((d) => d.id !== summary.id)].sort((a, b) => b.updatedAt.localeCompare(a.updatedAt))
 }
 
-function sanitizeHeaders(headers) {
-  const used = new Set()
-  return headers.map((h, idx) => {
-    const base = (h || '').trim() || `col${idx + 1}`
-    let name = base
-    let attempt = 1
-    while (used.has(name.toLowerCase())) {
-      name = `${base}_${attempt++}`
-    }
-    used.add(name.toLowerCase())
-    return name
-  })
+// Rows saved before multi-file support carry neither an id nor the name of their file.
+function withRowIds(rows, fileName) {
+  return rows.map((row, idx) => ({ ...row, id: row.id ?? idx, file: row.file ?? fileName }))
 }
 
-function detectColumns(headers, rows, rawHeaders = []) {
-  const lowerHeaders = headers.map((h) => h.toLowerCase())
-  const rawLower = rawHeaders.map((h) => (h || '').toLowerCase())
-  const findHeader = (candidates) => {
-    const idx = lowerHeaders.findIndex((h) => candidates.includes(h))
-    return idx >= 0 ? headers[idx] : null
-  }
-
-  const looksNumeric = (value) => {
-    if (value === null || value === undefined) return false
-    const cleaned = String(value).replace(/[,%]/g, '').trim()
-    if (cleaned === '') return false
-    return !isNaN(Number(cleaned))
-  }
-
-  const numericHeaders = headers.filter((h) => rows.some((r) => looksNumeric(r[h])))
-  const productKey = findHeader(['product', 'item', 'sku', 'product name', 'material', 'pork bbq'])
-  const branchKey = findHeader(['branch', 'store', 'location', 'office'])
-  let areaKey = findHeader(['area', 'region', 'zone', 'territory'])
-  const itemKey = findHeader(['item description', 'item', 'description', 'item desc'])
-
-  if (!areaKey && branchKey) {
-    const firstHeader = headers[0]
-    const sampleValues = rows.map((r) => String(r[firstHeader] || '').trim()).filter(Boolean)
-    const allNumeric = sampleValues.length > 0 && sampleValues.every((v) => looksNumeric(v))
-    if (firstHeader !== branchKey && sampleValues.length > 3 && !allNumeric) {
-      areaKey = firstHeader
-    }
-  }
+function branchScope(rows, areaSelection, meta) {
+  return meta.areaKey && isActive(areaSelection) ? rows.filter((r) => matchesSelection(areaSelection, r.area)) : rows
+}
 
-  const metricKey = findHeader([
-    'alloc',
-    'average',
-    'avg',
-    'value',
-    'amount',
-    'metric',
-    'qty',
-    'quantity',
-    'total',
-    'sales',
-    'volume',
-    'pork bbq',
-    'daily sales',
-    'kg conversion per pc',
-  ])
+function uniqueValues(rows, key) {
+  return Array.from(new Set(rows.map((r) => r[key]).filter(Boolean))).sort()
+}
 
-  const reserved = new Set(
-    [productKey, branchKey, areaKey, itemKey].filter(Boolean).map((h) => h.toLowerCase()),
-  )
-  let productColumns = numericHeaders.filter((h) => !reserved.has(h.toLowerCase()))
-
-  const fixedProducts = ['backribs', 'chicken paa', 'chicken pecho', 'pork bbq', 'spareribs']
-  const fixedSlice = headers.slice(2, 7).filter(Boolean)
-  const fixedMatch = fixedSlice.filter((h) => fixedProducts.includes(h.toLowerCase()))
-  if (fixedMatch.length) {
-    productColumns = fixedMatch
-  } else if (productColumns.length === 0 && headers.length >= 3) {
-    const start = 2
-    const end = Math.min(headers.length, 7)
-    const slice = headers.slice(start, end).filter((h) => h && h.trim())
-    if (slice.length) productColumns = slice
-  }
-  const finalMetricKey = metricKey || (productColumns.length === 1 ? productColumns[0] : null)
-
-  let syntheticProduct = false
-  let syntheticProductLabel = 'All Products'
-  if (!productKey && productColumns.length === 0) {
-    syntheticProduct = true
-    const cleanedRaw = rawHeaders.map((h) => (h || '').trim()).filter(Boolean)
-    const banned = [
-      'sum',
-      'avg',
-      'average',
-      'alloc',
-      'allocation',
-      'conversion',
-      'target',
-      'total',
-      'uom',
-      'branch',
-      'area',
-      'metric',
-      'value',
-      'amount',
-      'qty',
-      'quantity',
-      'sales',
-      'volume',
-      '%',
-      'kg',
-    ]
-    const isProductish = (h) => {
-      const l = h.toLowerCase()
-      if (banned.some((b) => l.includes(b))) return false
-      return true
-    }
-    const productish = cleanedRaw.find(isProductish)
-    syntheticProductLabel = productish || 'All Products'
-    if (!syntheticProductLabel && finalMetricKey) syntheticProductLabel = finalMetricKey
-  }
-
-  return {
-    headers,
-    productKey,
-    branchKey,
-    areaKey,
-    itemKey,
-    metricKey: finalMetricKey,
-    productColumns,
-    syntheticProduct,
-    syntheticProductLabel,
-    rawHeaders,
-  }
+function readBuffer(file) {
+  return new Promise((resolve, reject) => {
+    const reader = new FileReader()
+    reader.onload = (e) => resolve(e.target?.result)
+    reader.onerror = () => reject(reader.error)
+    reader.readAsArrayBuffer(file)
+  })
 }
 
-function normalizeRow(row, meta) {
-  const cleanText = (key) => (key ? String(row[key] ?? '').trim() : '')
-  const numeric = (val) => {
-    const n = Number(String(val).replace(/,/g, '').replace(/%/g, '').trim())
-    return isNaN(n) ? 0 : n
-  }
-  const syntheticLabel = meta.syntheticProductLabel || 'All Products'
-  const productValue = meta.productKey ? cleanText(meta.productKey) : syntheticLabel
-  return {
-    product: productValue,
-    item: cleanText(meta.itemKey),
-    branch: cleanText(meta.branchKey),
-    area: cleanText(meta.areaKey),
-    metric: numeric(meta.metricKey ? row[meta.metricKey] : 0),
-  }
+// Baselines skip the workbook picker: first sheet with data, suggested header row.
+function firstSheetTable(sheets, options) {
+  const sheet = sheets.find((s) => s.cells.length)
+  return sheet ? sheetToTable(sheet, suggestHeaderRow(sheet), options) : { rows: [] }
 }
 
-function expandRows(rows, meta) {
-  const numeric = (val) => {
-    const n = Number(String(val).replace(/,/g, '').replace(/%/g, '').trim())
-    return isNaN(n) ? 0 : n
-  }
-  const cleanText = (row, key) => (key ? String(row[key] ?? '').trim() : '')
-
-  if (meta.productColumns && meta.productColumns.length > 0) {
-    const expanded = []
-    rows.forEach((row) => {
-      const baseArea = cleanText(row, meta.areaKey)
-      const baseBranch = cleanText(row, meta.branchKey)
-      const baseItem = cleanText(row, meta.itemKey)
-      meta.productColumns.forEach((col) => {
-        const value = numeric(row[col])
-        expanded.push({
-          product: col,
-          item: baseItem,
-          branch: baseBranch,
-          area: baseArea,
-          metric: value,
-        })
-      })
-    })
-    return expanded
-  }
+function detectedLabel(option, detected) {
+  return option.value === 'auto' && detected ? `Detect (${detected})` : option.label
+}
 
-  return rows.map((r) => normalizeRow(r, meta))
+function delimiterName(delimiter) {
+  return DELIMITERS.find((d) => d.value === delimiter)?.label.toLowerCase() || delimiter
 }
 
-function uniqueValues(rows, key) {
-  return Array.from(new Set(rows.map((r) => r[key]).filter(Boolean))).sort()
+function encodingName(encoding) {
+  return ENCODINGS.find((e) => e.value === encoding)?.label || encoding
 }
 
-function aggregate(rows, dimension) {
-  const key = dimension === 'branch' ? 'branch' : dimension === 'area' ? 'area' : 'product'
-  const totals = new Map()
-  rows.forEach((r) => {
-    const label = r[key] || 'Unspecified'
-    totals.set(label, (totals.get(label) || 0) + r.metric)
-  })
-  return Array.from(totals.entries())
-    .map(([label, value]) => ({ label, value }))
-    .sort((a, b) => b.value - a.value)
+function localeName(locale) {
+  return NUMBER_LOCALES.find((l) => l.value === locale)?.label || locale
 }
 
-function pickColor(index) {
-  const palette = ['#2f80ed', '#56ccf2', '#7bc86c', '#f2994a', '#eb5757', '#bb6bd9', '#6fcf97', '#f2c94c']
-  return palette[index % palette.length]
+function loadRuleSets() {
+  try {
+    const saved = JSON.parse(localStorage.getItem(RULES_KEY) || '[]')
+    return Array.isArray(saved) ? saved : []
+  } catch (err) {
+    console.warn('Could not read detection rules', err)
+    return []
+  }
+}
+
+function loadProfiles() {
+  try {
+    return JSON.parse(localStorage.getItem(PROFILES_KEY) || '{}') || {}
+  } catch (err) {
+    console.warn('Could not read mapping profiles', err)
+    return {}
+  }
 }
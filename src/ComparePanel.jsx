@@ -0,0 +1,221 @@
+import { useEffect, useMemo, useRef, useState } from 'react'
+import Chart from 'chart.js/auto'
+import { compareRows } from './compare.js'
+
+const PRESENCE_LABELS = {
+  both: '',
+  current: 'Only in current',
+  baseline: 'Only in baseline',
+}
+
+const COLUMNS = [
+  { key: 'product', label: 'Product' },
+  { key: 'branch', label: 'Branch' },
+  { key: 'area', label: 'Area' },
+  { key: 'current', label: 'Current' },
+  { key: 'baseline', label: 'Baseline' },
+  { key: 'change', label: 'Change' },
+  { key: 'pct', label: 'Change %' },
+]
+
+function ComparePanel({ currentRows, baselineRows, baselineName, dimension, onLoadBaseline, onClearBaseline }) {
+  const [chartMode, setChartMode] = useState('change')
+  const [sort, setSort] = useState({ key: 'change', dir: 'desc' })
+  const canvasRef = useRef(null)
+  const chartRef = useRef(null)
+  const hasBaseline = Boolean(baselineRows)
+
+  const grouped = useMemo(
+    () =>
+      hasBaseline
+        ? compareRows(currentRows, baselineRows, dimension).sort((a, b) => Math.abs(b.change) - Math.abs(a.change))
+        : [],
+    [baselineRows, currentRows, dimension, hasBaseline],
+  )
+
+  const detail = useMemo(() => {
+    if (!hasBaseline) return []
+    const rows = compareRows(currentRows, baselineRows, 'detail')
+    const dir = sort.dir === 'asc' ? 1 : -1
+    return rows.sort((a, b) => {
+      const av = a[sort.key]
+      const bv = b[sort.key]
+      if (av === null || av === undefined) return 1
+      if (bv === null || bv === undefined) return -1
+      if (typeof av === 'number') return (av - bv) * dir
+      return String(av).localeCompare(String(bv)) * dir
+    })
+  }, [baselineRows, currentRows, hasBaseline, sort])
+
+  const onlyCurrent = detail.filter((r) => r.presence === 'current').length
+  const onlyBaseline = detail.filter((r) => r.presence === 'baseline').length
+
+  useEffect(() => {
+    if (!hasBaseline) {
+      chartRef.current?.destroy()
+      chartRef.current = null
+      return
+    }
+    const ctx = canvasRef.current?.getContext('2d')
+    if (!ctx) return
+    const labels = grouped.map((g) => g.label)
+    const datasets =
+      chartMode === 'change'
+        ? [
+            {
+              label: 'Change vs baseline',
+              data: grouped.map((g) => g.change),
+              backgroundColor: grouped.map((g) => (g.change >= 0 ? '#6fcf97' : '#eb5757')),
+              borderRadius: 6,
+            },
+          ]
+        : [
+            {
+              label: 'Baseline',
+              data: grouped.map((g) => g.baseline),
+              backgroundColor: '#b8c4d9',
+              borderRadius: 6,
+            },
+            {
+              label: 'Current',
+              data: grouped.map((g) => g.current),
+              backgroundColor: '#2f80ed',
+              borderRadius: 6,
+            },
+          ]
+
+    const afterLabel = (item) => {
+      const pct = grouped[item.dataIndex]?.pct
+      return pct === null || pct === undefined ? '' : `${formatPct(pct)} vs baseline`
+    }
+
+    if (chartRef.current) {
+      chartRef.current.data.labels = labels
+      chartRef.current.data.datasets = datasets
+      chartRef.current.options.plugins.tooltip.callbacks.afterLabel = afterLabel
+      chartRef.current.update()
+      return
+    }
+    chartRef.current = new Chart(ctx, {
+      type: 'bar',
+      data: { labels, datasets },
+      options: {
+        animation: { duration: 450, easing: 'easeOutQuart' },
+        plugins: {
+          tooltip: { callbacks: { afterLabel } },
+        },
+        scales: {
+          x: { grid: { color: 'rgba(0,0,0,0.04)' } },
+          y: { grid: { color: 'rgba(0,0,0,0.04)' } },
+        },
+      },
+    })
+  }, [chartMode, grouped, hasBaseline])
+
+  useEffect(() => () => chartRef.current?.destroy(), [])
+
+  const handleFile = (event) => {
+    const file = event.target.files?.[0]
+    if (file) onLoadBaseline(file)
+    event.target.value = ''
+  }
+
+  const toggleSort = (key) =>
+    setSort((prev) => ({ key, dir: prev.key === key && prev.dir === 'desc' ? 'asc' : 'desc' }))
+
+  return (
+    <section className="card">
+      <div className="panel-head">
+        <h3>Compare with baseline</h3>
+        <div className="panel-actions">
+          <div className="file-picker">
+            <label htmlFor="baselineInput">{hasBaseline ? 'Replace baseline' : 'Load baseline file'}</label>
+            <input
+              id="baselineInput"
+              type="file"
+              accept=".csv,.tsv,.txt,.xlsx,.xlsm,.xls,.ods,text/csv"
+              onChange={handleFile}
+            />
+          </div>
+          {hasBaseline && (
+            <button className="secondary" type="button" onClick={onClearBaseline}>
+              Clear baseline
+            </button>
+          )}
+        </div>
+      </div>
+      {!hasBaseline ? (
+        <div className="preview-empty">
+          Load last week&apos;s file to see the change per product, branch and area.
+        </div>
+      ) : (
+        <>
+          <div className="chart-head">
+            <div className="pill">Baseline: {baselineName || 'baseline file'}</div>
+            <select
+              className="compact-select"
+              value={chartMode}
+              onChange={(e) => setChartMode(e.target.value)}
+              aria-label="Comparison chart"
+            >
+              <option value="change">Change by {dimension}</option>
+              <option value="grouped">Current vs baseline by {dimension}</option>
+            </select>
+          </div>
+          <div className="chart-wrap">
+            <canvas ref={canvasRef} height="120" />
+          </div>
+          {(onlyCurrent > 0 || onlyBaseline > 0) && (
+            <div className="compare-callout">
+              {onlyCurrent > 0 && <span>{onlyCurrent} only in current file</span>}
+              {onlyBaseline > 0 && <span>{onlyBaseline} only in baseline file</span>}
+            </div>
+          )}
+          <div className="preview-table compare-table">
+            <table>
+              <thead>
+                <tr>
+                  {COLUMNS.map((col) => (
+                    <th key={col.key}>
+                      <button className="sort-button" type="button" onClick={() => toggleSort(col.key)}>
+                        {col.label}
+                        {sort.key === col.key ? (sort.dir === 'asc' ? ' ▲' : ' ▼') : ''}
+                      </button>
+                    </th>
+                  ))}
+                  <th />
+                </tr>
+              </thead>
+              <tbody>
+                {detail.map((row) => (
+                  <tr key={row.key} className={row.presence === 'both' ? '' : 'row-flag'}>
+                    <td>{row.product || '—'}</td>
+                    <td>{row.branch || '—'}</td>
+                    <td>{row.area || '—'}</td>
+                    <td>{row.inCurrent ? row.current.toLocaleString() : '—'}</td>
+                    <td>{row.inBaseline ? row.baseline.toLocaleString() : '—'}</td>
+                    <td className={row.change > 0 ? 'delta-up' : row.change < 0 ? 'delta-down' : ''}>
+                      {formatChange(row.change)}
+                    </td>
+                    <td>{row.pct === null ? '—' : formatPct(row.pct)}</td>
+                    <td>{PRESENCE_LABELS[row.presence]}</td>
+                  </tr>
+                ))}
+              </tbody>
+            </table>
+          </div>
+        </>
+      )}
+    </section>
+  )
+}
+
+export default ComparePanel
+
+function formatChange(value) {
+  return `${value > 0 ? '+' : ''}${value.toLocaleString()}`
+}
+
+function formatPct(value) {
+  return `${value > 0 ? '+' : ''}${value.toFixed(1)}%`
+}
@@ -0,0 +1,299 @@
+import { useMemo, useState } from 'react'
+
+const PAGE_SIZES = [25, 50, 100, 250]
+
+function DataGrid({
+  rows,
+  sourceRows,
+  rawHeaders,
+  hasItems,
+  hasFiles = false,
+  metricColumn = { key: 'metric', label: 'Metric', editable: true },
+  extraColumns = [],
+  focus = null,
+  onClearFocus,
+  onEditCell,
+  onUndo,
+  onRedo,
+  onRevert,
+  canUndo,
+  canRedo,
+  editedCount = 0,
+}) {
+  const [search, setSearch] = useState('')
+  const [sort, setSort] = useState({ key: null, dir: 'asc' })
+  const [page, setPage] = useState(0)
+  const [pageSize, setPageSize] = useState(PAGE_SIZES[0])
+  const [showItem, setShowItem] = useState(false)
+  const [showRaw, setShowRaw] = useState(false)
+  const [editing, setEditing] = useState(null)
+  const [seenFocus, setSeenFocus] = useState(focus)
+  if (focus !== seenFocus) {
+    setSeenFocus(focus)
+    setPage(0)
+  }
+
+  const columns = useMemo(() => {
+    const cols = [
+      { key: 'product', label: 'Product', get: (r) => r.product, editable: true },
+      { key: 'branch', label: 'Branch', get: (r) => r.branch, editable: true },
+      { key: 'area', label: 'Area', get: (r) => r.area, editable: true },
+    ]
+    if (hasFiles) cols.push({ key: 'file', label: 'File', get: (r) => r.file })
+    if (showItem) cols.push({ key: 'item', label: 'Item description', get: (r) => r.item, editable: true })
+    cols.push({ ...metricColumn, get: (r) => r.metric, numeric: true })
+    extraColumns.forEach((col) => cols.push(col))
+    if (showRaw && sourceRows) {
+      rawHeaders.forEach((header) => {
+        cols.push({
+          key: `raw:${header}`,
+          label: header,
+          raw: true,
+          get: (r) => sourceRows[r.rowIndex]?.[header] ?? '',
+        })
+      })
+    }
+    return cols
+  }, [extraColumns, hasFiles, metricColumn, rawHeaders, showItem, showRaw, sourceRows])
+
+  const focusRows = useMemo(() => {
+    if (!focus) return rows
+    const wanted = new Set(focus.rowIndexes)
+    return rows.filter((row) => wanted.has(row.rowIndex))
+  }, [focus, rows])
+
+  const visibleRows = useMemo(() => {
+    const needle = search.trim().toLowerCase()
+    const matched = needle
+      ? focusRows.filter((row) => columns.some((col) => String(col.get(row) ?? '').toLowerCase().includes(needle)))
+      : focusRows
+    const sortCol = columns.find((col) => col.key === sort.key)
+    if (!sortCol) return matched
+    const dir = sort.dir === 'asc' ? 1 : -1
+    return [...matched].sort((a, b) => {
+      const av = sortCol.get(a)
+      const bv = sortCol.get(b)
+      if (sortCol.numeric) {
+        // Empty cells sort below every number; subtracting two of them would give NaN.
+        if (av === null || av === undefined) return bv === null || bv === undefined ? 0 : -dir
+        if (bv === null || bv === undefined) return dir
+        return (av - bv) * dir
+      }
+      return String(av ?? '').localeCompare(String(bv ?? ''), undefined, { numeric: true }) * dir
+    })
+  }, [columns, focusRows, search, sort])
+
+  const totals = useMemo(
+    () =>
+      Object.fromEntries(
+        columns
+          .filter((col) => col.numeric && !col.noTotal)
+          .map((col) => [col.key, visibleRows.reduce((sum, row) => sum + (Number(col.get(row)) || 0), 0)]),
+      ),
+    [columns, visibleRows],
+  )
+
+  const pageCount = Math.max(1, Math.ceil(visibleRows.length / pageSize))
+  const currentPage = Math.min(page, pageCount - 1)
+  const pageRows = visibleRows.slice(currentPage * pageSize, (currentPage + 1) * pageSize)
+
+  const toggleSort = (key) =>
+    setSort((prev) => ({ key, dir: prev.key === key && prev.dir === 'asc' ? 'desc' : 'asc' }))
+
+  const startEdit = (row, col) => {
+    if (!onEditCell || !col.editable) return
+    const value = String(col.get(row) ?? '')
+    setEditing({ id: row.id, key: col.key, value, original: value })
+  }
+
+  // Leaving a cell without changing it is not an edit, so it adds nothing to the undo history.
+  const finishEdit = (save) => {
+    if (save && editing && editing.value !== editing.original) onEditCell(editing.id, editing.key, editing.value)
+    setEditing(null)
+  }
+
+  const handleGridKeys = (event) => {
+    if (editing || !(event.ctrlKey || event.metaKey)) return
+    const key = event.key.toLowerCase()
+    if (key === 'z' && !event.shiftKey && canUndo) {
+      event.preventDefault()
+      onUndo()
+    } else if ((key === 'y' || (key === 'z' && event.shiftKey)) && canRedo) {
+      event.preventDefault()
+      onRedo()
+    }
+  }
+
+  return (
+    <section className="card" id="dataGrid">
+      <div className="panel-head grid-head">
+        <h3>Rows</h3>
+        <div className="panel-actions">
+          <input
+            type="text"
+            className="grid-search"
+            placeholder="Search rows"
+            value={search}
+            onChange={(e) => {
+              setSearch(e.target.value)
+              setPage(0)
+            }}
+            aria-label="Search rows"
+          />
+          {hasItems && (
+            <label className="toggle">
+              <input type="checkbox" checked={showItem} onChange={(e) => setShowItem(e.target.checked)} /> Item
+              description
+            </label>
+          )}
+          {sourceRows && (
+            <label className="toggle">
+              <input type="checkbox" checked={showRaw} onChange={(e) => setShowRaw(e.target.checked)} /> Original
+              columns
+            </label>
+          )}
+        </div>
+      </div>
+      {onEditCell && (
+        <div className="grid-edit-bar">
+          <span>Double-click a cell to edit it.</span>
+          <button className="secondary" type="button" onClick={onUndo} disabled={!canUndo}>
+            Undo
+          </button>
+          <button className="secondary" type="button" onClick={onRedo} disabled={!canRedo}>
+            Redo
+          </button>
+          <button className="secondary" type="button" onClick={onRevert} disabled={!editedCount}>
+            Revert to original file{editedCount ? ` (${editedCount} edited)` : ''}
+          </button>
+        </div>
+      )}
+      {focus && (
+        <div className="grid-focus-bar">
+          <span>
+            Showing {focusRows.length} row{focusRows.length === 1 ? '' : 's'} for {focus.label}
+          </span>
+          <button className="link-button" type="button" onClick={onClearFocus}>
+            Show all rows
+          </button>
+        </div>
+      )}
+      {!rows.length ? (
+        <div className="preview-empty">No rows match your filters yet.</div>
+      ) : (
+        <>
+          <div className="preview-table data-grid" onKeyDown={handleGridKeys} tabIndex={-1}>
+            <table>
+              <thead>
+                <tr>
+                  {columns.map((col) => (
+                    <th key={col.key} className={col.raw ? 'raw-col' : ''}>
+                      <button className="sort-button" type="button" onClick={() => toggleSort(col.key)}>
+                        {col.label}
+                        {sort.key === col.key ? (sort.dir === 'asc' ? ' ▲' : ' ▼') : ''}
+                      </button>
+                    </th>
+                  ))}
+                </tr>
+              </thead>
+              <tbody>
+                {pageRows.map((row, idx) => (
+                  <tr key={`${row.rowIndex ?? ''}-${row.product}-${row.branch}-${idx}`}>
+                    {columns.map((col) => {
+                      const value = col.get(row)
+                      const isEditing = editing && editing.id === row.id && editing.key === col.key
+                      const edited = row.original && col.key in row.original
+                      const classes = [col.numeric ? 'num' : '', col.editable && onEditCell ? 'editable' : '']
+                      if (edited) classes.push('cell-edited')
+                      const original = edited ? String(row.original[col.key]) || '(blank)' : ''
+                      return (
+                        <td
+                          key={col.key}
+                          className={classes.filter(Boolean).join(' ')}
+                          title={edited ? `Original: ${original}` : undefined}
+                          onDoubleClick={() => startEdit(row, col)}
+                        >
+                          {isEditing ? (
+                            <input
+                              type={col.numeric ? 'number' : 'text'}
+                              step="any"
+                              value={editing.value}
+                              autoFocus
+                              onChange={(e) => setEditing((prev) => ({ ...prev, value: e.target.value }))}
+                              onBlur={() => finishEdit(true)}
+                              onKeyDown={(e) => {
+                                if (e.key === 'Enter') finishEdit(true)
+                                if (e.key === 'Escape') finishEdit(false)
+                              }}
+                              aria-label={`Edit ${col.label}`}
+                            />
+                          ) : value === null || value === undefined || value === '' ? (
+                            '—'
+                          ) : col.numeric ? (
+                            Number(value).toLocaleString()
+                          ) : (
+                            value
+                          )}
+                        </td>
+                      )
+                    })}
+                  </tr>
+                ))}
+              </tbody>
+              <tfoot>
+                <tr>
+                  {columns.map((col, idx) => (
+                    <td key={col.key} className={col.numeric ? 'num' : ''}>
+                      {col.key in totals ? totals[col.key].toLocaleString() : idx === 0 ? 'Total' : ''}
+                    </td>
+                  ))}
+                </tr>
+              </tfoot>
+            </table>
+          </div>
+          <div className="grid-pager">
+            <span>
+              {visibleRows.length.toLocaleString()} of {rows.length.toLocaleString()} rows
+            </span>
+            <select
+              className="compact-select"
+              value={pageSize}
+              onChange={(e) => {
+                setPageSize(Number(e.target.value))
+                setPage(0)
+              }}
+              aria-label="Rows per page"
+            >
+              {PAGE_SIZES.map((size) => (
+                <option key={size} value={size}>
+                  {size} per page
+                </option>
+              ))}
+            </select>
+            <button
+              className="secondary"
+              type="button"
+              onClick={() => setPage(currentPage - 1)}
+              disabled={currentPage === 0}
+            >
+              Previous
+            </button>
+            <span>
+              Page {currentPage + 1} of {pageCount}
+            </span>
+            <button
+              className="secondary"
+              type="button"
+              onClick={() => setPage(currentPage + 1)}
+              disabled={currentPage >= pageCount - 1}
+            >
+              Next
+            </button>
+          </div>
+        </>
+      )}
+    </section>
+  )
+}
+
+export default DataGrid
@@ -0,0 +1,325 @@
+import { downloadFile } from './download.js'
+import {
+  BUILT_IN_ID,
+  BUILT_IN_RULES,
+  RULE_KINDS,
+  RULE_ROLES,
+  createDetectionRule,
+  createRuleSet,
+  parseRuleSet,
+  ruleSetToJson,
+} from './detectionRules.js'
+
+const PREVIEW_ROWS = [
+  { label: 'Product', get: (meta) => meta.productKey },
+  { label: 'Branch', get: (meta) => meta.branchKey },
+  { label: 'Area', get: (meta) => meta.areaKey },
+  { label: 'Metric', get: (meta) => meta.metricKey },
+  { label: 'Unit of measure', get: (meta) => meta.uomKey },
+  { label: 'Product columns', get: (meta) => meta.productColumns.join(', ') },
+]
+
+function DetectionRulesPanel({ ruleSets, selectedId, onSelect, onChangeSets, preview, previewName, onRedetect, onError }) {
+  const selected = ruleSets.find((set) => set.id === selectedId) || BUILT_IN_RULES
+  const editable = selected.id !== BUILT_IN_ID
+
+  const updateSelected = (patch) =>
+    onChangeSets((prev) => prev.map((set) => (set.id === selected.id ? { ...set, ...patch } : set)))
+  const updateRule = (id, patch) =>
+    updateSelected({ rules: selected.rules.map((rule) => (rule.id === id ? { ...rule, ...patch } : rule)) })
+  const moveRule = (idx, step) => {
+    const rules = [...selected.rules]
+    const [rule] = rules.splice(idx, 1)
+    rules.splice(idx + step, 0, rule)
+    updateSelected({ rules })
+  }
+
+  const addSet = (set) => {
+    onChangeSets((prev) => [...prev, set])
+    onSelect(set.id)
+  }
+  const removeSelected = () => {
+    onChangeSets((prev) => prev.filter((set) => set.id !== selected.id))
+    onSelect(BUILT_IN_ID)
+  }
+
+  const importFile = (event) => {
+    const file = event.target.files?.[0]
+    event.target.value = ''
+    if (!file) return
+    readText(file)
+      .then((text) => addSet(parseRuleSet(text)))
+      .catch((err) => onError(`Could not import the rules: ${err.message}`))
+  }
+
+  const exportSelected = () => {
+    const name = selected.name.replace(/[^\w-]+/g, '-').toLowerCase() || 'rules'
+    downloadFile(`${name}.json`, ruleSetToJson(selected), 'application/json')
+  }
+
+  return (
+    <section className="card">
+      <div className="panel-head">
+        <h3>Detection rules</h3>
+        <div className="panel-actions">
+          <button
+            className="secondary"
+            type="button"
+            onClick={() => addSet(createRuleSet(`${selected.name} (copy)`, selected))}
+          >
+            Copy
+          </button>
+          <button className="secondary" type="button" onClick={exportSelected}>
+            Export JSON
+          </button>
+          <div className="file-picker">
+            <label htmlFor="rulesImport">Import JSON</label>
+            <input id="rulesImport" type="file" accept=".json,application/json" onChange={importFile} />
+          </div>
+          {editable && (
+            <button className="secondary" type="button" onClick={removeSelected}>
+              Delete
+            </button>
+          )}
+        </div>
+      </div>
+
+      <div className="filters-grid">
+        <div>
+          <label htmlFor="rulesSelect">Rules for this dataset</label>
+          <select id="rulesSelect" value={selected.id} onChange={(e) => onSelect(e.target.value)}>
+            {[BUILT_IN_RULES, ...ruleSets].map((set) => (
+              <option key={set.id} value={set.id}>
+                {set.name}
+              </option>
+            ))}
+          </select>
+        </div>
+        {editable && (
+          <div>
+            <label htmlFor="rulesName">Name</label>
+            <input
+              id="rulesName"
+              type="text"
+              value={selected.name}
+              onChange={(e) => updateSelected({ name: e.target.value })}
+            />
+          </div>
+        )}
+      </div>
+      <p className="mapping-note">
+        Rules are tried from the top; for each role the first rule that finds a header wins. They apply to files loaded
+        from now on{onRedetect ? ', or to the loaded files when you detect again' : ''}.
+        {!editable && ' The built-in rules cannot be changed; copy them to make your own.'}
+      </p>
+
+      <div className="preview-table">
+        <table>
+          <thead>
+            <tr>
+              <th>#</th>
+              <th>Role</th>
+              <th>Match</th>
+              <th>Value</th>
+              {editable && <th />}
+            </tr>
+          </thead>
+          <tbody>
+            {selected.rules.map((rule, idx) => (
+              <tr key={rule.id}>
+                <td>{idx + 1}</td>
+                <td>
+                  <select
+                    value={rule.role}
+                    disabled={!editable}
+                    aria-label={`Role of rule ${idx + 1}`}
+                    onChange={(e) => updateRule(rule.id, { role: e.target.value })}
+                  >
+                    {RULE_ROLES.map((opt) => (
+                      <option key={opt.value} value={opt.value}>
+                        {opt.label}
+                      </option>
+                    ))}
+                  </select>
+                </td>
+                <td>
+                  <select
+                    value={rule.kind}
+                    disabled={!editable}
+                    aria-label={`Kind of rule ${idx + 1}`}
+                    onChange={(e) => updateRule(rule.id, { kind: e.target.value })}
+                  >
+                    {RULE_KINDS.map((opt) => (
+                      <option key={opt.value} value={opt.value}>
+                        {opt.label}
+                      </option>
+                    ))}
+                  </select>
+                </td>
+                <td>
+                  <RuleValue rule={rule} disabled={!editable} onChange={(patch) => updateRule(rule.id, patch)} />
+                </td>
+                {editable && (
+                  <td className="file-actions">
+                    <button className="link-button" type="button" onClick={() => moveRule(idx, -1)} disabled={!idx}>
+                      Up
+                    </button>
+                    <button
+                      className="link-button"
+                      type="button"
+                      onClick={() => moveRule(idx, 1)}
+                      disabled={idx === selected.rules.length - 1}
+                    >
+                      Down
+                    </button>
+                    <button
+                      className="link-button"
+                      type="button"
+                      onClick={() => updateSelected({ rules: selected.rules.filter((r) => r.id !== rule.id) })}
+                    >
+                      Remove
+                    </button>
+                  </td>
+                )}
+              </tr>
+            ))}
+          </tbody>
+        </table>
+      </div>
+
+      <div className="filters-grid">
+        <div>
+          <label htmlFor="rulesProducts">Known product columns (comma separated)</label>
+          <input
+            id="rulesProducts"
+            type="text"
+            value={selected.productColumns.join(',')}
+            disabled={!editable}
+            onChange={(e) => updateSelected({ productColumns: e.target.value.split(',') })}
+          />
+        </div>
+        <div>
+          <label htmlFor="rulesRangeFrom">Product columns from column</label>
+          <input
+            id="rulesRangeFrom"
+            type="number"
+            min="1"
+            value={selected.productRange.from}
+            disabled={!editable}
+            onChange={(e) => updateSelected({ productRange: { ...selected.productRange, from: e.target.value } })}
+          />
+        </div>
+        <div>
+          <label htmlFor="rulesRangeTo">to column</label>
+          <input
+            id="rulesRangeTo"
+            type="number"
+            min="1"
+            value={selected.productRange.to}
+            disabled={!editable}
+            onChange={(e) => updateSelected({ productRange: { ...selected.productRange, to: e.target.value } })}
+          />
+        </div>
+      </div>
+
+      <div className="mapping-actions">
+        {editable && (
+          <button
+            className="secondary"
+            type="button"
+            onClick={() => updateSelected({ rules: [...selected.rules, createDetectionRule()] })}
+          >
+            Add rule
+          </button>
+        )}
+        {onRedetect && (
+          <button className="primary" type="button" onClick={onRedetect}>
+            Detect loaded files again with these rules
+          </button>
+        )}
+      </div>
+
+      {preview && (
+        <>
+          <div className="panel-head">
+            <h3>Preview</h3>
+            <span className="mapping-note">How {previewName} would be detected under each rule set.</span>
+          </div>
+          <div className="preview-table">
+            <table>
+              <thead>
+                <tr>
+                  <th>Role</th>
+                  {preview.map((entry) => (
+                    <th key={entry.id}>
+                      {entry.name}
+                      {entry.id === selected.id ? ' (selected)' : ''}
+                    </th>
+                  ))}
+                </tr>
+              </thead>
+              <tbody>
+                {PREVIEW_ROWS.map((row) => (
+                  <tr key={row.label}>
+                    <td>{row.label}</td>
+                    {preview.map((entry) => (
+                      <td key={entry.id}>{row.get(entry.meta) || '—'}</td>
+                    ))}
+                  </tr>
+                ))}
+              </tbody>
+            </table>
+          </div>
+        </>
+      )}
+    </section>
+  )
+}
+
+function readText(file) {
+  return new Promise((resolve, reject) => {
+    const reader = new FileReader()
+    reader.onload = () => resolve(reader.result)
+    reader.onerror = () => reject(reader.error)
+    reader.readAsText(file)
+  })
+}
+
+function RuleValue({ rule, disabled, onChange }) {
+  if (rule.kind === 'regex') {
+    return (
+      <input
+        type="text"
+        value={rule.pattern || ''}
+        placeholder="e.g. ^(outlet|shop)\b"
+        disabled={disabled}
+        aria-label="Pattern"
+        onChange={(e) => onChange({ pattern: e.target.value })}
+      />
+    )
+  }
+  if (rule.kind === 'position') {
+    return (
+      <input
+        type="number"
+        min="1"
+        value={rule.column || 1}
+        disabled={disabled}
+        aria-label="Column number"
+        onChange={(e) => onChange({ column: e.target.value })}
+      />
+    )
+  }
+  return (
+    <input
+      type="text"
+      value={(rule.values || []).join(',')}
+      placeholder="branch,store,outlet"
+      disabled={disabled}
+      aria-label="Header names"
+      onChange={(e) => onChange({ values: e.target.value.split(',') })}
+    />
+  )
+}
+
+export default DetectionRulesPanel
@@ -0,0 +1,95 @@
+import { useState } from 'react'
+import { createPortal } from 'react-dom'
+import { TABLE_FORMATS } from './download.js'
+import { EXPORT_SOURCES } from './exports.js'
+
+function ExportPanel({ onDownload, slips, slipsFrom, caption }) {
+  const [source, setSource] = useState('rows')
+  const [format, setFormat] = useState('csv')
+
+  // The slips are always in the page but only shown while printing them; see `.print-slips` in App.css.
+  const printSlips = () => {
+    document.body.classList.add('printing-slips')
+    window.print()
+    document.body.classList.remove('printing-slips')
+  }
+
+  return (
+    <section className="card">
+      <div className="panel-head">
+        <h3>Export</h3>
+      </div>
+      <div className="filters-grid">
+        <div>
+          <label htmlFor="exportSource">Data</label>
+          <select id="exportSource" value={source} onChange={(e) => setSource(e.target.value)}>
+            {EXPORT_SOURCES.map((opt) => (
+              <option key={opt.value} value={opt.value}>
+                {opt.label}
+              </option>
+            ))}
+          </select>
+        </div>
+        <div>
+          <label htmlFor="exportFormat">Format</label>
+          <select id="exportFormat" value={format} onChange={(e) => setFormat(e.target.value)}>
+            {TABLE_FORMATS.map((opt) => (
+              <option key={opt.value} value={opt.value}>
+                {opt.label}
+              </option>
+            ))}
+          </select>
+        </div>
+      </div>
+      <div className="mapping-actions">
+        <button className="primary" type="button" onClick={() => onDownload(source, format)}>
+          Download
+        </button>
+        <button className="secondary" type="button" onClick={printSlips} disabled={!slips.length}>
+          Print allocation slips ({slips.length})
+        </button>
+      </div>
+      <p className="mapping-note">
+        {slips.length
+          ? `One slip per branch from the ${slipsFrom}, for delivery teams. Choose "Save as PDF" in the print dialog to keep a file.`
+          : 'Map a branch column to print one allocation slip per branch.'}{' '}
+        The chart downloads as an image from its own "Save PNG" button.
+      </p>
+      {createPortal(
+        <div className="print-slips">
+          {slips.map((slip) => (
+            <article key={slip.branch} className="slip">
+              <h2>{slip.branch}</h2>
+              {slip.area && <p>Area: {slip.area}</p>}
+              <p className="slip-caption">{caption}</p>
+              <table>
+                <thead>
+                  <tr>
+                    <th>Product</th>
+                    <th>Quantity</th>
+                    <th>Unit</th>
+                    <th>Received</th>
+                  </tr>
+                </thead>
+                <tbody>
+                  {slip.lines.map((line) => (
+                    <tr key={line.product}>
+                      <td>{line.product}</td>
+                      <td>{Number(line.qty.toFixed(2)).toLocaleString()}</td>
+                      <td>{line.unit}</td>
+                      <td />
+                    </tr>
+                  ))}
+                </tbody>
+              </table>
+              <p className="slip-sign">Received by: ____________________ Date: ____________</p>
+            </article>
+          ))}
+        </div>,
+        document.body,
+      )}
+    </section>
+  )
+}
+
+export default ExportPanel
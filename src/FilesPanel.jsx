@@ -0,0 +1,99 @@
+import { useMemo } from 'react'
+import { mappingDifferences } from './merge.js'
+
+const ROLE_LABELS = {
+  productKey: 'product',
+  branchKey: 'branch',
+  areaKey: 'area',
+  itemKey: 'item',
+  metricKey: 'metric',
+  dateKey: 'date',
+  productColumns: 'product columns',
+  dateColumns: 'date columns',
+}
+
+function FilesPanel({ files, rows, onEditMapping, onMatchMapping, onRemove, onFilter }) {
+  const rowCounts = useMemo(() => {
+    const counts = new Map()
+    rows.forEach((row) => counts.set(row.file, (counts.get(row.file) || 0) + 1))
+    return counts
+  }, [rows])
+
+  return (
+    <section className="card">
+      <div className="panel-head">
+        <h3>Files</h3>
+        <span className="mapping-note">
+          {files.length} files merged into one dataset. Each row keeps its file name for filtering and grouping.
+        </span>
+      </div>
+      <div className="preview-table">
+        <table>
+          <thead>
+            <tr>
+              <th>File</th>
+              <th>Rows</th>
+              <th>Mapping</th>
+              <th />
+            </tr>
+          </thead>
+          <tbody>
+            {files.map((file, idx) => {
+              const differs = idx > 0 ? mappingDifferences(file, files[0]) : []
+              return (
+                <tr key={file.name}>
+                  <td>
+                    <button className="link-button" type="button" onClick={() => onFilter(file.name)}>
+                      {file.name}
+                    </button>
+                  </td>
+                  <td>
+                    {file.count.toLocaleString()}
+                    {rowCounts.get(file.name) !== file.count && ` (${(rowCounts.get(file.name) || 0).toLocaleString()} chart rows)`}
+                  </td>
+                  <td>
+                    {describeMapping(file.meta)}
+                    {differs.length > 0 && (
+                      <span className="summary-warning">
+                        {' '}
+                        Differs from {files[0].name}: {differs.map((key) => ROLE_LABELS[key]).join(', ')}
+                      </span>
+                    )}
+                  </td>
+                  <td className="file-actions">
+                    {differs.length > 0 && (
+                      <button className="link-button" type="button" onClick={() => onMatchMapping(idx)}>
+                        Use first file&apos;s mapping
+                      </button>
+                    )}
+                    <button className="link-button" type="button" onClick={() => onEditMapping(idx)}>
+                      Edit mapping
+                    </button>
+                    <button className="link-button" type="button" onClick={() => onRemove(idx)}>
+                      Remove
+                    </button>
+                  </td>
+                </tr>
+              )
+            })}
+          </tbody>
+        </table>
+      </div>
+    </section>
+  )
+}
+
+function describeMapping(meta) {
+  const parts = []
+  if (meta.productKey) parts.push(`product: ${meta.productKey}`)
+  else if (meta.productColumns?.length) parts.push(`${meta.productColumns.length} product columns`)
+  else parts.push(`product: ${meta.syntheticProductLabel}`)
+  if (meta.branchKey) parts.push(`branch: ${meta.branchKey}`)
+  if (meta.areaKey) parts.push(`area: ${meta.areaKey}`)
+  if (meta.dateKey) parts.push(`date: ${meta.dateKey}`)
+  else if (meta.dateColumns?.length) parts.push(`${meta.dateColumns.length} date columns`)
+  if (meta.metricKey) parts.push(`metric: ${meta.metricKey}`)
+  return parts.join(' · ')
+}
+
+export default FilesPanel
@@ -0,0 +1,236 @@
+import { CONFIDENCE_LEVELS, FORECAST_METHODS, trustLevel } from './forecast.js'
+
+const ROW_LIMIT = 200
+const TRUST_LABELS = { good: 'Good', fair: 'Fair', poor: 'Poor' }
+
+function ForecastPanel({ settings, onChange, result, basis, historyOptions, hasDates, currentOf }) {
+  const update = (patch) => onChange((prev) => ({ ...prev, ...patch }))
+  const series = result?.series || []
+  const shown = series.slice(0, ROW_LIMIT)
+
+  return (
+    <section className="card">
+      <div className="panel-head">
+        <h3>Forecast</h3>
+        <label className="toggle">
+          <input
+            type="checkbox"
+            checked={settings.enabled}
+            onChange={(e) => update({ enabled: e.target.checked })}
+          />{' '}
+          Suggest next-period quantities
+        </label>
+      </div>
+      {!settings.enabled ? (
+        <div className="preview-empty">
+          Forecast each branch and product from its history and compare the suggestion with the current allocation.
+        </div>
+      ) : !hasDates ? (
+        <div className="preview-empty">Map a date column, or date columns like "Oct 14 Alloc", to forecast.</div>
+      ) : (
+        <>
+          <div className="filters-grid">
+            <div>
+              <label htmlFor="forecastBasis">History from</label>
+              <select id="forecastBasis" value={basis} onChange={(e) => update({ basis: e.target.value })}>
+                <option value="__metric">Current values</option>
+                {historyOptions.map((opt) => (
+                  <option key={opt} value={opt}>
+                    {opt}
+                  </option>
+                ))}
+              </select>
+            </div>
+            <div>
+              <label htmlFor="forecastMethod">Method</label>
+              <select id="forecastMethod" value={settings.method} onChange={(e) => update({ method: e.target.value })}>
+                {FORECAST_METHODS.map((opt) => (
+                  <option key={opt.value} value={opt.value}>
+                    {opt.label}
+                  </option>
+                ))}
+              </select>
+            </div>
+            {settings.method === 'smoothing' ? (
+              <div>
+                <label htmlFor="forecastAlpha">Weight of the latest period (0–1)</label>
+                <input
+                  id="forecastAlpha"
+                  type="number"
+                  min="0.01"
+                  max="1"
+                  step="0.05"
+                  value={settings.alpha}
+                  onChange={(e) => update({ alpha: e.target.value })}
+                />
+              </div>
+            ) : (
+              <div>
+                <label htmlFor="forecastWindow">Periods averaged</label>
+                <input
+                  id="forecastWindow"
+                  type="number"
+                  min="1"
+                  step="1"
+                  value={settings.window}
+                  onChange={(e) => update({ window: e.target.value })}
+                />
+              </div>
+            )}
+            <div>
+              <label htmlFor="forecastHorizon">Periods ahead</label>
+              <input
+                id="forecastHorizon"
+                type="number"
+                min="1"
+                step="1"
+                value={settings.horizon}
+                onChange={(e) => update({ horizon: e.target.value })}
+              />
+            </div>
+            <div>
+              <label htmlFor="forecastConfidence">Band</label>
+              <select
+                id="forecastConfidence"
+                value={settings.confidence}
+                onChange={(e) => update({ confidence: Number(e.target.value) })}
+              >
+                {CONFIDENCE_LEVELS.map((opt) => (
+                  <option key={opt.value} value={opt.value}>
+                    {opt.label} confidence
+                  </option>
+                ))}
+              </select>
+            </div>
+          </div>
+
+          {!series.length ? (
+            <div className="preview-empty">The filtered rows need at least two dates to forecast.</div>
+          ) : (
+            <>
+              <p className="mapping-note">
+                Next {periodName(result.step, result.futureDates.length)} after{' '}
+                {result.timeline[result.timeline.length - 1]}, from {result.timeline.length} dates of history.
+              </p>
+              <div className="preview-table">
+                <table>
+                  <thead>
+                    <tr>
+                      <th>Branch</th>
+                      <th>Product</th>
+                      <th>Latest period</th>
+                      <th>
+                        Suggested
+                        {result.futureDates.length > 1 ? ` (${result.futureDates.length} periods)` : ''}
+                      </th>
+                      <th>Range</th>
+                      <th />
+                    </tr>
+                  </thead>
+                  <tbody>
+                    {shown.map((row) => {
+                      const current = currentOf(row)
+                      return (
+                        <tr key={row.key}>
+                          <td>{row.branch || '—'}</td>
+                          <td>{row.product}</td>
+                          <td>{formatQty(current)}</td>
+                          <td>
+                            <strong>{formatQty(row.forecast)}</strong>
+                          </td>
+                          <td>
+                            {formatQty(row.low)} – {formatQty(row.high)}
+                          </td>
+                          <td>
+                            <ForecastBand row={row} current={current} />
+                          </td>
+                        </tr>
+                      )
+                    })}
+                  </tbody>
+                </table>
+              </div>
+              {series.length > shown.length && (
+                <p className="mapping-note">
+                  Showing {shown.length} of {series.length}; narrow the filters to see the rest.
+                </p>
+              )}
+
+              <div className="panel-head">
+                <h3>Backtest by branch</h3>
+                <span className="mapping-note">
+                  Each history's last {result.futureDates.length} periods forecast from the ones before.
+                </span>
+              </div>
+              <div className="preview-table">
+                <table>
+                  <thead>
+                    <tr>
+                      <th>Branch</th>
+                      <th>Area</th>
+                      <th>Histories</th>
+                      <th>Error</th>
+                      <th>Bias</th>
+                      <th>Trust</th>
+                    </tr>
+                  </thead>
+                  <tbody>
+                    {result.branches.map((branch) => {
+                      const trust = trustLevel(branch.wape)
+                      return (
+                        <tr key={branch.branch}>
+                          <td>{branch.branch || '—'}</td>
+                          <td>{branch.area || '—'}</td>
+                          <td>
+                            {branch.tested} of {branch.series}
+                          </td>
+                          <td>{branch.wape === null ? '—' : `${branch.wape.toFixed(1)}%`}</td>
+                          <td>{branch.bias === null ? '—' : `${branch.bias > 0 ? '+' : ''}${branch.bias.toFixed(1)}%`}</td>
+                          <td>
+                            {trust ? (
+                              <span className={`trust trust-${trust}`}>{TRUST_LABELS[trust]}</span>
+                            ) : (
+                              'Not enough history'
+                            )}
+                          </td>
+                        </tr>
+                      )
+                    })}
+                  </tbody>
+                </table>
+              </div>
+            </>
+          )}
+        </>
+      )}
+    </section>
+  )
+}
+
+// The shaded range is the confidence band, the dark tick the suggestion and the hollow tick the current value.
+function ForecastBand({ row, current }) {
+  const scale = Math.max(row.high, current || 0, 1)
+  const at = (value) => `${Math.min(100, (value / scale) * 100)}%`
+  return (
+    <div className="forecast-band" title={`Suggested ${formatQty(row.forecast)}, current ${formatQty(current)}`}>
+      <div
+        className="forecast-band-range"
+        style={{ left: at(row.low), width: `calc(${at(row.high)} - ${at(row.low)})` }}
+      />
+      <div className="forecast-band-mark" style={{ left: at(row.forecast) }} />
+      {current !== null && <div className="forecast-band-current" style={{ left: at(current) }} />}
+    </div>
+  )
+}
+
+function periodName(step, count) {
+  const unit = step === 1 ? 'day' : step === 7 ? 'week' : step >= 28 && step <= 31 ? 'month' : `${step}-day period`
+  return count === 1 ? unit : `${count} ${unit}s`
+}
+
+function formatQty(value) {
+  if (value === null || value === undefined) return '—'
+  return Number(value.toFixed(1)).toLocaleString()
+}
+
+export default ForecastPanel
@@ -0,0 +1,123 @@
+import { useState } from 'react'
+
+function LibraryPanel({ datasets, current, usage, onOpen, onDuplicate, onDelete, onRename }) {
+  const [confirming, setConfirming] = useState(null)
+  const [draftName, setDraftName] = useState(null)
+
+  const libraryBytes = datasets.reduce((sum, d) => sum + (d.bytes || 0), 0)
+  const usedBytes = usage?.usage ?? libraryBytes
+  const share = usage?.quota ? Math.min(100, (usedBytes / usage.quota) * 100) : null
+  const nameValue = draftName ?? current?.name ?? ''
+
+  const commitName = () => {
+    const name = (draftName ?? '').trim()
+    setDraftName(null)
+    if (current && name && name !== current.name) onRename(current.id, name)
+  }
+
+  return (
+    <section className="card">
+      <div className="panel-head">
+        <h3>Saved datasets</h3>
+        <div className="storage-usage" title={`${formatBytes(libraryBytes)} in saved datasets`}>
+          <span className="mapping-note">
+            {formatBytes(usedBytes)} used{usage?.quota ? ` of ${formatBytes(usage.quota)}` : ''}
+          </span>
+          {share !== null && (
+            <div className="storage-bar">
+              <div style={{ width: `${Math.max(share, 1)}%` }} />
+            </div>
+          )}
+        </div>
+      </div>
+
+      {current && (
+        <div className="library-current">
+          <label htmlFor="datasetName">Current dataset</label>
+          <input
+            id="datasetName"
+            type="text"
+            value={nameValue}
+            onChange={(e) => setDraftName(e.target.value)}
+            onBlur={commitName}
+            onKeyDown={(e) => {
+              if (e.key === 'Enter') e.currentTarget.blur()
+              if (e.key === 'Escape') setDraftName(null)
+            }}
+          />
+          <span className="mapping-note">Changes are saved automatically.</span>
+        </div>
+      )}
+
+      {!datasets.length ? (
+        <div className="preview-empty">Nothing saved yet. Every file you load is kept here as its own dataset.</div>
+      ) : (
+        <div className="preview-table">
+          <table>
+            <thead>
+              <tr>
+                <th>Name</th>
+                <th>Files</th>
+                <th>Rows</th>
+                <th>Updated</th>
+                <th>Size</th>
+                <th />
+              </tr>
+            </thead>
+            <tbody>
+              {datasets.map((d) => (
+                <tr key={d.id} className={d.id === current?.id ? 'library-active' : ''}>
+                  <td>{d.name}</td>
+                  <td>{d.files.join(', ')}</td>
+                  <td>{d.rows.toLocaleString()}</td>
+                  <td>{new Date(d.updatedAt).toLocaleString()}</td>
+                  <td>{formatBytes(d.bytes)}</td>
+                  <td className="file-actions">
+                    {d.id !== current?.id && (
+                      <button className="link-button" type="button" onClick={() => onOpen(d.id)}>
+                        Open
+                      </button>
+                    )}
+                    <button className="link-button" type="button" onClick={() => onDuplicate(d.id)}>
+                      Duplicate
+                    </button>
+                    {confirming === d.id ? (
+                      <>
+                        <button
+                          className="link-button danger"
+                          type="button"
+                          onClick={() => {
+                            setConfirming(null)
+                            onDelete(d.id)
+                          }}
+                        >
+                          Really delete
+                        </button>
+                        <button className="link-button" type="button" onClick={() => setConfirming(null)}>
+                          Keep
+                        </button>
+                      </>
+                    ) : (
+                      <button className="link-button" type="button" onClick={() => setConfirming(d.id)}>
+                        Delete
+                      </button>
+                    )}
+                  </td>
+                </tr>
+              ))}
+            </tbody>
+          </table>
+        </div>
+      )}
+    </section>
+  )
+}
+
+function formatBytes(bytes = 0) {
+  if (bytes < 1024) return `${bytes} B`
+  if (bytes < 1024 * 1024) return `${(bytes / 1024).toFixed(1)} KB`
+  if (bytes < 1024 * 1024 * 1024) return `${(bytes / (1024 * 1024)).toFixed(1)} MB`
+  return `${(bytes / (1024 * 1024 * 1024)).toFixed(1)} GB`
+}
+
+export default LibraryPanel
@@ -0,0 +1,263 @@
+import { useMemo, useState } from 'react'
+import { headerDates, headersNeedYear, valueDates, valuesNeedYear } from './dates.js'
+
+const ROLES = [
+  { value: 'ignore', label: 'Ignore' },
+  { value: 'productKey', label: 'Product label' },
+  { value: 'branchKey', label: 'Branch' },
+  { value: 'areaKey', label: 'Area' },
+  { value: 'itemKey', label: 'Item description' },
+  { value: 'metricKey', label: 'Metric' },
+  { value: 'extraMetric', label: 'Additional metric' },
+  { value: 'uomKey', label: 'Unit of measure' },
+  { value: 'conversionKey', label: 'Kg per piece' },
+  { value: 'caseKey', label: 'Pieces per case' },
+  { value: 'dateKey', label: 'Date or period' },
+  { value: 'productColumn', label: 'Product column' },
+  { value: 'dateColumn', label: 'Date column' },
+]
+
+const SINGLE_ROLES = [
+  'productKey',
+  'branchKey',
+  'areaKey',
+  'itemKey',
+  'metricKey',
+  'uomKey',
+  'conversionKey',
+  'caseKey',
+  'dateKey',
+]
+
+function MappingWizard({
+  headers,
+  rawHeaders,
+  rows,
+  fileName,
+  initialMapping,
+  profile,
+  onApply,
+  onForgetProfile,
+  onCancel,
+}) {
+  const [roles, setRoles] = useState(() => rolesFromMapping(headers, initialMapping))
+  const [syntheticLabel, setSyntheticLabel] = useState(initialMapping.syntheticProductLabel || 'All Products')
+  const [dateYear, setDateYear] = useState(initialMapping.dateYear ? String(initialMapping.dateYear) : '')
+  const [saveProfile, setSaveProfile] = useState(!profile)
+  const [profileName, setProfileName] = useState(profile?.name || fileName || 'Mapping profile')
+
+  const samples = useMemo(
+    () =>
+      Object.fromEntries(
+        headers.map((h) => [
+          h,
+          rows
+            .map((r) => String(r[h] ?? '').trim())
+            .filter(Boolean)
+            .slice(0, 3),
+        ]),
+      ),
+    [headers, rows],
+  )
+
+  const mapping = mappingFromRoles(headers, roles, syntheticLabel, dateYear)
+  const needsSyntheticLabel = !mapping.productKey && !mapping.productColumns.length
+  // The year prompt covers date headers such as "Oct 14 Alloc", or else the cells of the date column.
+  const dateCells = !mapping.dateColumns.length && mapping.dateKey ? rows.map((r) => r[mapping.dateKey]) : []
+  const needsYear = headersNeedYear(mapping.dateColumns) || valuesNeedYear(dateCells)
+  const columnDates = new Map(
+    headerDates(mapping.dateColumns, { startYear: mapping.dateYear }).map((date, idx) => [mapping.dateColumns[idx], date]),
+  )
+  const firstDate = mapping.dateColumns.length
+    ? columnDates.get(mapping.dateColumns[0])
+    : valueDates(dateCells, { startYear: mapping.dateYear }).find(Boolean)
+  const productColumnCount = mapping.productColumns.length
+
+  const setRole = (header, role) => {
+    setRoles((prev) => {
+      const next = { ...prev }
+      if (SINGLE_ROLES.includes(role)) {
+        Object.keys(next).forEach((h) => {
+          if (next[h] === role) next[h] = 'ignore'
+        })
+      }
+      next[header] = role
+      return next
+    })
+  }
+
+  const excludeAllProductColumns = () => {
+    setRoles((prev) =>
+      Object.fromEntries(Object.entries(prev).map(([h, r]) => [h, r === 'productColumn' ? 'ignore' : r])),
+    )
+  }
+
+  const handleApply = () => {
+    const name = saveProfile ? profileName.trim() : ''
+    onApply(mapping, name)
+  }
+
+  return (
+    <section className="card mapping-card">
+      <div className="mapping-head">
+        <div>
+          <h3>Column mapping</h3>
+          <p className="mapping-note">
+            {fileName ? `${fileName}: ` : ''}assign a role to each column. Product columns turn a wide layout
+            into one row per product; date columns such as "Oct 14 Alloc" into one row per date.
+          </p>
+        </div>
+        {profile && (
+          <div className="pill">
+            Saved profile: {profile.name}{' '}
+            <button className="link-button" type="button" onClick={onForgetProfile}>
+              Forget
+            </button>
+          </div>
+        )}
+      </div>
+
+      <div className="preview-table">
+        <table>
+          <thead>
+            <tr>
+              <th>Column</th>
+              <th>Sample values</th>
+              <th>Role</th>
+            </tr>
+          </thead>
+          <tbody>
+            {headers.map((h, idx) => (
+              <tr key={h}>
+                <td>
+                  {h}
+                  {rawHeaders[idx] !== undefined && rawHeaders[idx].trim() !== h && (
+                    <span className="mapping-raw"> (file: {rawHeaders[idx] || 'blank'})</span>
+                  )}
+                  {roles[h] === 'dateColumn' && (
+                    <span className="mapping-raw"> ({columnDates.get(h) || 'no date in the name'})</span>
+                  )}
+                </td>
+                <td>{samples[h].length ? samples[h].join(', ') : '—'}</td>
+                <td>
+                  <select value={roles[h]} onChange={(e) => setRole(h, e.target.value)}>
+                    {ROLES.map((opt) => (
+                      <option key={opt.value} value={opt.value}>
+                        {opt.label}
+                      </option>
+                    ))}
+                  </select>
+                </td>
+              </tr>
+            ))}
+          </tbody>
+        </table>
+      </div>
+
+      <div className="mapping-options">
+        <div>
+          <label htmlFor="syntheticLabel">Product label when no product column is mapped</label>
+          <input
+            id="syntheticLabel"
+            type="text"
+            value={syntheticLabel}
+            onChange={(e) => setSyntheticLabel(e.target.value)}
+            disabled={!needsSyntheticLabel}
+          />
+        </div>
+        {needsYear && (
+          <div>
+            <label htmlFor="dateYear">Year of the first {mapping.dateColumns.length ? 'date column' : 'date'}</label>
+            <input
+              id="dateYear"
+              type="number"
+              min="1900"
+              step="1"
+              value={dateYear}
+              placeholder={firstDate?.slice(0, 4) || ''}
+              onChange={(e) => setDateYear(e.target.value)}
+            />
+            <span className="mapping-note">
+              Left empty, the dates end on or before today; the year rolls over where the months go backwards.
+            </span>
+          </div>
+        )}
+        <div>
+          <label htmlFor="profileName">
+            <input
+              type="checkbox"
+              checked={saveProfile}
+              onChange={(e) => setSaveProfile(e.target.checked)}
+            />{' '}
+            Remember for files with these headers
+          </label>
+          <input
+            id="profileName"
+            type="text"
+            value={profileName}
+            onChange={(e) => setProfileName(e.target.value)}
+            disabled={!saveProfile}
+          />
+        </div>
+      </div>
+
+      <div className="mapping-actions">
+        <button type="button" className="primary" onClick={handleApply}>
+          Apply mapping
+        </button>
+        {productColumnCount > 0 && (
+          <button type="button" className="secondary" onClick={excludeAllProductColumns}>
+            Exclude all product columns ({productColumnCount})
+          </button>
+        )}
+        <button type="button" className="secondary" onClick={onCancel}>
+          Cancel
+        </button>
+      </div>
+    </section>
+  )
+}
+
+export default MappingWizard
+
+function rolesFromMapping(headers, mapping) {
+  const productColumns = new Set(mapping.productColumns || [])
+  const dateColumns = new Set(mapping.dateColumns || [])
+  const metricKeys = new Set(mapping.metricKeys || [])
+  return Object.fromEntries(
+    headers.map((h) => {
+      if (productColumns.has(h)) return [h, 'productColumn']
+      if (dateColumns.has(h)) return [h, 'dateColumn']
+      const role = SINGLE_ROLES.find((key) => mapping[key] === h)
+      if (role) return [h, role]
+      return [h, metricKeys.has(h) ? 'extraMetric' : 'ignore']
+    }),
+  )
+}
+
+function mappingFromRoles(headers, roles, syntheticProductLabel, dateYear) {
+  const mapping = {
+    productKey: null,
+    branchKey: null,
+    areaKey: null,
+    itemKey: null,
+    metricKey: null,
+    metricKeys: [],
+    uomKey: null,
+    conversionKey: null,
+    caseKey: null,
+    dateKey: null,
+    productColumns: [],
+    dateColumns: [],
+    dateYear: Number(dateYear) || null,
+    syntheticProductLabel,
+  }
+  headers.forEach((h) => {
+    const role = roles[h]
+    if (role === 'productColumn') mapping.productColumns.push(h)
+    else if (role === 'dateColumn') mapping.dateColumns.push(h)
+    else if (role === 'extraMetric') mapping.metricKeys.push(h)
+    else if (SINGLE_ROLES.includes(role)) mapping[role] = h
+  })
+  return mapping
+}
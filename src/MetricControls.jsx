@@ -0,0 +1,106 @@
+import { useState } from 'react'
+import { AGGREGATIONS } from './metrics.js'
+import { compileFormula } from './formula.js'
+
+function MetricControls({ options, active, aggregation, names, onSelect, onAggregation, onAddDerived, onRemoveDerived }) {
+  const [editorOpen, setEditorOpen] = useState(false)
+  const [name, setName] = useState('')
+  const [formula, setFormula] = useState('')
+  const [error, setError] = useState('')
+
+  const derived = options.filter((opt) => opt.kind === 'derived')
+
+  const addDerived = () => {
+    const trimmed = name.trim()
+    if (!trimmed) return setError('Give the metric a name.')
+    if (options.some((opt) => opt.label.toLowerCase() === trimmed.toLowerCase())) {
+      return setError(`A metric named "${trimmed}" already exists.`)
+    }
+    try {
+      compileFormula(formula, names)
+    } catch (err) {
+      return setError(err.message)
+    }
+    onAddDerived({ name: trimmed, formula: formula.trim() })
+    setName('')
+    setFormula('')
+    setError('')
+  }
+
+  return (
+    <div className="metric-controls">
+      <div className="metric-switch">
+        <select
+          className="pill pill-select"
+          value={active.id}
+          onChange={(e) => onSelect(e.target.value)}
+          aria-label="Metric"
+        >
+          {options.map((opt) => (
+            <option key={opt.id} value={opt.id}>
+              Metric: {opt.label}
+            </option>
+          ))}
+        </select>
+        <select
+          className="compact-select"
+          value={aggregation}
+          onChange={(e) => onAggregation(e.target.value)}
+          aria-label="Aggregation"
+        >
+          {AGGREGATIONS.map((agg) => (
+            <option key={agg.value} value={agg.value}>
+              {agg.label}
+            </option>
+          ))}
+        </select>
+        <button className="link-button" type="button" onClick={() => setEditorOpen((open) => !open)}>
+          {editorOpen ? 'Hide calculated metrics' : 'Calculated metrics'}
+        </button>
+      </div>
+      {active.error && <div className="status error">{active.label}: {active.error}</div>}
+      {editorOpen && (
+        <div className="metric-editor">
+          <p className="mapping-note">
+            Combine columns with + - * / and parentheses, for example <code>alloc / daily sales</code>. Available:{' '}
+            {names.join(', ')}.
+          </p>
+          <div className="metric-form">
+            <input
+              type="text"
+              placeholder="Name, e.g. Days of cover"
+              value={name}
+              onChange={(e) => setName(e.target.value)}
+              aria-label="Calculated metric name"
+            />
+            <input
+              type="text"
+              placeholder="Formula"
+              value={formula}
+              onChange={(e) => setFormula(e.target.value)}
+              aria-label="Calculated metric formula"
+            />
+            <button className="secondary" type="button" onClick={addDerived}>
+              Add
+            </button>
+          </div>
+          {error && <div className="status error">{error}</div>}
+          {derived.length > 0 && (
+            <ul className="metric-list">
+              {derived.map((opt) => (
+                <li key={opt.id}>
+                  <strong>{opt.label}</strong> = <code>{opt.formula}</code>{' '}
+                  <button className="link-button" type="button" onClick={() => onRemoveDerived(opt.label)}>
+                    Remove
+                  </button>
+                </li>
+              ))}
+            </ul>
+          )}
+        </div>
+      )}
+    </div>
+  )
+}
+
+export default MetricControls
@@ -0,0 +1,136 @@
+import { useEffect, useMemo, useRef, useState } from 'react'
+import { describeSelection, isActive, toggleValue } from './filters.js'
+
+const LIST_LIMIT = 200
+
+function MultiSelectFilter({ id, label, noun, plural, options, groups = null, selection, onChange, disabled, disabledLabel }) {
+  const [open, setOpen] = useState(false)
+  const [query, setQuery] = useState('')
+  const rootRef = useRef(null)
+
+  useEffect(() => {
+    if (!open) return
+    const close = (event) => {
+      if (event.type === 'keydown' && event.key !== 'Escape') return
+      if (event.type === 'mousedown' && rootRef.current?.contains(event.target)) return
+      setOpen(false)
+    }
+    document.addEventListener('mousedown', close)
+    document.addEventListener('keydown', close)
+    return () => {
+      document.removeEventListener('mousedown', close)
+      document.removeEventListener('keydown', close)
+    }
+  }, [open])
+
+  const needle = query.trim().toLowerCase()
+  const matches = useMemo(
+    () => (needle ? options.filter((opt) => opt.toLowerCase().includes(needle)) : options),
+    [needle, options],
+  )
+  const shown = useMemo(() => matches.slice(0, LIST_LIMIT), [matches])
+  const visibleGroups = useMemo(() => {
+    if (!groups) return null
+    const wanted = new Set(shown)
+    return groups
+      .map((group) => ({ ...group, values: group.values.filter((value) => wanted.has(value)) }))
+      .filter((group) => group.values.length)
+  }, [groups, shown])
+
+  const setValues = (values) => onChange({ ...selection, values })
+  const addAll = (values) => setValues(Array.from(new Set([...selection.values, ...values])))
+  const toggleGroup = (values) => {
+    const allIn = values.every((value) => selection.values.includes(value))
+    if (allIn) setValues(selection.values.filter((value) => !values.includes(value)))
+    else addAll(values)
+  }
+
+  const renderOption = (value) => (
+    <label key={value} className="toggle multi-filter-option">
+      <input
+        type="checkbox"
+        checked={selection.values.includes(value)}
+        onChange={() => onChange(toggleValue(selection, value))}
+      />{' '}
+      {value}
+    </label>
+  )
+
+  return (
+    <div className="multi-filter" ref={rootRef}>
+      <label htmlFor={id}>{label}</label>
+      <button
+        id={id}
+        type="button"
+        className={`multi-filter-toggle ${isActive(selection) ? 'active' : ''}`}
+        onClick={() => setOpen((prev) => !prev)}
+        disabled={disabled}
+        aria-expanded={open}
+      >
+        {disabled ? disabledLabel : describeSelection(selection, noun, plural)}
+      </button>
+      {open && !disabled && (
+        <div className="multi-filter-panel">
+          <input
+            type="search"
+            value={query}
+            onChange={(e) => setQuery(e.target.value)}
+            placeholder={`Search ${plural}`}
+            aria-label={`Search ${plural}`}
+            autoFocus
+          />
+          <div className="multi-filter-modes">
+            <label className="toggle">
+              <input
+                type="radio"
+                name={`${id}-mode`}
+                checked={selection.mode === 'include'}
+                onChange={() => onChange({ ...selection, mode: 'include' })}
+              />{' '}
+              Include
+            </label>
+            <label className="toggle">
+              <input
+                type="radio"
+                name={`${id}-mode`}
+                checked={selection.mode === 'exclude'}
+                onChange={() => onChange({ ...selection, mode: 'exclude' })}
+              />{' '}
+              Exclude
+            </label>
+            <button className="link-button" type="button" onClick={() => addAll(matches)}>
+              Select {needle ? 'matches' : 'all'}
+            </button>
+            <button className="link-button" type="button" onClick={() => setValues([])} disabled={!isActive(selection)}>
+              Clear
+            </button>
+          </div>
+          <div className="multi-filter-list">
+            {visibleGroups
+              ? visibleGroups.map((group) => (
+                  <div key={group.label} className="multi-filter-group">
+                    <div className="multi-filter-group-head">
+                      <strong>{group.label}</strong>
+                      <button className="link-button" type="button" onClick={() => toggleGroup(group.values)}>
+                        {group.values.every((value) => selection.values.includes(value)) ? 'None' : 'All'} in{' '}
+                        {group.label}
+                      </button>
+                    </div>
+                    {group.values.map(renderOption)}
+                  </div>
+                ))
+              : shown.map(renderOption)}
+            {!matches.length && <div className="preview-empty">No {plural} match.</div>}
+            {matches.length > shown.length && (
+              <div className="mapping-note">
+                {matches.length - shown.length} more; refine the search to see them.
+              </div>
+            )}
+          </div>
+        </div>
+      )}
+    </div>
+  )
+}
+
+export default MultiSelectFilter
@@ -0,0 +1,194 @@
+import { useMemo, useState } from 'react'
+import { buildPivot, pivotToTable } from './pivot.js'
+import { TABLE_FORMATS, downloadTable } from './download.js'
+
+function PivotPanel({ rows, dimensions, hasAreas }) {
+  const [rowDim, setRowDim] = useState(() => (dimensions.some((d) => d.value === 'branch') ? 'branch' : 'product'))
+  const [colDim, setColDim] = useState('product')
+  const [heatmap, setHeatmap] = useState(true)
+  const [collapsed, setCollapsed] = useState(() => new Set())
+
+  const activeRowDim = dimensions.some((d) => d.value === rowDim) ? rowDim : dimensions[0]?.value || 'product'
+  const colChoices = useMemo(() => dimensions.filter((d) => d.value !== activeRowDim), [activeRowDim, dimensions])
+  const activeColDim = colChoices.some((d) => d.value === colDim) ? colDim : colChoices[0]?.value || null
+  const groupByArea = activeRowDim === 'branch' && hasAreas
+  const rowLabel = dimensions.find((d) => d.value === activeRowDim)?.label || 'Row'
+
+  const pivot = useMemo(
+    () => (activeColDim ? buildPivot(rows, activeRowDim, activeColDim, { groupByArea }) : null),
+    [activeColDim, activeRowDim, groupByArea, rows],
+  )
+
+  const shade = (value) => {
+    if (!heatmap || !pivot?.maxCell || !value) return undefined
+    const strength = Math.min(1, Math.abs(value) / pivot.maxCell)
+    const color = value < 0 ? '235, 87, 87' : '47, 128, 237'
+    return { background: `rgba(${color}, ${(0.06 + strength * 0.5).toFixed(3)})` }
+  }
+
+  const toggleArea = (key) =>
+    setCollapsed((prev) => {
+      const next = new Set(prev)
+      if (next.has(key)) next.delete(key)
+      else next.add(key)
+      return next
+    })
+
+  const exportTable = (format) => {
+    if (!pivot) return
+    const table = pivotToTable(pivot, rowLabel, { groupByArea })
+    downloadTable(`pivot-${activeRowDim}-by-${activeColDim}`, table, format).catch((err) => console.error(err))
+  }
+
+  const renderCells = (cells) =>
+    pivot.colKeys.map((col) => {
+      const value = cells.get(col) || 0
+      return (
+        <td key={col} className="num" style={shade(value)}>
+          {value ? value.toLocaleString() : '—'}
+        </td>
+      )
+    })
+
+  return (
+    <section className="card">
+      <div className="panel-head">
+        <h3>Pivot</h3>
+        <div className="panel-actions">
+          <select
+            className="compact-select"
+            value={activeRowDim}
+            onChange={(e) => setRowDim(e.target.value)}
+            aria-label="Pivot rows"
+          >
+            {dimensions.map((d) => (
+              <option key={d.value} value={d.value}>
+                Rows: {d.label}
+              </option>
+            ))}
+          </select>
+          <select
+            className="compact-select"
+            value={activeColDim || ''}
+            onChange={(e) => setColDim(e.target.value)}
+            disabled={!colChoices.length}
+            aria-label="Pivot columns"
+          >
+            {colChoices.map((d) => (
+              <option key={d.value} value={d.value}>
+                Columns: {d.label}
+              </option>
+            ))}
+          </select>
+          <label className="toggle">
+            <input type="checkbox" checked={heatmap} onChange={(e) => setHeatmap(e.target.checked)} /> Heatmap
+          </label>
+          {groupByArea && (
+            <>
+              <button
+                className="link-button"
+                type="button"
+                onClick={() => setCollapsed(new Set(pivot?.groups.map((g) => g.key)))}
+              >
+                Collapse areas
+              </button>
+              <button className="link-button" type="button" onClick={() => setCollapsed(new Set())}>
+                Expand areas
+              </button>
+            </>
+          )}
+          {TABLE_FORMATS.map((format) => (
+            <button
+              key={format.value}
+              className="secondary"
+              type="button"
+              onClick={() => exportTable(format.value)}
+              disabled={!pivot || !rows.length}
+            >
+              Export {format.value.toUpperCase()}
+            </button>
+          ))}
+        </div>
+      </div>
+      {!pivot ? (
+        <div className="preview-empty">Map a branch or area column to cross-tabulate it against products.</div>
+      ) : !rows.length ? (
+        <div className="preview-empty">No rows match your filters yet.</div>
+      ) : (
+        <div className="preview-table pivot-table">
+          <table>
+            <thead>
+              <tr>
+                <th>{rowLabel}</th>
+                {pivot.colKeys.map((col) => (
+                  <th key={col} className="num">
+                    {col}
+                  </th>
+                ))}
+                <th className="num">Total</th>
+              </tr>
+            </thead>
+            <tbody>
+              {pivot.groups.map((group) =>
+                groupByArea ? (
+                  <PivotGroup
+                    key={group.key}
+                    group={group}
+                    collapsed={collapsed.has(group.key)}
+                    onToggle={() => toggleArea(group.key)}
+                    renderCells={renderCells}
+                  />
+                ) : (
+                  group.rows.map((row) => (
+                    <tr key={row.key}>
+                      <td>{row.key}</td>
+                      {renderCells(row.cells)}
+                      <td className="num pivot-total">{row.total.toLocaleString()}</td>
+                    </tr>
+                  ))
+                ),
+              )}
+            </tbody>
+            <tfoot>
+              <tr>
+                <td>Total</td>
+                {pivot.colKeys.map((col) => (
+                  <td key={col} className="num">
+                    {(pivot.colTotals.get(col) || 0).toLocaleString()}
+                  </td>
+                ))}
+                <td className="num">{pivot.grandTotal.toLocaleString()}</td>
+              </tr>
+            </tfoot>
+          </table>
+        </div>
+      )}
+    </section>
+  )
+}
+
+function PivotGroup({ group, collapsed, onToggle, renderCells }) {
+  return (
+    <>
+      <tr className="pivot-subtotal">
+        <td>
+          <button className="sort-button" type="button" onClick={onToggle} aria-expanded={!collapsed}>
+            {collapsed ? '▸' : '▾'} {group.key}
+          </button>
+        </td>
+        {renderCells(group.cells)}
+        <td className="num pivot-total">{group.total.toLocaleString()}</td>
+      </tr>
+      {!collapsed &&
+        group.rows.map((row) => (
+          <tr key={row.key}>
+            <td className="pivot-child">{row.key}</td>
+            {renderCells(row.cells)}
+            <td className="num pivot-total">{row.total.toLocaleString()}</td>
+          </tr>
+        ))}
+    </>
+  )
+}
+
+export default PivotPanel
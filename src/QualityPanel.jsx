@@ -0,0 +1,74 @@
+import { useState } from 'react'
+
+function QualityPanel({ issues, fileName, onShowRows }) {
+  const [open, setOpen] = useState(() => new Set())
+
+  const toggle = (id) =>
+    setOpen((prev) => {
+      const next = new Set(prev)
+      if (next.has(id)) next.delete(id)
+      else next.add(id)
+      return next
+    })
+
+  return (
+    <section className="card">
+      <div className="panel-head">
+        <h3>Data quality</h3>
+        <span className="mapping-note">{fileName || 'Current file'}</span>
+      </div>
+      {!issues.length ? (
+        <div className="preview-empty">No problems found: every numeric cell parsed and every row had the expected shape.</div>
+      ) : (
+        <ul className="quality-list">
+          {issues.map((issue) => (
+            <li key={issue.id} className={`quality-issue quality-${issue.severity}`}>
+              <div className="quality-row">
+                <button
+                  className="sort-button"
+                  type="button"
+                  onClick={() => toggle(issue.id)}
+                  aria-expanded={open.has(issue.id)}
+                >
+                  {open.has(issue.id) ? '▾' : '▸'} {issue.title}
+                </button>
+                <span className="quality-summary">{issue.summary}</span>
+                {issue.rowIndexes.length > 0 && (
+                  <button
+                    className="link-button"
+                    type="button"
+                    onClick={() => onShowRows(issue.title, issue.rowIndexes)}
+                  >
+                    Show {issue.rowIndexes.length} row{issue.rowIndexes.length === 1 ? '' : 's'}
+                  </button>
+                )}
+              </div>
+              {open.has(issue.id) && (
+                <ul className="quality-examples">
+                  {issue.examples.map((example, idx) => (
+                    <li key={idx}>
+                      {example.rowIndexes?.length ? (
+                        <button
+                          className="link-button"
+                          type="button"
+                          onClick={() => onShowRows(`${issue.title}: ${example.text}`, example.rowIndexes)}
+                        >
+                          {example.text}
+                        </button>
+                      ) : (
+                        example.text
+                      )}
+                    </li>
+                  ))}
+                  {issue.hidden > 0 && <li className="mapping-note">…and {issue.hidden} more.</li>}
+                </ul>
+              )}
+            </li>
+          ))}
+        </ul>
+      )}
+    </section>
+  )
+}
+
+export default QualityPanel
@@ -0,0 +1,230 @@
+import { RULE_ACTIONS, RULE_FIELDS, createRule, createScenario, describeRule } from './scenarios.js'
+
+function ScenariosPanel({ scenarios, onChange, options, comparison, dimension }) {
+  const active = scenarios.list.find((scenario) => scenario.id === scenarios.active) || null
+  const fields = RULE_FIELDS.filter((field) => options[field.value]?.length)
+
+  const updateActive = (patch) =>
+    onChange((prev) => ({
+      ...prev,
+      list: prev.list.map((scenario) => (scenario.id === prev.active ? { ...scenario, ...patch } : scenario)),
+    }))
+  const updateRule = (id, patch) =>
+    updateActive({ rules: active.rules.map((rule) => (rule.id === id ? { ...rule, ...patch } : rule)) })
+
+  const addScenario = (from) => {
+    const scenario = from
+      ? createScenario(`${from.name} (copy)`, from.rules)
+      : createScenario(`Scenario ${scenarios.list.length + 1}`)
+    onChange((prev) => ({ list: [...prev.list, scenario], active: scenario.id }))
+  }
+  const removeActive = () =>
+    onChange((prev) => ({ list: prev.list.filter((scenario) => scenario.id !== prev.active), active: null }))
+
+  return (
+    <section className="card">
+      <div className="panel-head">
+        <h3>Scenarios</h3>
+        <div className="panel-actions">
+          <button type="button" className="secondary" onClick={() => addScenario(null)} disabled={!fields.length}>
+            New scenario
+          </button>
+          {active && (
+            <>
+              <button type="button" className="secondary" onClick={() => addScenario(active)}>
+                Duplicate
+              </button>
+              <button type="button" className="secondary" onClick={removeActive}>
+                Delete
+              </button>
+            </>
+          )}
+        </div>
+      </div>
+      {!scenarios.list.length ? (
+        <div className="preview-empty">
+          {fields.length
+            ? 'Try what-if changes like "+15% for Area North" or "close branch X" without touching the data.'
+            : 'Map an area, branch or product column to build scenarios.'}
+        </div>
+      ) : (
+        <>
+          <div className="filters-grid">
+            <div>
+              <label htmlFor="scenarioActive">Showing</label>
+              <select
+                id="scenarioActive"
+                value={scenarios.active || ''}
+                onChange={(e) => onChange((prev) => ({ ...prev, active: e.target.value || null }))}
+              >
+                <option value="">Base data</option>
+                {scenarios.list.map((scenario) => (
+                  <option key={scenario.id} value={scenario.id}>
+                    {scenario.name}
+                  </option>
+                ))}
+              </select>
+            </div>
+            {active && (
+              <div>
+                <label htmlFor="scenarioName">Name</label>
+                <input
+                  id="scenarioName"
+                  type="text"
+                  value={active.name}
+                  onChange={(e) => updateActive({ name: e.target.value })}
+                />
+              </div>
+            )}
+          </div>
+
+          {active && (
+            <>
+              {active.rules.map((rule) => (
+                <div key={rule.id} className="filters-grid">
+                  <div>
+                    <label htmlFor={`${rule.id}-field`}>Applies to</label>
+                    <select
+                      id={`${rule.id}-field`}
+                      value={rule.field}
+                      onChange={(e) => updateRule(rule.id, { field: e.target.value, value: '' })}
+                    >
+                      {fields.map((opt) => (
+                        <option key={opt.value} value={opt.value}>
+                          {opt.label}
+                        </option>
+                      ))}
+                    </select>
+                  </div>
+                  <div>
+                    <label htmlFor={`${rule.id}-value`}>Value</label>
+                    <select
+                      id={`${rule.id}-value`}
+                      value={rule.value}
+                      onChange={(e) => updateRule(rule.id, { value: e.target.value })}
+                    >
+                      <option value="">Choose…</option>
+                      {(options[rule.field] || []).map((value) => (
+                        <option key={value} value={value}>
+                          {value}
+                        </option>
+                      ))}
+                    </select>
+                  </div>
+                  <div>
+                    <label htmlFor={`${rule.id}-action`}>Change</label>
+                    <select
+                      id={`${rule.id}-action`}
+                      value={rule.action}
+                      onChange={(e) => updateRule(rule.id, { action: e.target.value })}
+                    >
+                      {RULE_ACTIONS.map((opt) => (
+                        <option key={opt.value} value={opt.value}>
+                          {opt.label}
+                        </option>
+                      ))}
+                    </select>
+                  </div>
+                  <div>
+                    <label htmlFor={`${rule.id}-amount`}>{rule.action === 'percent' ? 'Percent' : 'Quantity'}</label>
+                    <input
+                      id={`${rule.id}-amount`}
+                      type="number"
+                      step="any"
+                      value={rule.amount}
+                      onChange={(e) => updateRule(rule.id, { amount: e.target.value })}
+                    />
+                  </div>
+                  <div className="panel-actions">
+                    <span className="mapping-note">{rule.value ? describeRule(rule) : ''}</span>
+                    <button
+                      type="button"
+                      className="secondary"
+                      onClick={() => updateActive({ rules: active.rules.filter((r) => r.id !== rule.id) })}
+                    >
+                      Remove
+                    </button>
+                  </div>
+                </div>
+              ))}
+              <div className="panel-actions">
+                <button
+                  type="button"
+                  className="secondary"
+                  onClick={() => updateActive({ rules: [...active.rules, createRule(fields[0]?.value)] })}
+                >
+                  Add rule
+                </button>
+              </div>
+              <p className="mapping-note">
+                Rules apply in order to the rows in view; caps and set totals are spread across the matching rows in
+                proportion. A total of 0 marks a branch as closed.
+              </p>
+            </>
+          )}
+
+          {comparison && (
+            <div className="preview-table">
+              <table>
+                <thead>
+                  <tr>
+                    <th>{dimension}</th>
+                    <th>Base</th>
+                    {comparison.columns.map((column) => (
+                      <th key={column.id}>{column.name}</th>
+                    ))}
+                  </tr>
+                </thead>
+                <tbody>
+                  {comparison.labels.map((label) => {
+                    const base = comparison.base.values.get(label) || 0
+                    return (
+                      <tr key={label}>
+                        <td>{label}</td>
+                        <td>{formatQty(base)}</td>
+                        {comparison.columns.map((column) => (
+                          <ScenarioCell key={column.id} value={column.values.get(label) || 0} base={base} />
+                        ))}
+                      </tr>
+                    )
+                  })}
+                  <tr>
+                    <td>
+                      <strong>All</strong>
+                    </td>
+                    <td>{formatQty(comparison.base.total)}</td>
+                    {comparison.columns.map((column) => (
+                      <ScenarioCell key={column.id} value={column.total} base={comparison.base.total} />
+                    ))}
+                  </tr>
+                </tbody>
+              </table>
+            </div>
+          )}
+        </>
+      )}
+    </section>
+  )
+}
+
+function ScenarioCell({ value, base }) {
+  const change = base ? ((value - base) / Math.abs(base)) * 100 : null
+  return (
+    <td className={change !== null && change < 0 ? 'below-target' : ''}>
+      {formatQty(value)}
+      {change !== null && Math.abs(change) >= 0.05 && (
+        <span className="mapping-note">
+          {' '}
+          ({change > 0 ? '+' : ''}
+          {change.toFixed(1)}%)
+        </span>
+      )}
+    </td>
+  )
+}
+
+function formatQty(value) {
+  return Number(value.toFixed(1)).toLocaleString()
+}
+
+export default ScenariosPanel
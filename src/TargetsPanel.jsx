@@ -0,0 +1,117 @@
+import { TARGET_VIEWS } from './attainment.js'
+
+function TargetsPanel({ settings, onChange, columns, actualColumn, targetColumn, result, dimension, chartShowsTargets }) {
+  const update = (patch) => onChange((prev) => ({ ...prev, ...patch }))
+
+  return (
+    <section className="card">
+      <div className="panel-head">
+        <h3>Targets</h3>
+        <label className="toggle">
+          <input
+            type="checkbox"
+            checked={settings.enabled}
+            onChange={(e) => update({ enabled: e.target.checked })}
+          />{' '}
+          Track attainment
+        </label>
+      </div>
+      {!settings.enabled ? (
+        <div className="preview-empty">
+          Pair an actual column with a target column to chart attainment per product, branch or area.
+        </div>
+      ) : !columns.length ? (
+        <div className="preview-empty">Map the target as an additional metric column to compare against it.</div>
+      ) : (
+        <>
+          <div className="filters-grid">
+            <div>
+              <label htmlFor="targetActual">Actual</label>
+              <select id="targetActual" value={actualColumn} onChange={(e) => update({ actual: e.target.value })}>
+                <option value="__metric">Current values</option>
+                {columns.map((col) => (
+                  <option key={col} value={col}>
+                    {col}
+                  </option>
+                ))}
+              </select>
+            </div>
+            <div>
+              <label htmlFor="targetColumn">Target</label>
+              <select id="targetColumn" value={targetColumn || ''} onChange={(e) => update({ target: e.target.value })}>
+                {!targetColumn && <option value="">Choose a column</option>}
+                {columns.map((col) => (
+                  <option key={col} value={col}>
+                    {col}
+                  </option>
+                ))}
+              </select>
+            </div>
+            <div>
+              <label htmlFor="targetThreshold">Highlight below (%)</label>
+              <input
+                id="targetThreshold"
+                type="number"
+                min="0"
+                step="1"
+                value={settings.threshold}
+                onChange={(e) => update({ threshold: e.target.value })}
+              />
+            </div>
+            <div>
+              <label htmlFor="targetView">Show targets as</label>
+              <select id="targetView" value={settings.view} onChange={(e) => update({ view: e.target.value })}>
+                {TARGET_VIEWS.map((opt) => (
+                  <option key={opt.value} value={opt.value}>
+                    {opt.label}
+                  </option>
+                ))}
+              </select>
+            </div>
+          </div>
+
+          {!chartShowsTargets && (
+            <p className="mapping-note">
+              Targets are drawn on bar charts without a split or percentages; the table below always applies.
+            </p>
+          )}
+
+          {result && (
+            <div className="preview-table">
+              <table>
+                <thead>
+                  <tr>
+                    <th>{dimension}</th>
+                    <th>Actual</th>
+                    <th>Target</th>
+                    <th>Attainment</th>
+                    <th>Gap</th>
+                  </tr>
+                </thead>
+                <tbody>
+                  {[...result.groups, result.overall].map((group, idx) => (
+                    <tr
+                      key={idx === result.groups.length ? '__overall' : group.label}
+                      className={group.below ? 'below-target' : ''}
+                    >
+                      <td>{idx === result.groups.length ? <strong>All</strong> : group.label}</td>
+                      <td>{group.actual.toLocaleString()}</td>
+                      <td>{group.target.toLocaleString()}</td>
+                      <td>{group.attainment === null ? '—' : `${group.attainment.toFixed(1)}%`}</td>
+                      <td>
+                        {group.gap > 0 ? '+' : ''}
+                        {group.gap.toLocaleString()}
+                      </td>
+                    </tr>
+                  ))}
+                </tbody>
+              </table>
+            </div>
+          )}
+        </>
+      )}
+    </section>
+  )
+}
+
+export default TargetsPanel
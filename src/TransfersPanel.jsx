@@ -0,0 +1,151 @@
+import { useEffect, useMemo, useRef } from 'react'
+import Chart from 'chart.js/auto'
+import { downloadFile, toCsv } from './download.js'
+import { transfersToTable } from './transfers.js'
+
+function TransfersPanel({ settings, onChange, result, salesColumn, columns, hasBranches }) {
+  const update = (patch) => onChange((prev) => ({ ...prev, ...patch }))
+  const canvasRef = useRef(null)
+  const chartRef = useRef(null)
+  // Only the branches a transfer touches are charted.
+  const branches = useMemo(
+    () => (result?.transfers.length ? result.branches.filter((b) => b.before !== b.after) : []),
+    [result],
+  )
+
+  useEffect(() => {
+    if (!branches.length) {
+      chartRef.current?.destroy()
+      chartRef.current = null
+      return
+    }
+    const ctx = canvasRef.current?.getContext('2d')
+    if (!ctx) return
+    const labels = branches.map((b) => (b.area ? `${b.branch} (${b.area})` : b.branch))
+    const datasets = [
+      { label: 'Before', data: branches.map((b) => b.before), backgroundColor: '#b8c4d9', borderRadius: 6 },
+      { label: 'After transfers', data: branches.map((b) => b.after), backgroundColor: '#2f80ed', borderRadius: 6 },
+    ]
+    if (chartRef.current) {
+      chartRef.current.data.labels = labels
+      chartRef.current.data.datasets = datasets
+      chartRef.current.update()
+      return
+    }
+    chartRef.current = new Chart(ctx, {
+      type: 'bar',
+      data: { labels, datasets },
+      options: {
+        animation: { duration: 450, easing: 'easeOutQuart' },
+        scales: {
+          x: { grid: { color: 'rgba(0,0,0,0.04)' } },
+          y: { beginAtZero: true, grid: { color: 'rgba(0,0,0,0.04)' } },
+        },
+      },
+    })
+  }, [branches])
+
+  useEffect(() => () => chartRef.current?.destroy(), [])
+
+  const exportCsv = () => downloadFile('transfers.csv', toCsv(transfersToTable(result.transfers)))
+
+  return (
+    <section className="card">
+      <div className="panel-head">
+        <h3>Transfers</h3>
+        <div className="panel-actions">
+          {settings.enabled && (
+            <button className="secondary" type="button" onClick={exportCsv} disabled={!result?.transfers.length}>
+              Export CSV
+            </button>
+          )}
+          <label className="toggle">
+            <input
+              type="checkbox"
+              checked={settings.enabled}
+              onChange={(e) => update({ enabled: e.target.checked })}
+            />{' '}
+            Suggest transfers
+          </label>
+        </div>
+      </div>
+      {!settings.enabled ? (
+        <div className="preview-empty">
+          Move stock between branches of the same area so each branch holds its share of the area&apos;s sales.
+        </div>
+      ) : !hasBranches ? (
+        <div className="preview-empty">Map a branch column to move stock between branches.</div>
+      ) : !columns.length ? (
+        <div className="preview-empty">
+          Map a sales column as an additional metric; the quantity being moved cannot be its own sales basis.
+        </div>
+      ) : (
+        <>
+          <div className="filters-grid">
+            <div>
+              <label htmlFor="transferSales">Sales from</label>
+              <select id="transferSales" value={salesColumn} onChange={(e) => update({ sales: e.target.value })}>
+                {columns.map((col) => (
+                  <option key={col} value={col}>
+                    {col}
+                  </option>
+                ))}
+              </select>
+            </div>
+            <div>
+              <label htmlFor="transferMin">Minimum transfer</label>
+              <input
+                id="transferMin"
+                type="number"
+                min="1"
+                step="1"
+                value={settings.minQty}
+                onChange={(e) => update({ minQty: e.target.value })}
+              />
+            </div>
+          </div>
+
+          {!result?.transfers.length ? (
+            <div className="preview-empty">Stock already follows sales within each area.</div>
+          ) : (
+            <>
+              <p className="mapping-note">
+                {result.transfers.length} transfers moving {result.moved.toLocaleString()} units, from the current
+                quantities of the rows in view.
+              </p>
+              <div className="chart-wrap">
+                <canvas ref={canvasRef} height="120" />
+              </div>
+              <div className="preview-table">
+                <table>
+                  <thead>
+                    <tr>
+                      <th>Area</th>
+                      <th>Product</th>
+                      <th>From</th>
+                      <th>To</th>
+                      <th>Quantity</th>
+                    </tr>
+                  </thead>
+                  <tbody>
+                    {result.transfers.map((t) => (
+                      <tr key={`${t.area}|${t.product}|${t.from}|${t.to}`}>
+                        <td>{t.area || '—'}</td>
+                        <td>{t.product}</td>
+                        <td>{t.from}</td>
+                        <td>{t.to}</td>
+                        <td>{t.qty.toLocaleString()}</td>
+                      </tr>
+                    ))}
+                  </tbody>
+                </table>
+              </div>
+            </>
+          )}
+        </>
+      )}
+    </section>
+  )
+}
+
+export default TransfersPanel
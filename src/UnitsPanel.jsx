@@ -0,0 +1,115 @@
+import { UNITS } from './units.js'
+
+function UnitsPanel({ products, settings, onChange, skipped, mixedUnits }) {
+  const setProduct = (product, field, value) =>
+    onChange((prev) => ({
+      ...prev,
+      products: { ...prev.products, [product]: { ...prev.products[product], [field]: value } },
+    }))
+  const resetProduct = (product) =>
+    onChange((prev) => {
+      const next = { ...prev.products }
+      delete next[product]
+      return { ...prev, products: next }
+    })
+
+  return (
+    <section className="card">
+      <div className="panel-head">
+        <h3>Units of measure</h3>
+        <span className="mapping-note">
+          Conversions go through pieces: kilograms use kg per piece, cases use pieces per case.
+        </span>
+      </div>
+      {mixedUnits && (
+        <div className="compare-callout">
+          The current rows mix units. Pick pieces, kilograms or cases in the chart controls for a meaningful total.
+        </div>
+      )}
+      {skipped.length > 0 && (
+        <div className="compare-callout">
+          Left out for lack of a conversion factor: {skipped.join(', ')}.
+        </div>
+      )}
+      <div className="preview-table">
+        <table>
+          <thead>
+            <tr>
+              <th>Product</th>
+              <th>Unit</th>
+              <th>Kg per piece</th>
+              <th>Pieces per case</th>
+              <th />
+            </tr>
+          </thead>
+          <tbody>
+            {products.map((entry) => {
+              const override = settings.products[entry.product] || {}
+              const edited = Object.values(override).some((v) => v !== '' && v !== undefined)
+              return (
+                <tr key={entry.product}>
+                  <td>
+                    {entry.product}
+                    {entry.mixed && <span className="mapping-raw"> (mixed units in file)</span>}
+                  </td>
+                  <td>
+                    <select
+                      className="compact-select"
+                      value={override.uom || ''}
+                      onChange={(e) => setProduct(entry.product, 'uom', e.target.value)}
+                      aria-label={`Unit for ${entry.product}`}
+                    >
+                      <option value="">
+                        {entry.file.uom ? `From file (${unitName(entry.file.uom)})` : 'Pieces (default)'}
+                      </option>
+                      {UNITS.map((unit) => (
+                        <option key={unit.value} value={unit.value}>
+                          {unit.label}
+                        </option>
+                      ))}
+                    </select>
+                  </td>
+                  <td>
+                    <input
+                      type="number"
+                      min="0"
+                      step="any"
+                      value={override.kgPerPc ?? ''}
+                      placeholder={entry.file.kgPerPc ? String(entry.file.kgPerPc) : 'not set'}
+                      onChange={(e) => setProduct(entry.product, 'kgPerPc', e.target.value)}
+                      aria-label={`Kg per piece for ${entry.product}`}
+                    />
+                  </td>
+                  <td>
+                    <input
+                      type="number"
+                      min="0"
+                      step="any"
+                      value={override.pcsPerCase ?? ''}
+                      placeholder={entry.file.pcsPerCase ? String(entry.file.pcsPerCase) : 'not set'}
+                      onChange={(e) => setProduct(entry.product, 'pcsPerCase', e.target.value)}
+                      aria-label={`Pieces per case for ${entry.product}`}
+                    />
+                  </td>
+                  <td>
+                    {edited && (
+                      <button className="link-button" type="button" onClick={() => resetProduct(entry.product)}>
+                        Use file values
+                      </button>
+                    )}
+                  </td>
+                </tr>
+              )
+            })}
+          </tbody>
+        </table>
+      </div>
+    </section>
+  )
+}
+
+function unitName(unit) {
+  return UNITS.find((u) => u.value === unit)?.label.toLowerCase() || unit
+}
+
+export default UnitsPanel
@@ -0,0 +1,97 @@
+import { useMemo, useState } from 'react'
+import { flattenHeaders, suggestHeaderRow } from './workbook.js'
+
+const PREVIEW_ROWS = 20
+
+function WorkbookPicker({ sheets, fileName, onConfirm, onCancel }) {
+  const [sheetIndex, setSheetIndex] = useState(() => Math.max(0, sheets.findIndex((s) => s.cells.length)))
+  const [headerRows, setHeaderRows] = useState({})
+
+  const sheet = sheets[sheetIndex]
+  const suggested = useMemo(() => (sheet.cells.length ? suggestHeaderRow(sheet) : 0), [sheet])
+  const headerRow = headerRows[sheetIndex] ?? suggested
+  const headers = useMemo(() => (sheet.cells.length ? flattenHeaders(sheet, headerRow) : []), [headerRow, sheet])
+  const previewStart = Math.max(0, Math.min(headerRow - 3, sheet.cells.length - PREVIEW_ROWS))
+  const preview = sheet.cells.slice(previewStart, previewStart + PREVIEW_ROWS)
+
+  return (
+    <section className="card mapping-card">
+      <div className="mapping-head">
+        <div>
+          <h3>Workbook</h3>
+          <p className="mapping-note">
+            {fileName}: choose the sheet and the row that holds the column headers. Merged header cells are combined
+            with the header row below them.
+          </p>
+        </div>
+        <select
+          className="compact-select"
+          value={sheetIndex}
+          onChange={(e) => setSheetIndex(Number(e.target.value))}
+          aria-label="Sheet"
+        >
+          {sheets.map((s, idx) => (
+            <option key={s.name} value={idx}>
+              {s.name} ({s.cells.length} rows)
+            </option>
+          ))}
+        </select>
+      </div>
+
+      {!sheet.cells.length ? (
+        <div className="preview-empty">This sheet is empty.</div>
+      ) : (
+        <>
+          <div className="preview-table workbook-preview">
+            <table>
+              <tbody>
+                {preview.map((cells, offset) => {
+                  const row = previewStart + offset
+                  const rowClass = row === headerRow ? 'workbook-header' : row < headerRow ? 'workbook-skipped' : ''
+                  return (
+                    <tr key={row} className={rowClass}>
+                      <td>
+                        <label className="toggle">
+                          <input
+                            type="radio"
+                            name="headerRow"
+                            checked={row === headerRow}
+                            onChange={() => setHeaderRows((prev) => ({ ...prev, [sheetIndex]: row }))}
+                          />{' '}
+                          {row + 1}
+                        </label>
+                      </td>
+                      {cells.map((cell, col) => (
+                        <td key={col}>{cell}</td>
+                      ))}
+                    </tr>
+                  )
+                })}
+              </tbody>
+            </table>
+          </div>
+          <p className="mapping-note">
+            Header row {headerRow + 1}
+            {headerRow === suggested ? ' (suggested)' : ''}: {headers.map((h) => h || '(blank)').join(' | ')}
+          </p>
+        </>
+      )}
+
+      <div className="mapping-actions">
+        <button
+          type="button"
+          className="primary"
+          onClick={() => onConfirm(sheetIndex, headerRow)}
+          disabled={!sheet.cells.length}
+        >
+          Use this sheet
+        </button>
+        <button type="button" className="secondary" onClick={onCancel}>
+          Cancel
+        </button>
+      </div>
+    </section>
+  )
+}
+
+export default WorkbookPicker
@@ -0,0 +1,180 @@
+export const defaultAllocation = {
+  enabled: false,
+  basis: '__metric',
+  packSize: 1,
+  supply: {},
+  bounds: {},
+  locks: {},
+}
+
+export function allocationKey(product, branch) {
+  return `${product}\u0000${branch}`
+}
+
+export function runAllocation(rows, settings, basisOf) {
+  const byProduct = new Map()
+  rows.forEach((row) => {
+    if (!row.branch) return
+    if (!byProduct.has(row.product)) byProduct.set(row.product, new Map())
+    const branches = byProduct.get(row.product)
+    const entry = branches.get(row.branch) || { branch: row.branch, area: row.area, basis: 0 }
+    entry.basis += basisOf(row)
+    branches.set(row.branch, entry)
+  })
+
+  const byKey = new Map()
+  const allocatedRows = []
+  const products = []
+  byProduct.forEach((branches, product) => {
+    const supply = toNumber(settings.supply?.[product])
+    if (supply === null) return
+    const locks = settings.locks?.[product] || {}
+    const entries = Array.from(branches.values()).map((entry) => ({
+      ...entry,
+      min: toNumber(settings.bounds?.[entry.branch]?.min),
+      max: toNumber(settings.bounds?.[entry.branch]?.max),
+      locked: toNumber(locks[entry.branch]),
+    }))
+    const { allocations, unallocated, overAllocated, partialPack, belowMin } = allocateSupply(entries, supply, {
+      packSize: toNumber(settings.packSize) || 1,
+    })
+    let allocated = 0
+    entries.forEach((entry) => {
+      const qty = allocations.get(entry.branch) || 0
+      allocated += qty
+      byKey.set(allocationKey(product, entry.branch), qty)
+      allocatedRows.push({ product, branch: entry.branch, area: entry.area, metric: qty })
+    })
+    products.push({ product, supply, allocated, unallocated, overAllocated, partialPack, belowMin })
+  })
+
+  return { byKey, rows: allocatedRows, products }
+}
+
+// Locks are kept even when they add up to more than the supply; the excess is reported as `overAllocated`.
+// `partialPack` names the one branch, if any, that received a remainder smaller than a pack, and `belowMin`
+// the branches whose minimum could not be met.
+export function allocateSupply(entries, supply, { packSize = 1 } = {}) {
+  const allocations = new Map()
+  let pool = supply
+  const open = []
+  entries.forEach((entry) => {
+    if (entry.locked !== null && entry.locked !== undefined) {
+      allocations.set(entry.branch, entry.locked)
+      pool -= entry.locked
+    } else {
+      open.push(entry)
+    }
+  })
+  const belowMin = () =>
+    open.filter((e) => e.min !== null && e.min !== undefined && allocations.get(e.branch) < e.min - 1e-9).map((e) => e.branch)
+  if (!open.length || pool <= 0) {
+    open.forEach((entry) => allocations.set(entry.branch, 0))
+    return {
+      allocations,
+      unallocated: Math.max(0, roundQty(pool)),
+      overAllocated: Math.max(0, roundQty(-pool)),
+      partialPack: null,
+      belowMin: belowMin(),
+    }
+  }
+
+  const shares = distributeWithBounds(open, pool)
+  const { quantities, partialPack } = roundToPacks(open, shares, packSize)
+  let given = 0
+  open.forEach((entry) => {
+    const qty = quantities.get(entry.branch) || 0
+    given += qty
+    allocations.set(entry.branch, qty)
+  })
+  return {
+    allocations,
+    unallocated: Math.max(0, roundQty(pool - given)),
+    overAllocated: 0,
+    partialPack,
+    belowMin: belowMin(),
+  }
+}
+
+function distributeWithBounds(entries, pool) {
+  const shares = new Map()
+  const minTotal = entries.reduce((sum, e) => sum + (e.min || 0), 0)
+  if (minTotal >= pool) {
+    entries.forEach((e) => shares.set(e.branch, minTotal > 0 ? (pool * (e.min || 0)) / minTotal : 0))
+    return shares
+  }
+
+  let active = entries
+  let remaining = pool
+  while (active.length) {
+    const basisTotal = active.reduce((sum, e) => sum + Math.max(0, e.basis), 0)
+    const tentative = active.map((e) => ({
+      entry: e,
+      share: basisTotal > 0 ? (remaining * Math.max(0, e.basis)) / basisTotal : remaining / active.length,
+    }))
+    const under = tentative.filter((t) => t.entry.min !== null && t.share < t.entry.min)
+    const over = tentative.filter((t) => t.entry.max !== null && t.share > t.entry.max)
+    if (!under.length && !over.length) {
+      tentative.forEach((t) => shares.set(t.entry.branch, t.share))
+      break
+    }
+    const underGap = under.reduce((sum, t) => sum + (t.entry.min - t.share), 0)
+    const overGap = over.reduce((sum, t) => sum + (t.share - t.entry.max), 0)
+    const clamped = underGap >= overGap ? under : over
+    clamped.forEach((t) => {
+      const value = underGap >= overGap ? t.entry.min : t.entry.max
+      shares.set(t.entry.branch, value)
+      remaining -= value
+    })
+    const clampedSet = new Set(clamped.map((t) => t.entry))
+    active = active.filter((e) => !clampedSet.has(e))
+  }
+  return shares
+}
+
+// Whole packs go first to branches still under their min, then to the largest remainders, never past a branch's
+// max. What is left under one pack goes the same way to a branch that still has room; packs or remainders nobody
+// can take stay unallocated.
+function roundToPacks(entries, shares, packSize) {
+  const total = entries.reduce((sum, e) => sum + (shares.get(e.branch) || 0), 0)
+  const totalPacks = Math.floor(roundQty(total / packSize))
+  const parts = entries.map((e) => {
+    const packs = (shares.get(e.branch) || 0) / packSize
+    const whole = Math.floor(roundQty(packs))
+    return { entry: e, whole, remainder: packs - whole }
+  })
+  const fits = (p, qty) => p.entry.max === null || p.whole * packSize + qty <= p.entry.max + 1e-9
+  const shortfall = (p) => (p.entry.min === null ? 0 : Math.max(0, p.entry.min - p.whole * packSize))
+  const next = (qty) =>
+    parts
+      .filter((p) => fits(p, qty))
+      .sort((a, b) => shortfall(b) - shortfall(a) || b.remainder - a.remainder)[0]
+  let extra = totalPacks - parts.reduce((sum, p) => sum + p.whole, 0)
+  while (extra > 0) {
+    const part = next(packSize)
+    if (!part) break
+    part.whole += 1
+    part.remainder -= 1
+    extra -= 1
+  }
+
+  const quantities = new Map(parts.map((p) => [p.entry.branch, roundQty(p.whole * packSize)]))
+  let partialPack = null
+  const leftover = roundQty(total - totalPacks * packSize)
+  const target = leftover > 0 ? next(leftover) : null
+  if (target) {
+    partialPack = target.entry.branch
+    quantities.set(partialPack, roundQty(quantities.get(partialPack) + leftover))
+  }
+  return { quantities, partialPack }
+}
+
+function toNumber(value) {
+  if (value === null || value === undefined || String(value).trim() === '') return null
+  const n = Number(value)
+  return isNaN(n) ? null : n
+}
+
+function roundQty(value) {
+  return Math.round(value * 1e6) / 1e6
+}
@@ -0,0 +1,45 @@
+// Attainment pairs an actual column with a target column: actual / target per chart group, and the gap between.
+
+export const TARGET_VIEWS = [
+  { value: 'bullet', label: 'Target ticks' },
+  { value: 'overlay', label: 'Target bars behind' },
+]
+
+export const defaultTargets = {
+  enabled: false,
+  actual: '__metric',
+  target: null,
+  threshold: 90,
+  view: 'bullet',
+}
+
+const TARGET_HEADER = /\b(target|goal|quota|budget)s?\b/i
+
+export function isTargetHeader(header) {
+  return TARGET_HEADER.test(header || '')
+}
+
+export function preferredTarget(metricKeys = []) {
+  return metricKeys.find(isTargetHeader) || null
+}
+
+// `actuals` and `targets` are aggregates over the same labels; groups keep the order of the actuals.
+export function pairTargets(actuals, targets, threshold) {
+  const targetOf = new Map(targets.map((entry) => [entry.label, entry.value]))
+  const groups = actuals.map((entry) => describe(entry.label, entry.value, targetOf.get(entry.label) || 0, threshold))
+  const actual = groups.reduce((sum, g) => sum + g.actual, 0)
+  const target = groups.reduce((sum, g) => sum + g.target, 0)
+  return { groups, overall: describe('All', actual, target, threshold) }
+}
+
+function describe(label, actual, target, threshold) {
+  const attainment = target > 0 ? (actual / target) * 100 : null
+  return {
+    label,
+    actual,
+    target,
+    attainment,
+    gap: actual - target,
+    below: attainment !== null && attainment < Number(threshold),
+  }
+}
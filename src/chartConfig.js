@@ -0,0 +1,172 @@
+import Chart from 'chart.js/auto'
+
+export const CHART_TYPES = [
+  { value: 'bar', label: 'Vertical bars' },
+  { value: 'horizontal', label: 'Horizontal bars' },
+  { value: 'line', label: 'Line' },
+  { value: 'doughnut', label: 'Doughnut' },
+  { value: 'pie', label: 'Pie' },
+]
+
+const PALETTE = ['#2f80ed', '#56ccf2', '#7bc86c', '#f2994a', '#eb5757', '#bb6bd9', '#6fcf97', '#f2c94c']
+
+export function pickColor(index) {
+  return PALETTE[index % PALETTE.length]
+}
+
+export function isCircular(chartType) {
+  return chartType === 'doughnut' || chartType === 'pie'
+}
+
+// `parent` names the scope the bars split (a drilled-into area or branch) so tooltips can show their share of it.
+export function buildChartModel(aggregated, { dimension, series, percent, chartType, parent = null }, extraSeries = []) {
+  const circular = isCircular(chartType)
+  const labels = aggregated.map((d) => d.label)
+  const grandTotal = sum(aggregated.map((d) => d.value))
+
+  if (circular || !series || series === 'none' || series === dimension) {
+    const values = aggregated.map((d) => d.value)
+    const datasets = [
+      makeDataset(`Total by ${dimension}`, values, grandTotal, {
+        percent,
+        chartType,
+        parent,
+        color: circular || !extraSeries.length ? labels.map((_, idx) => pickColor(idx)) : pickColor(0),
+      }),
+    ]
+    if (!circular && extraSeries.length) {
+      datasets[0].label = 'Source values'
+      extraSeries.forEach((extra, idx) => {
+        const extraTotals = new Map(extra.aggregated.map((d) => [d.label, d.value]))
+        const extraValues = labels.map((l) => extraTotals.get(l) || 0)
+        datasets.push(
+          makeDataset(extra.label, extraValues, sum(extraValues), {
+            percent,
+            chartType,
+            parent,
+            color: pickColor(3 + idx),
+          }),
+        )
+      })
+    }
+    return { labels, datasets }
+  }
+
+  const seriesTotals = new Map()
+  aggregated.forEach((d) => {
+    d.series?.forEach((value, key) => seriesTotals.set(key, (seriesTotals.get(key) || 0) + value))
+  })
+  const seriesKeys = Array.from(seriesTotals.entries())
+    .sort((a, b) => b[1] - a[1])
+    .map(([key]) => key)
+  const datasets = seriesKeys.map((seriesKey, idx) => {
+    const values = aggregated.map((d) => d.series?.get(seriesKey) || 0)
+    const dataset = makeDataset(seriesKey, values, null, { percent, chartType, color: pickColor(idx) })
+    dataset.shares = values.map((v, i) => (aggregated[i].value ? (v / aggregated[i].value) * 100 : 0))
+    if (percent) dataset.data = dataset.shares
+    dataset.totalShare = grandTotal ? (seriesTotals.get(seriesKey) / grandTotal) * 100 : 0
+    return dataset
+  })
+  return { labels, datasets }
+}
+
+const BELOW_TARGET = '#eb5757'
+const TARGET_COLOR = '#1f2a44'
+
+// Puts each group's target on a single-series bar chart, either as a tick across the bar or as a wider bar
+// behind it. Bars under the threshold turn red and their tooltips show attainment instead of share.
+export function withTargets(model, groups, { view, horizontal }) {
+  const [actual, ...rest] = model.datasets
+  const bars = {
+    ...actual,
+    label: 'Actual',
+    backgroundColor: groups.map((g) => (g.below ? BELOW_TARGET : pickColor(0))),
+    shares: groups.map((g) => g.attainment ?? 0),
+    parent: 'target',
+    order: 1,
+  }
+  const values = groups.map((g) => g.target)
+  const target =
+    view === 'overlay'
+      ? {
+          label: 'Target',
+          type: 'bar',
+          raw: values,
+          data: values,
+          backgroundColor: 'rgba(31, 42, 68, 0.12)',
+          borderColor: TARGET_COLOR,
+          borderWidth: 1,
+          borderRadius: 6,
+          grouped: false,
+          barPercentage: 0.95,
+          order: 2,
+        }
+      : {
+          label: 'Target',
+          type: 'line',
+          raw: values,
+          data: values,
+          showLine: false,
+          pointStyle: 'line',
+          pointRadius: 16,
+          pointHoverRadius: 18,
+          pointBorderWidth: 3,
+          rotation: horizontal ? 90 : 0,
+          borderColor: TARGET_COLOR,
+          backgroundColor: TARGET_COLOR,
+          order: 0,
+        }
+  if (view === 'overlay') {
+    bars.grouped = false
+    bars.barPercentage = 0.6
+  }
+  return { labels: model.labels, datasets: [bars, target, ...rest] }
+}
+
+export function tooltipLabel(ctx) {
+  const dataset = ctx.dataset
+  const raw = dataset.raw?.[ctx.dataIndex] ?? ctx.parsed
+  const share = dataset.shares?.[ctx.dataIndex]
+  const name = isCircular(ctx.chart.config.type) ? ctx.label : dataset.label
+  const value = typeof raw === 'number' ? raw.toLocaleString() : String(raw)
+  if (share === undefined) return `${name}: ${value}`
+  return `${name}: ${value} (${share.toFixed(1)}%${dataset.parent ? ` of ${dataset.parent}` : ''})`
+}
+
+export function legendLabels(chart) {
+  const type = chart.config.type
+  if (isCircular(type)) {
+    const dataset = chart.data.datasets[0]
+    return Chart.overrides[type].plugins.legend.labels
+      .generateLabels(chart)
+      .map((item) => ({ ...item, text: `${item.text} (${(dataset?.shares?.[item.index] ?? 0).toFixed(1)}%)` }))
+  }
+  return Chart.defaults.plugins.legend.labels.generateLabels(chart).map((item) => {
+    const share = chart.data.datasets[item.datasetIndex]?.totalShare
+    return share === undefined ? item : { ...item, text: `${item.text} (${share.toFixed(1)}%)` }
+  })
+}
+
+function makeDataset(label, values, total, { percent, chartType, color, parent = null }) {
+  const shares = values.map((v) => (total ? (v / total) * 100 : 0))
+  const dataset = {
+    label,
+    raw: values,
+    shares,
+    parent,
+    data: percent ? shares : values,
+    backgroundColor: color,
+    borderRadius: isCircular(chartType) ? 0 : 6,
+  }
+  if (chartType === 'line') {
+    dataset.borderColor = Array.isArray(color) ? pickColor(0) : color
+    dataset.backgroundColor = dataset.borderColor
+    dataset.tension = 0.25
+    dataset.fill = false
+  }
+  return dataset
+}
+
+function sum(values) {
+  return values.reduce((total, v) => total + v, 0)
+}
@@ -0,0 +1,41 @@
+const DIMENSION_KEYS = {
+  product: ['product'],
+  branch: ['branch'],
+  area: ['area'],
+  file: ['file'],
+  detail: ['product', 'branch', 'area'],
+}
+
+export function compareRows(currentRows, baselineRows, dimension = 'detail') {
+  const keys = DIMENSION_KEYS[dimension] || DIMENSION_KEYS.detail
+  const groups = new Map()
+  const collect = (rows, field) => {
+    rows.forEach((row) => {
+      const key = keys.map((k) => row[k] || '').join('\u0000')
+      if (!groups.has(key)) {
+        const entry = { key, current: 0, baseline: 0, inCurrent: false, inBaseline: false }
+        keys.forEach((k) => {
+          entry[k] = row[k] || ''
+        })
+        groups.set(key, entry)
+      }
+      const entry = groups.get(key)
+      entry[field] += row.metric
+      if (field === 'current') entry.inCurrent = true
+      else entry.inBaseline = true
+    })
+  }
+  collect(currentRows, 'current')
+  collect(baselineRows, 'baseline')
+
+  return Array.from(groups.values()).map((entry) => {
+    const change = entry.current - entry.baseline
+    return {
+      ...entry,
+      label: keys.map((k) => entry[k] || 'Unspecified').join(' / '),
+      change,
+      pct: entry.baseline ? (change / Math.abs(entry.baseline)) * 100 : null,
+      presence: entry.inCurrent && entry.inBaseline ? 'both' : entry.inCurrent ? 'current' : 'baseline',
+    }
+  })
+}
@@ -0,0 +1,197 @@
+import { detectNumberLocale } from './numbers.js'
+
+export const DELIMITERS = [
+  { value: 'auto', label: 'Detect' },
+  { value: ',', label: 'Comma' },
+  { value: ';', label: 'Semicolon' },
+  { value: '\t', label: 'Tab' },
+  { value: '|', label: 'Pipe' },
+]
+
+export const ENCODINGS = [
+  { value: 'auto', label: 'Detect' },
+  { value: 'utf-8', label: 'UTF-8' },
+  { value: 'windows-1252', label: 'Windows-1252' },
+]
+
+export const defaultParseOptions = {
+  delimiter: 'auto',
+  encoding: 'auto',
+  locale: 'auto',
+}
+
+// Tries strict UTF-8 first; ERP exports that are not valid UTF-8 are almost always Windows-1252.
+export function decodeText(buffer, encoding = 'auto') {
+  if (encoding !== 'auto') return { text: new TextDecoder(encoding).decode(buffer), encoding }
+  try {
+    return { text: new TextDecoder('utf-8', { fatal: true }).decode(buffer), encoding: 'utf-8' }
+  } catch {
+    return { text: new TextDecoder('windows-1252').decode(buffer), encoding: 'windows-1252' }
+  }
+}
+
+export function parseCsv(text, options = defaultParseOptions) {
+  const body = String(text || '').replace(/^\uFEFF/, '')
+  const delimiter = options.delimiter && options.delimiter !== 'auto' ? options.delimiter : detectDelimiter(body)
+  const records = readRecords(body, delimiter).filter((r) => r.cells.some((cell) => cell.trim() !== ''))
+  const allCells = records.map((r) => r.cells)
+  const header = guessHeaderRow(allCells)
+  return {
+    ...buildTable(allCells, {
+      headerIdx: header.index,
+      width: header.width,
+      lines: records.map((r) => r.line),
+      locale: options.locale,
+    }),
+    delimiter,
+  }
+}
+
+// Title rows above the header are skipped: the first row with enough text cells wins.
+export function guessHeaderRow(allCells) {
+  let index = 0
+  let width = 0
+  for (let i = 0; i < allCells.length; i++) {
+    const cells = allCells[i]
+    if (isHeaderRow(cells)) return { index: i, width: cells.length }
+    if (cells.length > width) {
+      width = cells.length
+      index = i
+    }
+  }
+  return { index, width }
+}
+
+export function isHeaderRow(cells) {
+  const texty = cells.filter((c) => /[A-Za-z]/.test(c)).length
+  return texty >= Math.max(2, Math.ceil(cells.length * 0.3))
+}
+
+export function buildTable(allCells, { headerIdx = 0, width = 0, headerCells: givenHeaders, lines = [], locale } = {}) {
+  if (!allCells.length) {
+    return { headers: [], rows: [], rawHeaders: [], rowInfo: [], headerCount: 0, invented: [], numberLocale: 'en' }
+  }
+  let headerCells = givenHeaders || allCells[headerIdx]
+  const invented = []
+  const firstDataCells = allCells[headerIdx + 1] || []
+  if (headerCells[0] && headerCells[0].toLowerCase().includes('branch') && firstDataCells.length === headerCells.length + 1) {
+    headerCells = ['Area', ...headerCells]
+    invented.push('Area')
+  }
+  const headerCount = headerCells.length
+  if (headerCells.length < width) {
+    const extras = Array.from({ length: width - headerCells.length }, (_, i) => `col${headerCells.length + i + 1}`)
+    headerCells = [...headerCells, ...extras]
+    invented.push(...extras)
+  }
+
+  const rawHeaders = [...headerCells]
+  const headers = sanitizeHeaders(headerCells)
+  const rows = []
+  const rowInfo = []
+  for (let i = headerIdx + 1; i < allCells.length; i++) {
+    const cells = allCells[i]
+    rowInfo.push({ line: lines[i] ?? i + 1, cells: cells.length })
+    const padded = [...cells]
+    while (padded.length < headers.length) padded.push('')
+    const row = {}
+    headers.forEach((h, idx) => {
+      row[h] = padded[idx] !== undefined ? padded[idx] : ''
+    })
+    rows.push(row)
+  }
+  const numberLocale = locale && locale !== 'auto' ? locale : detectNumberLocale(rows, headers)
+  return { headers, rows, rawHeaders, rowInfo, headerCount, invented, numberLocale }
+}
+
+// RFC 4180: quoted fields may hold delimiters, doubled quotes and line breaks. `line` is where the record starts.
+function readRecords(text, delimiter) {
+  const records = []
+  let cells = []
+  let field = ''
+  let inQuotes = false
+  let line = 1
+  let startLine = 1
+  const endField = () => {
+    cells.push(field)
+    field = ''
+  }
+  for (let i = 0; i < text.length; i++) {
+    const ch = text[i]
+    if (inQuotes) {
+      if (ch === '"') {
+        if (text[i + 1] === '"') {
+          field += '"'
+          i++
+        } else {
+          inQuotes = false
+        }
+        continue
+      }
+      if (ch === '\n') line++
+      field += ch
+      continue
+    }
+    if (ch === '"' && field.trim() === '') {
+      field = ''
+      inQuotes = true
+      continue
+    }
+    if (ch === delimiter) {
+      endField()
+      continue
+    }
+    if (ch === '\r' || ch === '\n') {
+      if (ch === '\r' && text[i + 1] === '\n') i++
+      endField()
+      records.push({ cells, line: startLine })
+      cells = []
+      line++
+      startLine = line
+      continue
+    }
+    field += ch
+  }
+  if (field !== '' || cells.length) {
+    endField()
+    records.push({ cells, line: startLine })
+  }
+  return records
+}
+
+function detectDelimiter(text) {
+  const sample = text.slice(0, 65536)
+  let best = ','
+  let bestScore = 0
+  DELIMITERS.filter((d) => d.value !== 'auto').forEach(({ value: delimiter }) => {
+    const counts = readRecords(sample, delimiter)
+      .slice(0, 20)
+      .filter((r) => r.cells.some((cell) => cell.trim() !== ''))
+      .map((r) => r.cells.length - 1)
+      .filter((n) => n > 0)
+    if (!counts.length) return
+    const frequency = new Map()
+    counts.forEach((n) => frequency.set(n, (frequency.get(n) || 0) + 1))
+    const [modal, times] = Array.from(frequency.entries()).sort((a, b) => b[1] - a[1] || b[0] - a[0])[0]
+    const score = times * 1000 + modal
+    if (score > bestScore) {
+      best = delimiter
+      bestScore = score
+    }
+  })
+  return best
+}
+
+function sanitizeHeaders(headers) {
+  const used = new Set()
+  return headers.map((h, idx) => {
+    const base = (h || '').trim() || `col${idx + 1}`
+    let name = base
+    let attempt = 1
+    while (used.has(name.toLowerCase())) {
+      name = `${base}_${attempt++}`
+    }
+    used.add(name.toLowerCase())
+    return name
+  })
+}
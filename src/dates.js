@@ -0,0 +1,221 @@
+// Dates are kept on rows as ISO `YYYY-MM-DD` strings, which sort and compare as plain text.
+// Headers such as "Oct 14 Alloc" carry their date in the name; a run of them without a year gets one from
+// `headerDates`, which rolls over into the next year where the months go backwards. `valueDates` does the
+// same for the cells of a date column.
+
+export const DATE_GRAINS = [
+  { value: 'day', label: 'By day' },
+  { value: 'week', label: 'By week' },
+  { value: 'month', label: 'By month' },
+]
+
+const MONTH_PATTERN =
+  'jan(?:uary)?|feb(?:ruary)?|mar(?:ch)?|apr(?:il)?|may|june?|july?|aug(?:ust)?|sep(?:t(?:ember)?)?|oct(?:ober)?|nov(?:ember)?|dec(?:ember)?'
+const MONTHS = ['jan', 'feb', 'mar', 'apr', 'may', 'jun', 'jul', 'aug', 'sep', 'oct', 'nov', 'dec']
+
+const ISO_DATE = /\b(\d{4})-(\d{1,2})-(\d{1,2})(?!\d)/
+const ISO_WEEK = /^(\d{4})-?W(\d{1,2})$/i
+const ISO_MONTH = /^(\d{4})-(\d{1,2})$/
+const SLASH_DATE = /\b(\d{1,2})\/(\d{1,2})(?:\/(\d{2,4}))?\b/
+const DOT_DATE = /\b(\d{1,2})\.(\d{1,2})\.(\d{2,4})\b/
+const MONTH_DAY = new RegExp(`\\b(${MONTH_PATTERN})\\.?\\s+(\\d{1,2})(?:st|nd|rd|th)?\\b(?:,?\\s+(\\d{4}))?`, 'i')
+const DAY_MONTH = new RegExp(`\\b(\\d{1,2})(?:st|nd|rd|th)?[\\s-]+(${MONTH_PATTERN})\\.?\\b(?:[\\s-]+(\\d{4}))?`, 'i')
+const MONTH_YEAR = new RegExp(`^(${MONTH_PATTERN})\\.?[\\s-]+(\\d{4})$`, 'i')
+
+const DATE_HEADERS = ['date', 'day', 'week', 'period', 'month', 'delivery date', 'order date']
+const SAMPLE_SIZE = 200
+
+// Reads a cell as a date: ISO dates, weeks and months, 10/14/2024, 14.10.2024, "Oct 14" and "14 Oct 2024".
+export function parseDateValue(value, fallbackYear = new Date().getFullYear()) {
+  const parts = valueParts(value)
+  return parts ? isoDate(parts.year ?? fallbackYear, parts.month, parts.day) : null
+}
+
+// Dates for the cells of a date column. Cells without a year are placed like `headerDates` places headers,
+// taking each distinct value once in the order it first appears so repeats do not count as a new year.
+export function valueDates(values, { startYear = null, today = new Date() } = {}) {
+  const texts = values.map((v) => String(v ?? '').trim())
+  const distinct = Array.from(new Set(texts))
+  const inferred = inferYears(distinct.map(valueParts), { startYear, today })
+  const dates = new Map(distinct.map((text, idx) => [text, inferred[idx]]))
+  return texts.map((text) => dates.get(text))
+}
+
+// The date named somewhere inside a column header, or null.
+export function headerDate(header, fallbackYear = new Date().getFullYear()) {
+  return findDate(String(header ?? ''), fallbackYear, false)
+}
+
+// Dates for a run of headers in file order, null where a header names no date.
+export function headerDates(headers, options = {}) {
+  return inferYears(headers.map((h) => findDateParts(String(h ?? ''), false)), options)
+}
+
+// True when some date header leaves its year out, so the year has to be inferred or asked for.
+export function headersNeedYear(headers) {
+  return headers.some((h) => {
+    const p = findDateParts(String(h ?? ''), false)
+    return p && p.year === null
+  })
+}
+
+// The same for the cells of a date column.
+export function valuesNeedYear(values) {
+  return values.slice(0, SAMPLE_SIZE).some((v) => {
+    const p = valueParts(v)
+    return p && p.year === null
+  })
+}
+
+// A column holds dates when most filled cells read as one; plain numbers never count.
+export function looksLikeDates(values) {
+  const filled = values
+    .slice(0, SAMPLE_SIZE)
+    .map((v) => String(v ?? '').trim())
+    .filter(Boolean)
+  if (!filled.length) return false
+  const parsed = filled.filter((v) => parseDateValue(v)).length
+  return parsed / filled.length >= 0.8
+}
+
+// Prefers a column named like a date, then any column whose values read as dates.
+export function findDateColumn(headers, rows, exclude = []) {
+  const candidates = headers.filter((h) => h && !exclude.includes(h))
+  const values = (h) => rows.slice(0, SAMPLE_SIZE).map((r) => r[h])
+  const named = candidates.filter((h) => DATE_HEADERS.includes(h.toLowerCase()))
+  return [...named, ...candidates.filter((h) => !named.includes(h))].find((h) => looksLikeDates(values(h))) || null
+}
+
+// Sortable period labels: 2024-10-14 by day, 2024-W42 by ISO week, 2024-10 by month.
+export function periodKey(date, grain = 'day') {
+  if (!date) return ''
+  if (grain === 'month') return date.slice(0, 7)
+  if (grain === 'week') return isoWeek(date)
+  return date
+}
+
+export function inDateRange(date, from, to) {
+  if (!from && !to) return true
+  if (!date) return false
+  return (!from || date >= from) && (!to || date <= to)
+}
+
+export function dateBounds(rows) {
+  let min = ''
+  let max = ''
+  rows.forEach((r) => {
+    if (!r.date) return
+    if (!min || r.date < min) min = r.date
+    if (!max || r.date > max) max = r.date
+  })
+  return { min, max }
+}
+
+// Years after the first date, counting one each time the month and day go backwards. Parts without a year
+// count on from their nearest neighbour with one, or from `startYear` for the first date; with neither,
+// the run is placed in the latest years that do not put its last date after `today`.
+function inferYears(parts, { startYear = null, today = new Date() } = {}) {
+  const dated = parts.map((p, idx) => ({ p, idx })).filter((entry) => entry.p)
+  if (!dated.length) return parts.map(() => null)
+
+  const offsets = new Map()
+  let offset = 0
+  dated.forEach(({ p, idx }, i) => {
+    const prev = dated[i - 1]?.p
+    if (prev && p.month * 100 + p.day < prev.month * 100 + prev.day) offset++
+    offsets.set(idx, offset)
+  })
+
+  const anchors = dated.filter((entry) => entry.p.year !== null)
+  const yearAt = (idx) => {
+    if (anchors.length) {
+      const anchor = [...anchors].reverse().find((a) => a.idx <= idx) || anchors[0]
+      return anchor.p.year + offsets.get(idx) - offsets.get(anchor.idx)
+    }
+    if (startYear) return Number(startYear) + offsets.get(idx)
+    const last = dated[dated.length - 1]
+    const todayKey = (today.getMonth() + 1) * 100 + today.getDate()
+    const lastYear = today.getFullYear() - (last.p.month * 100 + last.p.day > todayKey ? 1 : 0)
+    return lastYear - offsets.get(last.idx) + offsets.get(idx)
+  }
+  return parts.map((p, idx) => (p ? isoDate(p.year ?? yearAt(idx), p.month, p.day) : null))
+}
+
+// Year, month and day of a cell; weeks and months read as their first day.
+function valueParts(value) {
+  const text = String(value ?? '').trim()
+  if (!text || /^-?\d+(\.\d+)?$/.test(text)) return null
+  const week = text.match(ISO_WEEK)
+  if (week) {
+    const start = weekStart(Number(week[1]), Number(week[2]))
+    return start && { year: Number(start.slice(0, 4)), month: Number(start.slice(5, 7)), day: Number(start.slice(8)) }
+  }
+  const month = text.match(ISO_MONTH)
+  if (month) return { year: Number(month[1]), month: Number(month[2]), day: 1 }
+  const monthYear = text.match(MONTH_YEAR)
+  if (monthYear) return { year: Number(monthYear[2]), month: monthIndex(monthYear[1]), day: 1 }
+  return findDateParts(text, true)
+}
+
+function findDate(text, fallbackYear, whole) {
+  const parts = findDateParts(text, whole)
+  return parts ? isoDate(parts.year ?? fallbackYear, parts.month, parts.day) : null
+}
+
+// Year, month and day named in the text; `year` is null when the text leaves it out.
+function findDateParts(text, whole) {
+  const anchored = (pattern) => {
+    const match = text.match(pattern)
+    return match && (!whole || match[0].length === text.replace(/[T ]\d{1,2}:\d{2}.*$/, '').length) ? match : null
+  }
+  const iso = anchored(ISO_DATE)
+  if (iso) return { year: Number(iso[1]), month: Number(iso[2]), day: Number(iso[3]) }
+  const monthDay = anchored(MONTH_DAY)
+  if (monthDay) return { year: yearOf(monthDay[3]), month: monthIndex(monthDay[1]), day: Number(monthDay[2]) }
+  const dayMonth = anchored(DAY_MONTH)
+  if (dayMonth) return { year: yearOf(dayMonth[3]), month: monthIndex(dayMonth[2]), day: Number(dayMonth[1]) }
+  const dotted = anchored(DOT_DATE)
+  if (dotted) return { year: yearOf(dotted[3]), month: Number(dotted[2]), day: Number(dotted[1]) }
+  const slashed = anchored(SLASH_DATE)
+  if (slashed) {
+    // Slashes are month-first unless the first part cannot be a month.
+    const [, a, b, year] = slashed
+    const dayFirst = Number(a) > 12
+    return { year: yearOf(year), month: Number(dayFirst ? b : a), day: Number(dayFirst ? a : b) }
+  }
+  return null
+}
+
+function monthIndex(name) {
+  return MONTHS.indexOf(name.slice(0, 3).toLowerCase()) + 1
+}
+
+function yearOf(text) {
+  if (!text) return null
+  const year = Number(text)
+  return text.length === 2 ? 2000 + year : year
+}
+
+function isoDate(year, month, day) {
+  if (!year || month < 1 || month > 12 || day < 1) return null
+  const date = new Date(Date.UTC(year, month - 1, day))
+  if (date.getUTCMonth() !== month - 1) return null
+  return date.toISOString().slice(0, 10)
+}
+
+function isoWeek(date) {
+  const [year, month, day] = date.split('-').map(Number)
+  const d = new Date(Date.UTC(year, month - 1, day))
+  // The ISO week belongs to the year of its Thursday.
+  d.setUTCDate(d.getUTCDate() + 4 - (d.getUTCDay() || 7))
+  const week = Math.ceil(((d - Date.UTC(d.getUTCFullYear(), 0, 1)) / 86400000 + 1) / 7)
+  return `${d.getUTCFullYear()}-W${String(week).padStart(2, '0')}`
+}
+
+function weekStart(year, week) {
+  if (week < 1 || week > 53) return null
+  const jan4 = new Date(Date.UTC(year, 0, 4))
+  const monday = new Date(jan4)
+  monday.setUTCDate(jan4.getUTCDate() - ((jan4.getUTCDay() || 7) - 1) + (week - 1) * 7)
+  return monday.toISOString().slice(0, 10)
+}
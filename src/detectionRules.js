@@ -0,0 +1,154 @@
+// Detection rules say which header plays which role. A rule set is a ranked list of rules: for each role the
+// first rule that finds a header wins. The built-in set holds the lists detection started with.
+import { createId } from './ids.js'
+
+export const RULE_ROLES = [
+  { value: 'product', label: 'Product' },
+  { value: 'branch', label: 'Branch' },
+  { value: 'area', label: 'Area' },
+  { value: 'item', label: 'Item description' },
+  { value: 'metric', label: 'Metric' },
+  { value: 'uom', label: 'Unit of measure' },
+  { value: 'conversion', label: 'Kg per piece' },
+  { value: 'caseSize', label: 'Pieces per case' },
+]
+
+export const RULE_KINDS = [
+  { value: 'synonyms', label: 'Header is one of' },
+  { value: 'regex', label: 'Header matches' },
+  { value: 'position', label: 'Column number' },
+]
+
+export const BUILT_IN_ID = 'builtin'
+
+const synonyms = (role, values) => ({ id: `builtin-${role}`, role, kind: 'synonyms', values })
+
+export const BUILT_IN_RULES = {
+  id: BUILT_IN_ID,
+  name: 'Built-in',
+  rules: [
+    synonyms('product', ['product', 'item', 'sku', 'product name', 'material', 'pork bbq']),
+    synonyms('branch', ['branch', 'store', 'location', 'office']),
+    synonyms('area', ['area', 'region', 'zone', 'territory']),
+    synonyms('item', ['item description', 'item', 'description', 'item desc']),
+    synonyms('metric', [
+      'alloc',
+      'average',
+      'avg',
+      'value',
+      'amount',
+      'metric',
+      'qty',
+      'quantity',
+      'total',
+      'sales',
+      'volume',
+      'pork bbq',
+      'daily sales',
+      'actual',
+    ]),
+    synonyms('uom', ['uom', 'unit', 'units', 'unit of measure']),
+    synonyms('conversion', ['kg conversion per pc', 'kg per pc', 'kg/pc', 'kg per piece', 'conversion']),
+    synonyms('caseSize', ['pcs per case', 'pieces per case', 'case pack', 'per case', 'case size']),
+  ],
+  // Wide files whose product columns are not named by the rules above: known names first, then every column
+  // in the range when nothing else was found.
+  productColumns: ['backribs', 'chicken paa', 'chicken pecho', 'pork bbq', 'spareribs'],
+  productRange: { from: 3, to: 7 },
+}
+
+export function createRuleSet(name, from = BUILT_IN_RULES) {
+  return {
+    id: createId('rules'),
+    name,
+    rules: from.rules.map((rule) => ({ ...rule, id: createId('rule') })),
+    productColumns: [...from.productColumns],
+    productRange: { ...from.productRange },
+  }
+}
+
+export function createDetectionRule(role = 'product') {
+  return { id: createId('rule'), role, kind: 'synonyms', values: [], pattern: '', column: 1 }
+}
+
+export function ruleSetById(ruleSets, id) {
+  return ruleSets.find((set) => set.id === id) || BUILT_IN_RULES
+}
+
+// Returns a test of a header (and its position) against one rule; bad patterns and empty rules match nothing.
+function ruleTest(rule) {
+  if (rule.kind === 'regex') {
+    if (!rule.pattern) return () => false
+    try {
+      const pattern = new RegExp(rule.pattern, 'i')
+      return (header) => pattern.test(header)
+    } catch {
+      return () => false
+    }
+  }
+  if (rule.kind === 'position') return (header, idx) => idx === Number(rule.column) - 1
+  const values = (rule.values || []).map((v) => String(v).trim().toLowerCase()).filter(Boolean)
+  return (header) => values.includes(header.toLowerCase())
+}
+
+// The header for a role: rules are tried in rank order, and within a rule the leftmost matching header wins.
+export function findRoleHeader(ruleSet, role, headers) {
+  for (const rule of ruleSet.rules.filter((r) => r.role === role)) {
+    const test = ruleTest(rule)
+    const idx = headers.findIndex((header, i) => test(header, i))
+    if (idx >= 0) return headers[idx]
+  }
+  return null
+}
+
+export function matchesRole(ruleSet, role, header, idx) {
+  return ruleSet.rules.some((rule) => rule.role === role && ruleTest(rule)(header, idx))
+}
+
+export function productRangeHeaders(ruleSet, headers) {
+  const from = Math.max(1, Number(ruleSet.productRange?.from) || 1)
+  const to = Math.max(from, Number(ruleSet.productRange?.to) || from)
+  return headers.slice(from - 1, to).filter((h) => h && h.trim())
+}
+
+export function ruleSetToJson(ruleSet) {
+  const { name, rules, productColumns, productRange } = ruleSet
+  const plain = rules.map((rule) => ({
+    role: rule.role,
+    kind: rule.kind,
+    values: rule.values,
+    pattern: rule.pattern,
+    column: rule.column,
+  }))
+  return JSON.stringify({ name, rules: plain, productColumns, productRange }, null, 2)
+}
+
+// Checks an imported file and gives it fresh ids, so importing the same file twice makes two sets.
+export function parseRuleSet(text) {
+  const json = JSON.parse(text)
+  if (!json || !Array.isArray(json.rules)) throw new Error('the file has no "rules" list')
+  const roles = RULE_ROLES.map((r) => r.value)
+  const kinds = RULE_KINDS.map((k) => k.value)
+  const rules = json.rules.map((rule, idx) => {
+    if (!roles.includes(rule?.role)) throw new Error(`rule ${idx + 1} has an unknown role "${rule?.role}"`)
+    if (!kinds.includes(rule.kind)) throw new Error(`rule ${idx + 1} has an unknown kind "${rule.kind}"`)
+    return {
+      id: createId('rule'),
+      role: rule.role,
+      kind: rule.kind,
+      values: Array.isArray(rule.values) ? rule.values.map(String) : [],
+      pattern: rule.pattern ? String(rule.pattern) : '',
+      column: Number(rule.column) || 1,
+    }
+  })
+  return {
+    id: createId('rules'),
+    name: String(json.name || 'Imported rules'),
+    rules,
+    productColumns: Array.isArray(json.productColumns) ? json.productColumns.map(String) : [],
+    productRange: {
+      from: Number(json.productRange?.from) || BUILT_IN_RULES.productRange.from,
+      to: Number(json.productRange?.to) || BUILT_IN_RULES.productRange.to,
+    },
+  }
+}
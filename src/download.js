@@ -0,0 +1,34 @@
+import { tableToXlsx } from './workbook.js'
+
+export const TABLE_FORMATS = [
+  { value: 'csv', label: 'CSV' },
+  { value: 'xlsx', label: 'Excel (.xlsx)' },
+]
+
+export function toCsv(rows) {
+  return rows.map((row) => row.map(csvCell).join(',')).join('\r\n')
+}
+
+export function downloadFile(filename, content, type = 'text/csv;charset=utf-8') {
+  const blob = content instanceof Blob ? content : new Blob([content], { type })
+  const url = URL.createObjectURL(blob)
+  const link = document.createElement('a')
+  link.href = url
+  link.download = filename
+  document.body.appendChild(link)
+  link.click()
+  link.remove()
+  setTimeout(() => URL.revokeObjectURL(url), 0)
+}
+
+// `name` has no extension; the format adds it. Resolves once the file is handed to the browser.
+export function downloadTable(name, table, format = 'csv') {
+  if (format === 'xlsx') return tableToXlsx(table, name).then((blob) => downloadFile(`${name}.xlsx`, blob))
+  downloadFile(`${name}.csv`, toCsv(table))
+  return Promise.resolve()
+}
+
+function csvCell(value) {
+  const text = value === null || value === undefined ? '' : String(value)
+  return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text
+}
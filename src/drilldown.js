@@ -0,0 +1,56 @@
+import { EMPTY_SELECTION, OTHER_LABEL, singleValue } from './filters.js'
+
+// Clicking a bar drills one level down area → branch → product by narrowing the filters. The breadcrumb
+// trail is read back from those filters, so shared links and back/forward keep the drill position.
+
+const PLURALS = { area: 'areas', branch: 'branches', product: 'products' }
+
+function drillLevels(meta) {
+  return [meta.areaKey && 'area', meta.branchKey && 'branch', 'product'].filter(Boolean)
+}
+
+export function canDrill(dimension, meta) {
+  const levels = drillLevels(meta)
+  const index = levels.indexOf(dimension)
+  return index >= 0 && index < levels.length - 1
+}
+
+// Filter changes for clicking `label` on a chart grouped by `dimension`, or null on the bottom level.
+export function drillDown(dimension, label, meta, rows) {
+  if (!canDrill(dimension, meta) || label === OTHER_LABEL || label === 'Unspecified') return null
+  const levels = drillLevels(meta)
+  const index = levels.indexOf(dimension)
+  const change = {
+    ...resetBelow(levels, index),
+    [dimension]: { mode: 'include', values: [label] },
+    group: levels[index + 1],
+  }
+  // A branch picked without an area filter still gets its area crumb when it belongs to just one.
+  if (dimension === 'branch' && meta.areaKey) {
+    const areas = new Set(rows.filter((r) => r.branch === label && r.area).map((r) => r.area))
+    if (areas.size === 1) change.area = { mode: 'include', values: Array.from(areas) }
+  }
+  return change
+}
+
+// Each crumb carries the filter changes that step back up to it; the last one is where the chart is now.
+export function breadcrumbs(filters, meta) {
+  const levels = drillLevels(meta)
+  if (levels.length < 2) return []
+  const crumbs = [{ label: `All ${PLURALS[levels[0]]}`, change: { ...resetBelow(levels, -1), group: levels[0] } }]
+  for (let index = 0; index < levels.length - 1; index += 1) {
+    const value = singleValue(filters[levels[index]])
+    if (!value) break
+    crumbs.push({ label: value, change: { ...resetBelow(levels, index), group: levels[index + 1] } })
+  }
+  return crumbs
+}
+
+// Clears the filters of the drill levels under `index`; products are never a crumb, so their filter stays.
+function resetBelow(levels, index) {
+  const change = {}
+  levels.slice(index + 1, -1).forEach((level) => {
+    change[level] = EMPTY_SELECTION
+  })
+  return change
+}
@@ -0,0 +1,78 @@
+// Tables, images and slips for taking the current view out of the app. Everything runs in the browser.
+
+export const EXPORT_SOURCES = [
+  { value: 'rows', label: 'Filtered rows' },
+  { value: 'groups', label: 'Chart groups' },
+]
+
+export function rowsToTable(
+  rows,
+  { hasBranches, hasAreas, hasFiles = false, hasDates, metricLabel, metricColumnOf = null, unitOf },
+) {
+  const columns = [
+    { label: 'Product', get: (r) => r.product },
+    hasBranches && { label: 'Branch', get: (r) => r.branch },
+    hasAreas && { label: 'Area', get: (r) => r.area },
+    hasFiles && { label: 'File', get: (r) => r.file },
+    hasDates && { label: 'Date', get: (r) => r.date },
+    { label: metricLabel, get: (r) => r.metric },
+    // Files read with different metric columns name the column each value came from.
+    metricColumnOf && { label: 'Metric column', get: (r) => metricColumnOf(r) },
+    { label: 'Unit', get: (r) => unitOf(r.product) },
+  ].filter(Boolean)
+  return [columns.map((col) => col.label), ...rows.map((row) => columns.map((col) => col.get(row) ?? ''))]
+}
+
+// One row per group; with a split, one column per series value and a total.
+export function groupsToTable(aggregated, dimensionLabel, metricLabel) {
+  const parts = Array.from(new Set(aggregated.flatMap((entry) => Array.from(entry.series?.keys() || []))))
+  if (!parts.length) return [[dimensionLabel, metricLabel], ...aggregated.map((entry) => [entry.label, entry.value])]
+  return [
+    [dimensionLabel, ...parts, 'Total'],
+    ...aggregated.map((entry) => [entry.label, ...parts.map((part) => entry.series.get(part) ?? 0), entry.value]),
+  ]
+}
+
+// Draws the chart on a white sheet with a title above and the filter caption below, since the canvas itself
+// is transparent and unlabelled.
+export function chartImage(canvas, { title, caption }) {
+  const scale = canvas.clientWidth ? canvas.width / canvas.clientWidth : 1
+  const pad = 24 * scale
+  const titleSize = 18 * scale
+  const captionSize = 13 * scale
+  const out = document.createElement('canvas')
+  out.width = canvas.width + pad * 2
+  out.height = canvas.height + pad * 3 + titleSize + captionSize
+  const ctx = out.getContext('2d')
+  ctx.fillStyle = '#ffffff'
+  ctx.fillRect(0, 0, out.width, out.height)
+  ctx.fillStyle = '#1f2a44'
+  ctx.font = `600 ${titleSize}px system-ui, sans-serif`
+  ctx.fillText(title, pad, pad + titleSize)
+  ctx.drawImage(canvas, pad, pad * 1.5 + titleSize)
+  ctx.fillStyle = '#5b6b8c'
+  ctx.font = `${captionSize}px system-ui, sans-serif`
+  ctx.fillText(caption, pad, out.height - pad)
+  return new Promise((resolve) => out.toBlob(resolve, 'image/png'))
+}
+
+// One slip per branch listing what it receives; `unitOf` names the unit of a product's quantity.
+export function buildSlips(rows, unitOf) {
+  const byBranch = new Map()
+  rows.forEach((row) => {
+    if (!row.branch) return
+    if (!byBranch.has(row.branch)) byBranch.set(row.branch, { branch: row.branch, area: row.area || '', lines: new Map() })
+    const lines = byBranch.get(row.branch).lines
+    lines.set(row.product, (lines.get(row.product) || 0) + row.metric)
+  })
+  return Array.from(byBranch.values())
+    .sort((a, b) => a.area.localeCompare(b.area) || a.branch.localeCompare(b.branch))
+    .map((slip) => ({
+      branch: slip.branch,
+      area: slip.area,
+      lines: Array.from(slip.lines.entries())
+        .filter(([, qty]) => qty)
+        .sort((a, b) => a[0].localeCompare(b[0]))
+        .map(([product, qty]) => ({ product, qty, unit: unitOf(product) })),
+    }))
+}
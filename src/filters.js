@@ -0,0 +1,61 @@
+// A filter is a selection: included values, or excluded values when `mode` is 'exclude'.
+// An empty selection lets every value through in either mode.
+
+export const FILTER_FIELDS = ['product', 'branch', 'area', 'file']
+
+export const EMPTY_SELECTION = { mode: 'include', values: [] }
+
+export const TOP_N_CHOICES = [0, 5, 10, 20, 50]
+
+export const OTHER_LABEL = 'Other'
+
+// Saved sessions and older links hold a single value or '__all' instead of a selection.
+export function toSelection(value) {
+  if (value && typeof value === 'object' && Array.isArray(value.values)) {
+    return { mode: value.mode === 'exclude' ? 'exclude' : 'include', values: value.values.map(String) }
+  }
+  if (!value || value === '__all') return EMPTY_SELECTION
+  return { mode: 'include', values: [String(value)] }
+}
+
+export function normalizeFilters(filters) {
+  const next = { ...filters }
+  FILTER_FIELDS.forEach((field) => {
+    next[field] = toSelection(filters[field])
+  })
+  next.topN = Number(filters.topN) || 0
+  return next
+}
+
+export function isActive(selection) {
+  return Boolean(selection?.values.length)
+}
+
+export function matchesSelection(selection, value) {
+  if (!isActive(selection)) return true
+  const listed = selection.values.includes(value)
+  return selection.mode === 'exclude' ? !listed : listed
+}
+
+// The single value an include selection narrows to, or null when it covers several.
+export function singleValue(selection) {
+  return selection?.mode === 'include' && selection.values.length === 1 ? selection.values[0] : null
+}
+
+export function toggleValue(selection, value) {
+  const values = selection.values.includes(value)
+    ? selection.values.filter((v) => v !== value)
+    : [...selection.values, value]
+  return { ...selection, values }
+}
+
+export function withoutValues(selection, drop) {
+  return { ...selection, values: selection.values.filter((v) => !drop.includes(v)) }
+}
+
+export function describeSelection(selection, noun, plural = `${noun}s`) {
+  if (!isActive(selection)) return `All ${plural}`
+  const { values } = selection
+  const listed = values.length <= 2 ? values.join(', ') : `${values.length} ${plural}`
+  return selection.mode === 'exclude' ? `All except ${listed}` : listed
+}
@@ -0,0 +1,228 @@
+// Forecasts the next periods of each branch/product history with simple, explainable methods, and backtests
+// them on the most recent periods so a branch's error says how far its suggestions can be trusted.
+
+export const FORECAST_METHODS = [
+  { value: 'average', label: 'Moving average' },
+  { value: 'smoothing', label: 'Exponential smoothing' },
+  { value: 'weekday', label: 'Day-of-week seasonality' },
+]
+
+export const CONFIDENCE_LEVELS = [
+  { value: 0.8, label: '80%', z: 1.2816 },
+  { value: 0.9, label: '90%', z: 1.6449 },
+  { value: 0.95, label: '95%', z: 1.96 },
+]
+
+// Columns detectColumns already recognises as a sales history, in order of preference.
+const HISTORY_COLUMNS = ['daily sales', 'sales', 'average', 'avg']
+
+export const defaultForecast = {
+  enabled: false,
+  basis: null,
+  method: 'average',
+  window: 7,
+  alpha: 0.3,
+  horizon: 1,
+  confidence: 0.8,
+}
+
+const DAY_MS = 86400000
+
+export function forecastKey(branch, product) {
+  return `${branch}\u0000${product}`
+}
+
+export function preferredHistory(metricKeys = []) {
+  return metricKeys.find((key) => HISTORY_COLUMNS.includes(key.toLowerCase())) || '__metric'
+}
+
+// `valueOf` reads the history value of a row; `row.metric` on the latest date stands for the current allocation.
+export function runForecast(rows, settings, valueOf) {
+  const dated = rows.filter((row) => row.date)
+  const timeline = Array.from(new Set(dated.map((row) => row.date))).sort()
+  if (timeline.length < 2) return { timeline, futureDates: [], series: [], branches: [], step: 0 }
+
+  const step = periodLength(timeline)
+  const horizon = Math.max(1, Math.round(Number(settings.horizon) || 1))
+  const last = timeline[timeline.length - 1]
+  const futureDates = Array.from({ length: horizon }, (_, i) => shiftDate(last, step * (i + 1)))
+  const position = new Map(timeline.map((date, idx) => [date, idx]))
+  const z = (CONFIDENCE_LEVELS.find((level) => level.value === Number(settings.confidence)) || CONFIDENCE_LEVELS[0]).z
+
+  const groups = new Map()
+  dated.forEach((row) => {
+    const key = forecastKey(row.branch || '', row.product)
+    if (!groups.has(key)) {
+      groups.set(key, {
+        branch: row.branch || '',
+        area: row.area || '',
+        product: row.product,
+        values: new Array(timeline.length).fill(0),
+        latest: 0,
+      })
+    }
+    const group = groups.get(key)
+    group.values[position.get(row.date)] += valueOf(row)
+    if (row.date === last) group.latest += row.metric
+  })
+
+  const series = []
+  const byBranch = new Map()
+  groups.forEach((group, key) => {
+    const model = fitModel(group.values, timeline, settings)
+    const perPeriod = futureDates.map((date) => Math.max(0, model.predict(date)))
+    const forecast = sum(perPeriod)
+    const spread = z * model.sigma * Math.sqrt(horizon)
+    const test = backtest(group.values, timeline, settings, horizon)
+    series.push({
+      key,
+      branch: group.branch,
+      area: group.area,
+      product: group.product,
+      latest: group.latest,
+      forecast,
+      low: Math.max(0, forecast - spread),
+      high: forecast + spread,
+      perPeriod,
+    })
+    if (!byBranch.has(group.branch)) {
+      byBranch.set(group.branch, {
+        branch: group.branch,
+        area: group.area,
+        series: 0,
+        tested: 0,
+        error: 0,
+        bias: 0,
+        actual: 0,
+      })
+    }
+    const branch = byBranch.get(group.branch)
+    branch.series += 1
+    if (test) {
+      branch.tested += 1
+      branch.error += test.error
+      branch.bias += test.bias
+      branch.actual += test.actual
+    }
+  })
+
+  const branches = Array.from(byBranch.values())
+    .map((branch) => ({
+      branch: branch.branch,
+      area: branch.area,
+      series: branch.series,
+      tested: branch.tested,
+      // Weighted errors: total miss over total actual, so slow sellers do not swamp the percentage.
+      wape: branch.tested && branch.actual > 0 ? (branch.error / branch.actual) * 100 : null,
+      bias: branch.tested && branch.actual > 0 ? (branch.bias / branch.actual) * 100 : null,
+    }))
+    .sort((a, b) => a.branch.localeCompare(b.branch))
+
+  series.sort((a, b) => a.branch.localeCompare(b.branch) || a.product.localeCompare(b.product))
+  return { timeline, futureDates, series, branches, step }
+}
+
+export function trustLevel(wape) {
+  if (wape === null || wape === undefined) return null
+  if (wape <= 20) return 'good'
+  if (wape <= 40) return 'fair'
+  return 'poor'
+}
+
+// Holds back the last `horizon` periods, forecasts them from the rest and measures the miss.
+function backtest(values, dates, settings, horizon) {
+  if (values.length < horizon + 2) return null
+  const cut = values.length - horizon
+  const model = fitModel(values.slice(0, cut), dates.slice(0, cut), settings)
+  let error = 0
+  let bias = 0
+  let actual = 0
+  dates.slice(cut).forEach((date, idx) => {
+    const predicted = Math.max(0, model.predict(date))
+    const observed = values[cut + idx]
+    error += Math.abs(predicted - observed)
+    bias += predicted - observed
+    actual += observed
+  })
+  return { error, bias, actual }
+}
+
+// Every model returns its one-step-ahead fit, used for the spread of the band, and a predictor for later dates.
+function fitModel(values, dates, settings) {
+  const window = Math.max(1, Math.round(Number(settings.window) || 1))
+  let fitted
+  let predict
+  if (settings.method === 'smoothing') {
+    const alpha = Math.min(1, Math.max(0.01, Number(settings.alpha) || 0.3))
+    let level = values[0]
+    fitted = values.map((value, idx) => {
+      if (idx === 0) return null
+      const guess = level
+      level = alpha * value + (1 - alpha) * level
+      return guess
+    })
+    predict = () => level
+  } else if (settings.method === 'weekday') {
+    const index = weekdayIndex(values, dates)
+    const adjusted = values.map((value, idx) => {
+      const factor = index[weekday(dates[idx])]
+      return factor > 0 ? value / factor : null
+    })
+    const average = rollingMean(adjusted, window)
+    fitted = average.fitted.map((guess, idx) => (guess === null ? null : guess * index[weekday(dates[idx])]))
+    predict = (date) => average.level * index[weekday(date)]
+  } else {
+    const average = rollingMean(values, window)
+    fitted = average.fitted
+    predict = () => average.level
+  }
+  const residuals = fitted.map((guess, idx) => (guess === null ? null : values[idx] - guess)).filter((r) => r !== null)
+  const sigma = residuals.length ? Math.sqrt(sum(residuals.map((r) => r * r)) / residuals.length) : 0
+  return { predict, sigma }
+}
+
+// Mean of the last `window` known values before each position; nulls (closed days) are skipped.
+function rollingMean(values, window) {
+  const recent = []
+  const fitted = values.map((value) => {
+    const guess = recent.length ? sum(recent) / recent.length : null
+    if (value !== null) {
+      recent.push(value)
+      if (recent.length > window) recent.shift()
+    }
+    return guess
+  })
+  return { fitted, level: recent.length ? sum(recent) / recent.length : 0 }
+}
+
+// How each weekday compares with the average day; 1 everywhere when the data is weekly or has no volume.
+function weekdayIndex(values, dates) {
+  const totals = new Array(7).fill(0)
+  const counts = new Array(7).fill(0)
+  values.forEach((value, idx) => {
+    const day = weekday(dates[idx])
+    totals[day] += value
+    counts[day] += 1
+  })
+  const overall = sum(values) / values.length
+  return totals.map((total, day) => (counts[day] && overall > 0 ? total / counts[day] / overall : 1))
+}
+
+function weekday(date) {
+  return new Date(`${date}T00:00:00Z`).getUTCDay()
+}
+
+// The typical gap between dates in the history, so weekly or monthly data is forecast a week or a month ahead.
+function periodLength(timeline) {
+  const gaps = timeline.slice(1).map((date, idx) => (Date.parse(date) - Date.parse(timeline[idx])) / DAY_MS)
+  gaps.sort((a, b) => a - b)
+  return Math.max(1, Math.round(gaps[Math.floor(gaps.length / 2)]))
+}
+
+function shiftDate(date, days) {
+  return new Date(Date.parse(`${date}T00:00:00Z`) + days * DAY_MS).toISOString().slice(0, 10)
+}
+
+function sum(values) {
+  return values.reduce((total, value) => total + value, 0)
+}
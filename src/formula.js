@@ -0,0 +1,107 @@
+export function compileFormula(formula, names) {
+  const tokens = tokenize(String(formula || ''), names)
+  let pos = 0
+  const peek = () => tokens[pos]
+  const next = () => tokens[pos++]
+
+  const parseExpression = () => {
+    let node = parseTerm()
+    while (peek() && (peek().value === '+' || peek().value === '-')) {
+      const op = next().value
+      const left = node
+      const right = parseTerm()
+      node = op === '+' ? (vars) => left(vars) + right(vars) : (vars) => left(vars) - right(vars)
+    }
+    return node
+  }
+
+  const parseTerm = () => {
+    let node = parseFactor()
+    while (peek() && (peek().value === '*' || peek().value === '/')) {
+      const op = next().value
+      const left = node
+      const right = parseFactor()
+      node =
+        op === '*'
+          ? (vars) => left(vars) * right(vars)
+          : (vars) => {
+              const divisor = right(vars)
+              return divisor === 0 ? 0 : left(vars) / divisor
+            }
+    }
+    return node
+  }
+
+  const parseFactor = () => {
+    const token = next()
+    if (!token) throw new Error('Formula ends unexpectedly.')
+    if (token.type === 'number') return () => token.value
+    if (token.type === 'name') return (vars) => vars[token.value] ?? 0
+    if (token.value === '-') {
+      const inner = parseFactor()
+      return (vars) => -inner(vars)
+    }
+    if (token.value === '(') {
+      const inner = parseExpression()
+      if (next()?.value !== ')') throw new Error('Missing closing parenthesis.')
+      return inner
+    }
+    throw new Error(`Unexpected "${token.value}".`)
+  }
+
+  if (!tokens.length) throw new Error('Formula is empty.')
+  const root = parseExpression()
+  if (pos < tokens.length) throw new Error(`Unexpected "${tokens[pos].value}".`)
+  const referenced = Array.from(new Set(tokens.filter((t) => t.type === 'name').map((t) => t.value)))
+  return {
+    referenced,
+    evaluate: (vars) => {
+      const result = root(vars)
+      return Number.isFinite(result) ? result : 0
+    },
+  }
+}
+
+function tokenize(text, names) {
+  const byLength = [...names].sort((a, b) => b.length - a.length)
+  const tokens = []
+  let i = 0
+  while (i < text.length) {
+    const ch = text[i]
+    if (/\s/.test(ch)) {
+      i++
+      continue
+    }
+    if ('+-*/()'.includes(ch)) {
+      tokens.push({ type: 'op', value: ch })
+      i++
+      continue
+    }
+    const number = /^\d+(\.\d+)?|^\.\d+/.exec(text.slice(i))
+    if (number) {
+      tokens.push({ type: 'number', value: Number(number[0]) })
+      i += number[0].length
+      continue
+    }
+    if (ch === '[') {
+      const end = text.indexOf(']', i)
+      if (end < 0) throw new Error('Missing closing bracket.')
+      const inner = text.slice(i + 1, end).trim().toLowerCase()
+      const name = names.find((n) => n.toLowerCase() === inner)
+      if (!name) throw new Error(`Unknown column "${text.slice(i + 1, end).trim()}".`)
+      tokens.push({ type: 'name', value: name })
+      i = end + 1
+      continue
+    }
+    const rest = text.slice(i).toLowerCase()
+    const name = byLength.find((n) => {
+      if (!rest.startsWith(n.toLowerCase())) return false
+      const after = rest[n.length]
+      return after === undefined || !/[a-z0-9_]/.test(after)
+    })
+    if (!name) throw new Error(`Unknown name near "${text.slice(i, i + 12)}".`)
+    tokens.push({ type: 'name', value: name })
+    i += name.length
+  }
+  return tokens
+}
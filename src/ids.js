@@ -0,0 +1,5 @@
+// Ids for things saved in the browser: a readable prefix, the time and a random tail, so two made in the
+// same millisecond still differ.
+export function createId(prefix) {
+  return `${prefix}-${Date.now().toString(36)}-${Math.random().toString(36).slice(2, 8)}`
+}
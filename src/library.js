@@ -0,0 +1,169 @@
+// Saved datasets live in IndexedDB: a small summary per dataset for the list, and the full payload
+// (rows, mapping, source, settings) in a second store that is only read when a dataset is opened.
+// Changes to view settings alone go to a third store, so a filter click does not rewrite every row.
+import { createId } from './ids.js'
+
+const DB_NAME = 'allocationLibrary'
+const DB_VERSION = 1
+const SUMMARIES = 'summaries'
+const PAYLOADS = 'payloads'
+const VIEWS = 'views'
+
+export const LEGACY_KEY = 'allocationData_v2'
+
+let dbPromise = null
+
+function openDb() {
+  if (!dbPromise) {
+    dbPromise = new Promise((resolve, reject) => {
+      if (typeof indexedDB === 'undefined') {
+        reject(new Error('IndexedDB is not available in this browser.'))
+        return
+      }
+      const request = indexedDB.open(DB_NAME, DB_VERSION)
+      request.onupgradeneeded = () => {
+        const db = request.result
+        if (!db.objectStoreNames.contains(SUMMARIES)) db.createObjectStore(SUMMARIES, { keyPath: 'id' })
+        if (!db.objectStoreNames.contains(PAYLOADS)) db.createObjectStore(PAYLOADS, { keyPath: 'id' })
+        if (!db.objectStoreNames.contains(VIEWS)) db.createObjectStore(VIEWS, { keyPath: 'id' })
+      }
+      request.onsuccess = () => resolve(request.result)
+      request.onerror = () => reject(request.error)
+    })
+    dbPromise.catch(() => {
+      dbPromise = null
+    })
+  }
+  return dbPromise
+}
+
+function run(storeNames, mode, work) {
+  return openDb().then(
+    (db) =>
+      new Promise((resolve, reject) => {
+        const tx = db.transaction(storeNames, mode)
+        let result
+        work(tx, (value) => {
+          result = value
+        })
+        tx.oncomplete = () => resolve(result)
+        tx.onerror = () => reject(tx.error)
+        tx.onabort = () => reject(tx.error || new Error('Storage transaction aborted.'))
+      }),
+  )
+}
+
+export function createDatasetId() {
+  return createId('ds')
+}
+
+export function listDatasets() {
+  return run([SUMMARIES], 'readonly', (tx, done) => {
+    const request = tx.objectStore(SUMMARIES).getAll()
+    request.onsuccess = () => done(request.result.sort((a, b) => b.updatedAt.localeCompare(a.updatedAt)))
+  })
+}
+
+// A view saved after the payload overrides the settings stored with it.
+export function loadDataset(id) {
+  return run([SUMMARIES, PAYLOADS, VIEWS], 'readonly', (tx, done) => {
+    const summaryRequest = tx.objectStore(SUMMARIES).get(id)
+    const payloadRequest = tx.objectStore(PAYLOADS).get(id)
+    const viewRequest = tx.objectStore(VIEWS).get(id)
+    viewRequest.onsuccess = () => {
+      if (!summaryRequest.result || !payloadRequest.result) return done(null)
+      const payload = { ...payloadRequest.result.payload, ...viewRequest.result?.view }
+      done({ summary: summaryRequest.result, payload })
+    }
+  })
+}
+
+// `payload` has the shape the app used to keep under the v2 localStorage key. The size is only measured
+// here, when the rows are written.
+export function saveDataset(id, name, payload, createdAt = null) {
+  const now = new Date().toISOString()
+  const summary = {
+    id,
+    name,
+    createdAt: createdAt || now,
+    updatedAt: now,
+    rows: payload.rows.length,
+    files: payload.source?.files?.map((file) => file.name) || [payload.source?.fileName].filter(Boolean),
+    bytes: JSON.stringify(payload).length,
+  }
+  return run([SUMMARIES, PAYLOADS, VIEWS], 'readwrite', (tx, done) => {
+    tx.objectStore(SUMMARIES).put(summary)
+    tx.objectStore(PAYLOADS).put({ id, payload })
+    tx.objectStore(VIEWS).delete(id)
+    done(summary)
+  })
+}
+
+// Saves settings that do not touch the rows (filters, allocation, scenarios, ...) next to the payload.
+// The data itself is unchanged, so updatedAt and the library order stay as they are.
+export function saveDatasetView(id, name, view) {
+  return run([SUMMARIES, VIEWS], 'readwrite', (tx, done) => {
+    const store = tx.objectStore(SUMMARIES)
+    const request = store.get(id)
+    request.onsuccess = () => {
+      if (!request.result) return done(null)
+      const summary = { ...request.result, name }
+      store.put(summary)
+      tx.objectStore(VIEWS).put({ id, view })
+      done(summary)
+    }
+  })
+}
+
+export function renameDataset(id, name) {
+  return run([SUMMARIES], 'readwrite', (tx, done) => {
+    const store = tx.objectStore(SUMMARIES)
+    const request = store.get(id)
+    request.onsuccess = () => {
+      if (!request.result) return done(null)
+      const summary = { ...request.result, name }
+      store.put(summary)
+      done(summary)
+    }
+  })
+}
+
+export function duplicateDataset(id, name) {
+  return loadDataset(id).then((record) => {
+    if (!record) throw new Error('That dataset no longer exists.')
+    return saveDataset(createDatasetId(), name, record.payload)
+  })
+}
+
+export function deleteDataset(id) {
+  return run([SUMMARIES, PAYLOADS, VIEWS], 'readwrite', (tx) => {
+    tx.objectStore(SUMMARIES).delete(id)
+    tx.objectStore(PAYLOADS).delete(id)
+    tx.objectStore(VIEWS).delete(id)
+  })
+}
+
+// Moves the single session saved by earlier versions into the library, then frees the localStorage slot.
+export function migrateLegacySession() {
+  let legacy = null
+  try {
+    legacy = JSON.parse(localStorage.getItem(LEGACY_KEY) || 'null')
+  } catch (err) {
+    console.warn('Could not read the saved session', err)
+  }
+  if (!legacy?.rows?.length) return Promise.resolve(null)
+  const name = legacy.source?.fileName || 'Restored session'
+  return saveDataset(createDatasetId(), name, legacy).then((summary) => {
+    localStorage.removeItem(LEGACY_KEY)
+    return summary
+  })
+}
+
+export function storageEstimate() {
+  if (!navigator.storage?.estimate) return Promise.resolve(null)
+  return navigator.storage.estimate().catch(() => null)
+}
+
+export function isQuotaError(err) {
+  return err?.name === 'QuotaExceededError' || /quota/i.test(err?.message || '')
+}
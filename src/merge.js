@@ -0,0 +1,123 @@
+// A dataset holds one or more files. Their raw rows share one list, so a row's rowIndex
+// points into source.rows whichever file it came from, and each file keeps its own mapping.
+
+const ROLE_KEYS = ['productKey', 'branchKey', 'areaKey', 'itemKey', 'metricKey', 'dateKey']
+
+export function addFileToSource(source, parsed, fileName, meta) {
+  const files = source?.files || []
+  const start = source?.rows.length || 0
+  const file = {
+    name: uniqueName(fileName, files),
+    start,
+    count: parsed.rows.length,
+    headers: parsed.headers,
+    rawHeaders: parsed.rawHeaders,
+    headerCount: parsed.headerCount,
+    invented: parsed.invented || [],
+    delimiter: parsed.delimiter,
+    encoding: parsed.encoding,
+    numberLocale: parsed.numberLocale,
+    sheetName: parsed.sheetName,
+    meta,
+  }
+  const rowInfo = [...(source?.rowInfo || [])]
+  while (rowInfo.length < start) rowInfo.push(null)
+  return describeSource(
+    [...files, file],
+    [...(source?.rows || []), ...parsed.rows],
+    [...rowInfo, ...(parsed.rowInfo || parsed.rows.map(() => null))],
+  )
+}
+
+// Sources saved before multi-file support are a single parsed file without a files list.
+export function withFiles(source, meta) {
+  if (!source || source.files) return source
+  return addFileToSource(null, source, source.fileName || 'Uploaded file', meta)
+}
+
+export function replaceFileMeta(source, index, meta) {
+  const files = source.files.map((file, idx) => (idx === index ? { ...file, meta } : file))
+  return describeSource(files, source.rows, source.rowInfo)
+}
+
+export function removeFileFromSource(source, index) {
+  const removed = source.files[index]
+  const end = removed.start + removed.count
+  const files = source.files
+    .filter((_, idx) => idx !== index)
+    .map((file) => (file.start >= end ? { ...file, start: file.start - removed.count } : file))
+  const keep = (_, idx) => idx < removed.start || idx >= end
+  return describeSource(files, source.rows.filter(keep), (source.rowInfo || []).filter(keep))
+}
+
+export function expandFile(source, file, expand) {
+  return expand(source.rows.slice(file.start, file.start + file.count), file.meta).map((row) => ({
+    ...row,
+    rowIndex: row.rowIndex + file.start,
+    file: file.name,
+  }))
+}
+
+export function expandSource(source, expand) {
+  return source.files.flatMap((file) => expandFile(source, file, expand)).map((row, idx) => ({ ...row, id: idx }))
+}
+
+// The merged meta answers "is there a branch column anywhere" and lists every metric column.
+export function mergedMeta(files) {
+  if (files.length === 1) return files[0].meta
+  const pick = (key) => files.map((file) => file.meta[key]).find(Boolean) || null
+  const union = (key) => Array.from(new Set(files.flatMap((file) => file.meta[key] || [])))
+  return {
+    ...files[0].meta,
+    branchKey: pick('branchKey'),
+    areaKey: pick('areaKey'),
+    itemKey: pick('itemKey'),
+    uomKey: pick('uomKey'),
+    conversionKey: pick('conversionKey'),
+    caseKey: pick('caseKey'),
+    dateKey: pick('dateKey'),
+    metricKeys: union('metricKeys'),
+    productColumns: union('productColumns'),
+    dateColumns: union('dateColumns'),
+    headers: union('headers'),
+  }
+}
+
+export function mappingDifferences(file, reference) {
+  const differs = ROLE_KEYS.filter((key) => (file.meta[key] || null) !== (reference.meta[key] || null))
+  const columns = (meta) => (meta.productColumns || []).join('|')
+  if (columns(file.meta) !== columns(reference.meta)) differs.push('productColumns')
+  if ((file.meta.dateColumns || []).join('|') !== (reference.meta.dateColumns || []).join('|')) {
+    differs.push('dateColumns')
+  }
+  return differs
+}
+
+function describeSource(files, rows, rowInfo) {
+  const headers = []
+  files.forEach((file) => {
+    file.headers.forEach((h) => {
+      if (!headers.includes(h)) headers.push(h)
+    })
+  })
+  const first = files[0]
+  return {
+    files,
+    rows,
+    rowInfo,
+    headers,
+    rawHeaders: files.length === 1 ? first.rawHeaders : headers,
+    fileName: files.length === 1 ? first.name : `${files.length} files`,
+    delimiter: first?.delimiter,
+    encoding: first?.encoding,
+    numberLocale: first?.numberLocale,
+  }
+}
+
+function uniqueName(fileName, files) {
+  const taken = new Set(files.map((file) => file.name))
+  let name = fileName
+  let attempt = 2
+  while (taken.has(name)) name = `${fileName} (${attempt++})`
+  return name
+}
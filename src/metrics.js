@@ -0,0 +1,94 @@
+import { compileFormula } from './formula.js'
+
+export const PRIMARY_METRIC = '__primary'
+
+export const AGGREGATIONS = [
+  { value: 'sum', label: 'Sum' },
+  { value: 'avg', label: 'Average' },
+  { value: 'min', label: 'Min' },
+  { value: 'max', label: 'Max' },
+]
+
+export const defaultMetricSettings = {
+  active: PRIMARY_METRIC,
+  derived: [],
+  aggregations: {},
+}
+
+export function formulaNames(meta) {
+  const names = ['metric', ...(meta.metricKeys || []), meta.metricKey, meta.conversionKey, meta.caseKey]
+  return Array.from(new Set(names.filter(Boolean)))
+}
+
+export function metricOptions(meta, derived = []) {
+  const wide = isWide(meta)
+  const wideLabel = meta.productColumns?.length ? 'Product column values' : 'Date column values'
+  const options = [
+    {
+      id: PRIMARY_METRIC,
+      label: wide ? wideLabel : meta.metricKey || 'first numeric column',
+      kind: 'primary',
+    },
+  ]
+  const columns = (meta.metricKeys || []).filter((key) => wide || key !== meta.metricKey)
+  columns.forEach((key) => options.push({ id: `col:${key}`, label: key, kind: 'column', column: key }))
+  const names = formulaNames(meta)
+  derived.forEach((def) => {
+    let compiled = null
+    let error = null
+    try {
+      compiled = compileFormula(def.formula, names)
+    } catch (err) {
+      error = err.message
+    }
+    options.push({ id: `calc:${def.name}`, label: def.name, kind: 'derived', formula: def.formula, compiled, error })
+  })
+  return options
+}
+
+export function applyMetric(rows, option, meta) {
+  if (!option || option.kind === 'primary') return rows
+  if (option.kind === 'column') {
+    return rows.map((row) => ({ ...row, metric: row.values?.[option.column] ?? 0 }))
+  }
+  if (!option.compiled) return rows.map((row) => ({ ...row, metric: 0 }))
+  const wide = isWide(meta)
+  return rows.map((row) => {
+    const vars = { ...row.values, metric: row.metric }
+    if (!wide && meta.metricKey) vars[meta.metricKey] = row.metric
+    return { ...row, metric: option.compiled.evaluate(vars) }
+  })
+}
+
+// Product or date columns spread one metric over several columns, so `metric` is not any single column.
+function isWide(meta) {
+  return Boolean(meta.productColumns?.length || meta.dateColumns?.length)
+}
+
+export function createStats() {
+  return { sum: 0, count: 0, min: Infinity, max: -Infinity }
+}
+
+export function addToStats(stats, value) {
+  stats.sum += value
+  stats.count += 1
+  if (value < stats.min) stats.min = value
+  if (value > stats.max) stats.max = value
+  return stats
+}
+
+export function mergeStats(stats, other) {
+  stats.sum += other.sum
+  stats.count += other.count
+  stats.min = Math.min(stats.min, other.min)
+  stats.max = Math.max(stats.max, other.max)
+  return stats
+}
+
+export function statValue(stats, aggregation = 'sum') {
+  if (!stats.count) return 0
+  if (aggregation === 'avg') return stats.sum / stats.count
+  if (aggregation === 'min') return stats.min
+  if (aggregation === 'max') return stats.max
+  return stats.sum
+}
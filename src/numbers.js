@@ -0,0 +1,62 @@
+export const NUMBER_LOCALES = [
+  { value: 'auto', label: 'Detect' },
+  { value: 'en', label: '1,234.5' },
+  { value: 'eu', label: '1.234,5' },
+]
+
+// Returns null for cells that are not numbers. `(1,200)` and a trailing minus read as negatives.
+export function readNumber(value, locale = 'auto') {
+  let text = String(value ?? '')
+    .replace(/\s/g, '')
+    .replace(/%/g, '')
+  if (!text) return null
+  let negative = false
+  if (/^\(.*\)$/.test(text)) {
+    negative = true
+    text = text.slice(1, -1)
+  } else if (/\d-$/.test(text)) {
+    negative = true
+    text = text.slice(0, -1)
+  }
+  const decimal = locale === 'eu' ? ',' : locale === 'en' ? '.' : guessDecimal(text)
+  text = text.split(decimal === ',' ? '.' : ',').join('')
+  if (decimal === ',') text = text.replace(',', '.')
+  if (!/^[-+]?(\d+\.?\d*|\.\d+)(e[-+]?\d+)?$/i.test(text)) return null
+  const n = Number(text)
+  if (!Number.isFinite(n)) return null
+  return negative ? -n : n
+}
+
+export function looksNumeric(value, locale = 'auto') {
+  return readNumber(value, locale) !== null
+}
+
+export function parseNumber(val, locale = 'auto') {
+  return readNumber(val, locale) ?? 0
+}
+
+// Votes over unambiguous cells only: "1,234" could be either, "1.234,5" or "12,50" cannot.
+export function detectNumberLocale(rows, headers) {
+  let en = 0
+  let eu = 0
+  rows.slice(0, 500).forEach((row) => {
+    headers.forEach((h) => {
+      const text = String(row[h] ?? '')
+        .trim()
+        .replace(/^[(-]|[)-]$/g, '')
+      if (!/^[\d.,]+$/.test(text)) return
+      if (/\d,\d{3}\.\d/.test(text) || /^\d+\.\d{1,2}$/.test(text) || /\d,\d{3},\d{3}/.test(text)) en++
+      else if (/\d\.\d{3},\d/.test(text) || /^\d+,\d{1,2}$/.test(text) || /\d\.\d{3}\.\d{3}/.test(text)) eu++
+    })
+  })
+  return eu > en ? 'eu' : 'en'
+}
+
+function guessDecimal(text) {
+  const lastComma = text.lastIndexOf(',')
+  const lastDot = text.lastIndexOf('.')
+  if (lastComma >= 0 && lastDot >= 0) return lastComma > lastDot ? ',' : '.'
+  if (lastComma >= 0) return /^[-+]?\d{1,3}(,\d{3})+$/.test(text) ? '.' : ','
+  if (lastDot >= 0) return /^[-+]?\d{1,3}(\.\d{3}){2,}$/.test(text) ? ',' : '.'
+  return '.'
+}
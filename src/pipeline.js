@@ -0,0 +1,375 @@
+// The path from a file's text to chart totals: parse, detect or apply a column mapping, expand into one row
+// per product (and date), filter and aggregate. It has no browser dependencies, so the app and the command
+// line in bin/ share it.
+import { decodeText, parseCsv } from './csv.js'
+import { looksNumeric, parseNumber } from './numbers.js'
+import { findDateColumn, headerDate, headerDates, inDateRange, periodKey, valueDates } from './dates.js'
+import { isTargetHeader } from './attainment.js'
+import { BUILT_IN_RULES, findRoleHeader, matchesRole, productRangeHeaders } from './detectionRules.js'
+import { normalizeUom } from './units.js'
+import { addToStats, createStats, mergeStats, statValue } from './metrics.js'
+import { OTHER_LABEL, matchesSelection } from './filters.js'
+
+export function parseText(buffer, options) {
+  const { text, encoding } = decodeText(buffer, options.encoding)
+  return { ...parseCsv(text, options), encoding }
+}
+
+export function detectColumns(headers, rows, rawHeaders = [], numberLocale = 'auto', ruleSet = BUILT_IN_RULES) {
+  const findHeader = (role) => findRoleHeader(ruleSet, role, headers)
+
+  const numericHeaders = headers.filter((h) => rows.some((r) => looksNumeric(r[h], numberLocale)))
+  // Two or more numeric columns named by date ("Oct 14 Alloc", "Oct 15 Alloc") are one metric over time.
+  const datedHeaders = numericHeaders.filter((h) => headerDate(h))
+  const dateColumns = datedHeaders.length >= 2 ? datedHeaders : []
+  const dateKey = dateColumns.length ? null : findDateColumn(headers, rows)
+  const productKey = findHeader('product')
+  const branchKey = findHeader('branch')
+  let areaKey = findHeader('area')
+  const itemKey = findHeader('item')
+
+  if (!areaKey && branchKey) {
+    const firstHeader = headers[0]
+    const sampleValues = rows.map((r) => String(r[firstHeader] || '').trim()).filter(Boolean)
+    const allNumeric = sampleValues.length > 0 && sampleValues.every((v) => looksNumeric(v, numberLocale))
+    if (firstHeader !== branchKey && firstHeader !== dateKey && sampleValues.length > 3 && !allNumeric) {
+      areaKey = firstHeader
+    }
+  }
+
+  const metricKey = findHeader('metric')
+  // A numeric "Units" column is a quantity, not a unit of measure.
+  const uomHeader = findHeader('uom')
+  const uomKey = uomHeader && !numericHeaders.includes(uomHeader) ? uomHeader : null
+  const conversionKey = findHeader('conversion')
+  const caseKey = findHeader('caseSize')
+
+  const reserved = new Set(
+    [productKey, branchKey, areaKey, itemKey, uomKey, conversionKey, caseKey, dateKey, ...dateColumns]
+      .filter(Boolean)
+      .map((h) => h.toLowerCase()),
+  )
+  const freeNumeric = numericHeaders.filter((h) => !reserved.has(h.toLowerCase()))
+  // Target columns are kept as metrics to pair with an actual, never read as products.
+  let metricKeys = productKey
+    ? freeNumeric
+    : freeNumeric.filter((h) => matchesRole(ruleSet, 'metric', h, headers.indexOf(h)) || isTargetHeader(h))
+  let productColumns = productKey ? [] : freeNumeric.filter((h) => !metricKeys.includes(h))
+
+  const knownProducts = (ruleSet.productColumns || []).map((name) => name.trim().toLowerCase())
+  const rangeHeaders = productRangeHeaders(ruleSet, headers)
+  const knownMatch = rangeHeaders.filter((h) => knownProducts.includes(h.toLowerCase()))
+  if (knownMatch.length) {
+    productColumns = knownMatch
+    metricKeys = metricKeys.filter((h) => !knownMatch.includes(h))
+  } else if (!productColumns.length && !productKey && !metricKeys.length && !dateColumns.length && rangeHeaders.length) {
+    productColumns = rangeHeaders
+  }
+  const firstMetric = metricKeys.find((h) => !isTargetHeader(h)) || metricKeys[0] || null
+  const finalMetricKey = metricKey || (productColumns.length === 1 ? productColumns[0] : firstMetric)
+
+  let syntheticProduct = false
+  let syntheticProductLabel = 'All Products'
+  if (!productKey && productColumns.length === 0) {
+    syntheticProduct = true
+    const cleanedRaw = rawHeaders.map((h) => (h || '').trim()).filter(Boolean)
+    const banned = [
+      'sum',
+      'avg',
+      'average',
+      'alloc',
+      'allocation',
+      'conversion',
+      'target',
+      'total',
+      'uom',
+      'branch',
+      'area',
+      'metric',
+      'value',
+      'amount',
+      'qty',
+      'quantity',
+      'sales',
+      'volume',
+      '%',
+      'kg',
+    ]
+    const isProductish = (h) => {
+      const l = h.toLowerCase()
+      if (banned.some((b) => l.includes(b)) || headerDate(h)) return false
+      return true
+    }
+    const productish = cleanedRaw.find(isProductish)
+    syntheticProductLabel = productish || 'All Products'
+    if (!syntheticProductLabel && finalMetricKey) syntheticProductLabel = finalMetricKey
+  }
+
+  return {
+    headers,
+    productKey,
+    branchKey,
+    areaKey,
+    itemKey,
+    metricKey: finalMetricKey,
+    metricKeys,
+    uomKey,
+    conversionKey,
+    caseKey,
+    dateKey,
+    dateColumns,
+    dateYear: null,
+    productColumns,
+    syntheticProduct,
+    syntheticProductLabel,
+    rawHeaders,
+  }
+}
+
+export function expandRows(rows, meta) {
+  const numeric = (val) => parseNumber(val, meta.numberLocale)
+  const cleanText = (row, key) => (key ? String(row[key] ?? '').trim() : '')
+  const dates = rowDates(rows, meta)
+
+  if (meta.productColumns && meta.productColumns.length > 0) {
+    const expanded = []
+    rows.forEach((row, rowIndex) => {
+      const baseArea = cleanText(row, meta.areaKey)
+      const baseBranch = cleanText(row, meta.branchKey)
+      const baseItem = cleanText(row, meta.itemKey)
+      const date = dates[rowIndex]
+      const values = metricValues(row, meta)
+      const units = unitFields(row, meta)
+      meta.productColumns.forEach((col) => {
+        const value = numeric(row[col])
+        expanded.push({
+          product: col,
+          item: baseItem,
+          branch: baseBranch,
+          area: baseArea,
+          date,
+          metric: value,
+          values,
+          ...units,
+          id: expanded.length,
+          rowIndex,
+        })
+      })
+    })
+    return expanded
+  }
+
+  // Date columns are only spread out when there are no product columns; each becomes one row per date.
+  if (meta.dateColumns?.length) {
+    const columnDates = headerDates(meta.dateColumns, { startYear: meta.dateYear }).map((date) => date || '')
+    const expanded = []
+    rows.forEach((row, rowIndex) => {
+      const base = normalizeRow(row, meta, rowIndex, dates[rowIndex])
+      meta.dateColumns.forEach((col, idx) => {
+        expanded.push({ ...base, date: columnDates[idx], metric: numeric(row[col]), id: expanded.length })
+      })
+    })
+    return expanded
+  }
+
+  return rows.map((r, idx) => normalizeRow(r, meta, idx, dates[idx]))
+}
+
+function normalizeRow(row, meta, rowIndex, date) {
+  const cleanText = (key) => (key ? String(row[key] ?? '').trim() : '')
+  const numeric = (val) => parseNumber(val, meta.numberLocale)
+  const syntheticLabel = meta.syntheticProductLabel || 'All Products'
+  const productValue = meta.productKey ? cleanText(meta.productKey) : syntheticLabel
+  return {
+    product: productValue,
+    item: cleanText(meta.itemKey),
+    branch: cleanText(meta.branchKey),
+    area: cleanText(meta.areaKey),
+    date,
+    metric: numeric(meta.metricKey ? row[meta.metricKey] : 0),
+    values: metricValues(row, meta),
+    ...unitFields(row, meta),
+    id: rowIndex,
+    rowIndex,
+  }
+}
+
+// Cells without a year get one from the whole column, the same way date headers do.
+function rowDates(rows, meta) {
+  if (!meta.dateKey) return rows.map(() => '')
+  return valueDates(rows.map((row) => row[meta.dateKey]), { startYear: meta.dateYear }).map((date) => date || '')
+}
+
+// Conversion and case columns are kept out of the metric choices but stay usable in formulas.
+function metricValues(row, meta) {
+  const keys = [...(meta.metricKeys || []), meta.conversionKey, meta.caseKey].filter(Boolean)
+  return Object.fromEntries(keys.map((key) => [key, parseNumber(row[key], meta.numberLocale)]))
+}
+
+function unitFields(row, meta) {
+  const factor = (key) => {
+    const value = key ? parseNumber(row[key], meta.numberLocale) : 0
+    return value > 0 ? value : null
+  }
+  return {
+    uom: meta.uomKey ? normalizeUom(row[meta.uomKey]) : null,
+    kgPerPc: factor(meta.conversionKey),
+    pcsPerCase: factor(meta.caseKey),
+  }
+}
+
+export function headerSignature(rawHeaders = []) {
+  return rawHeaders.map((h) => String(h || '').trim().toLowerCase()).join('|')
+}
+
+export function mappingFromMeta(meta) {
+  return {
+    productKey: meta.productKey,
+    branchKey: meta.branchKey,
+    areaKey: meta.areaKey,
+    itemKey: meta.itemKey,
+    metricKey: meta.metricKey,
+    metricKeys: [...(meta.metricKeys || [])],
+    uomKey: meta.uomKey || null,
+    conversionKey: meta.conversionKey || null,
+    caseKey: meta.caseKey || null,
+    dateKey: meta.dateKey || null,
+    dateColumns: [...(meta.dateColumns || [])],
+    dateYear: meta.dateYear || null,
+    productColumns: [...(meta.productColumns || [])],
+    syntheticProductLabel: meta.syntheticProductLabel || 'All Products',
+  }
+}
+
+export function applyMapping(headers, rawHeaders, mapping) {
+  const known = new Set(headers)
+  const keys = [
+    'productKey',
+    'branchKey',
+    'areaKey',
+    'itemKey',
+    'metricKey',
+    'uomKey',
+    'conversionKey',
+    'caseKey',
+    'dateKey',
+  ]
+  if (keys.some((k) => mapping[k] && !known.has(mapping[k]))) return null
+  const productColumns = (mapping.productColumns || []).filter((h) => known.has(h))
+  const dateColumns = (mapping.dateColumns || []).filter((h) => known.has(h))
+  const metricKey = mapping.metricKey || (productColumns.length === 1 ? productColumns[0] : null)
+  const metricKeys = Array.from(new Set([metricKey, ...(mapping.metricKeys || [])]))
+    .filter((h) => h && known.has(h) && !productColumns.includes(h) && !dateColumns.includes(h))
+  const syntheticProduct = !mapping.productKey && productColumns.length === 0
+  return {
+    headers,
+    productKey: mapping.productKey || null,
+    branchKey: mapping.branchKey || null,
+    areaKey: mapping.areaKey || null,
+    itemKey: mapping.itemKey || null,
+    metricKey,
+    metricKeys,
+    uomKey: mapping.uomKey || null,
+    conversionKey: mapping.conversionKey || null,
+    caseKey: mapping.caseKey || null,
+    dateKey: mapping.dateKey || null,
+    dateColumns,
+    dateYear: Number(mapping.dateYear) || null,
+    productColumns,
+    syntheticProduct,
+    syntheticProductLabel: (mapping.syntheticProductLabel || '').trim() || 'All Products',
+    rawHeaders,
+  }
+}
+
+// Files that share headers with one already loaded reuse its mapping; files with other headers get the
+// first loaded mapping whose columns they all have as a suggestion, so merged files line up.
+export function resolveMapping(parsed, profiles, currentMeta = null, files = [], ruleSet = BUILT_IN_RULES) {
+  const signature = headerSignature(parsed.rawHeaders)
+  const numberLocale = parsed.numberLocale || 'en'
+  const profile = profiles[signature]
+  if (profile) {
+    const profileMeta = applyMapping(parsed.headers, parsed.rawHeaders, profile.mapping)
+    if (profileMeta) return { meta: { ...profileMeta, numberLocale }, profile }
+  }
+  const known = [currentMeta, ...files.map((file) => file.meta)].filter(Boolean)
+  const same = known.find((candidate) => headerSignature(candidate.rawHeaders) === signature)
+  if (same) {
+    const sameMeta = applyMapping(parsed.headers, parsed.rawHeaders, mappingFromMeta(same))
+    if (sameMeta) return { meta: { ...sameMeta, numberLocale }, profile: null, reused: true }
+  }
+  for (const candidate of known) {
+    const matched = applyMapping(parsed.headers, parsed.rawHeaders, mappingFromMeta(candidate))
+    if (matched && matched.productColumns.length === (candidate.productColumns || []).length) {
+      return { meta: { ...matched, numberLocale }, profile: null }
+    }
+  }
+  const detected = detectColumns(parsed.headers, parsed.rows, parsed.rawHeaders, numberLocale, ruleSet)
+  return { meta: { ...detected, numberLocale }, profile: null }
+}
+
+export function rowMatchesFilters(row, filters, meta) {
+  const productOk = matchesSelection(filters.product, row.product)
+  const branchOk = !meta.branchKey || matchesSelection(filters.branch, row.branch)
+  const areaOk = !meta.areaKey || matchesSelection(filters.area, row.area)
+  // Baseline rows do not belong to any uploaded file.
+  const fileOk = !row.file || matchesSelection(filters.file, row.file)
+  const dateOk = !(meta.dateKey || meta.dateColumns?.length) || inDateRange(row.date, filters.dateFrom, filters.dateTo)
+  return productOk && branchOk && areaOk && fileOk && dateOk
+}
+
+export function aggregate(rows, dimension, series = null, aggregation = 'sum', { topN = 0, keep = null, grain = 'day' } = {}) {
+  const labelOf = dimensionReader(dimension, grain)
+  const partOf = series ? dimensionReader(series, grain) : null
+  const totals = new Map()
+  rows.forEach((r) => {
+    const label = labelOf(r) || 'Unspecified'
+    if (!totals.has(label)) totals.set(label, { label, stats: createStats(), series: partOf ? new Map() : null })
+    const entry = totals.get(label)
+    addToStats(entry.stats, r.metric)
+    if (partOf) {
+      const part = partOf(r) || 'Unspecified'
+      if (!entry.series.has(part)) entry.series.set(part, createStats())
+      addToStats(entry.series.get(part), r.metric)
+    }
+  })
+  // Periods keep their time order and are never folded into "Other".
+  const timeline = dimension === 'date'
+  const entries = Array.from(totals.values())
+    .map((entry) => ({ ...entry, value: statValue(entry.stats, aggregation) }))
+    .sort((a, b) => (timeline ? a.label.localeCompare(b.label) : b.value - a.value))
+  // Groups past the top N (or outside `keep`, to line up with another aggregate) fold into one "Other" group.
+  const kept = keep
+    ? entries.filter((entry) => keep.includes(entry.label))
+    : topN && !timeline && entries.length > topN + 1
+      ? entries.slice(0, topN)
+      : entries
+  const rest = entries.filter((entry) => !kept.includes(entry))
+  if (rest.length && (!keep || keep.includes(OTHER_LABEL))) kept.push(otherGroup(rest, aggregation))
+  return kept.map((entry) => ({
+    label: entry.label,
+    value: entry.value,
+    series: entry.series
+      ? new Map(Array.from(entry.series.entries()).map(([part, stats]) => [part, statValue(stats, aggregation)]))
+      : undefined,
+  }))
+}
+
+function otherGroup(entries, aggregation) {
+  const stats = createStats()
+  const series = entries[0].series ? new Map() : null
+  entries.forEach((entry) => {
+    mergeStats(stats, entry.stats)
+    entry.series?.forEach((partStats, part) => {
+      if (!series.has(part)) series.set(part, createStats())
+      mergeStats(series.get(part), partStats)
+    })
+  })
+  return { label: OTHER_LABEL, stats, series, value: statValue(stats, aggregation) }
+}
+
+function dimensionReader(dimension, grain) {
+  if (dimension === 'date') return (r) => periodKey(r.date, grain)
+  const key = ['branch', 'area', 'file'].includes(dimension) ? dimension : 'product'
+  return (r) => r[key]
+}
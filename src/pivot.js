@@ -0,0 +1,55 @@
+export function buildPivot(rows, rowDim, colDim, { groupByArea = false } = {}) {
+  const colKeys = Array.from(new Set(rows.map((r) => r[colDim] || 'Unspecified'))).sort()
+  const groups = new Map()
+  const colTotals = new Map()
+  let grandTotal = 0
+  let maxCell = 0
+
+  rows.forEach((r) => {
+    const groupKey = groupByArea ? r.area || 'Unspecified' : ''
+    const rowKey = r[rowDim] || 'Unspecified'
+    const colKey = r[colDim] || 'Unspecified'
+    if (!groups.has(groupKey)) {
+      groups.set(groupKey, { key: groupKey, rows: new Map(), cells: new Map(), total: 0 })
+    }
+    const group = groups.get(groupKey)
+    if (!group.rows.has(rowKey)) group.rows.set(rowKey, { key: rowKey, cells: new Map(), total: 0 })
+    const pivotRow = group.rows.get(rowKey)
+    pivotRow.cells.set(colKey, (pivotRow.cells.get(colKey) || 0) + r.metric)
+    pivotRow.total += r.metric
+    group.cells.set(colKey, (group.cells.get(colKey) || 0) + r.metric)
+    group.total += r.metric
+    colTotals.set(colKey, (colTotals.get(colKey) || 0) + r.metric)
+    grandTotal += r.metric
+  })
+
+  const sortedGroups = Array.from(groups.values())
+    .sort((a, b) => a.key.localeCompare(b.key))
+    .map((group) => {
+      const groupRows = Array.from(group.rows.values()).sort((a, b) => a.key.localeCompare(b.key))
+      groupRows.forEach((row) => {
+        row.cells.forEach((value) => {
+          maxCell = Math.max(maxCell, Math.abs(value))
+        })
+      })
+      return { ...group, rows: groupRows }
+    })
+
+  return { colKeys, groups: sortedGroups, colTotals, grandTotal, maxCell }
+}
+
+export function pivotToTable(pivot, rowLabel, { groupByArea = false } = {}) {
+  const header = groupByArea ? ['Area', rowLabel] : [rowLabel]
+  const table = [[...header, ...pivot.colKeys, 'Total']]
+  const cellsOf = (cells) => pivot.colKeys.map((col) => cells.get(col) || 0)
+  pivot.groups.forEach((group) => {
+    group.rows.forEach((row) => {
+      const lead = groupByArea ? [group.key, row.key] : [row.key]
+      table.push([...lead, ...cellsOf(row.cells), row.total])
+    })
+    if (groupByArea) table.push([group.key, 'Subtotal', ...cellsOf(group.cells), group.total])
+  })
+  const totalLead = groupByArea ? ['Total', ''] : ['Total']
+  table.push([...totalLead, ...cellsOf(pivot.colTotals), pivot.grandTotal])
+  return table
+}
@@ -0,0 +1,190 @@
+import { looksNumeric, parseNumber } from './numbers.js'
+
+const EXAMPLE_LIMIT = 50
+
+// Each issue carries the source row indexes it affects so the grid can jump to them.
+export function buildQualityReport(source, meta, rows) {
+  if (!source?.rows?.length) return []
+  const issues = []
+  const lineOf = (rowIndex) => source.rowInfo?.[rowIndex]?.line ?? rowIndex + 2
+  const fileOf = (rowIndex) => source.files.find((file) => rowIndex >= file.start && rowIndex < file.start + file.count)
+  // With several files a line number alone is ambiguous, so examples name the file too.
+  const fileLabel = (rowIndex) => (source.files.length > 1 ? `${fileOf(rowIndex)?.name}: ` : '')
+
+  const coerced = []
+  const negatives = []
+  const misshapen = []
+  source.files.forEach((file) => {
+    const fileMeta = file.meta
+    const numericColumns = Array.from(
+      new Set(
+        [
+          fileMeta.metricKey,
+          ...(fileMeta.metricKeys || []),
+          ...(fileMeta.productColumns || []),
+          ...(fileMeta.dateColumns || []),
+        ].filter(Boolean),
+      ),
+    )
+    for (let rowIndex = file.start; rowIndex < file.start + file.count; rowIndex++) {
+      const row = source.rows[rowIndex]
+      numericColumns.forEach((column) => {
+        const value = row[column]
+        if (!looksNumeric(value, fileMeta.numberLocale)) {
+          coerced.push({ rowIndex, line: lineOf(rowIndex), column, value: String(value ?? '').trim() })
+        } else if (parseNumber(value, fileMeta.numberLocale) < 0) {
+          negatives.push({ rowIndex, line: lineOf(rowIndex), column, value: String(value).trim() })
+        }
+      })
+      const info = source.rowInfo?.[rowIndex]
+      if (info && file.headerCount && info.cells !== file.headerCount) {
+        misshapen.push({ rowIndex, ...info, expected: file.headerCount, padded: file.headers.length > file.headerCount })
+      }
+    }
+  })
+  if (coerced.length) {
+    const blanks = coerced.filter((c) => !c.value).length
+    issues.push({
+      id: 'coerced',
+      title: 'Cells read as zero',
+      summary: `${count(coerced.length, 'cell')} in numeric columns held no number (${blanks} blank) and count as 0.`,
+      severity: 'error',
+      rowIndexes: uniqueIndexes(coerced),
+      hidden: Math.max(0, coerced.length - EXAMPLE_LIMIT),
+      examples: coerced.slice(0, EXAMPLE_LIMIT).map((c) => ({
+        rowIndexes: [c.rowIndex],
+        text: `${fileLabel(c.rowIndex)}Line ${c.line}, ${c.column}: ${c.value ? `"${c.value}"` : 'blank'}`,
+      })),
+    })
+  }
+
+  const short = misshapen.filter((r) => r.cells < r.expected)
+  const long = misshapen.filter((r) => r.cells > r.expected)
+  const expected = (list) => Array.from(new Set(list.map((r) => r.expected))).join(' or ')
+  const describe = (list, kind) => ({
+    id: `${kind}-rows`,
+    title: kind === 'short' ? 'Short rows' : 'Long rows',
+    summary:
+      kind === 'short'
+        ? `${count(list.length, 'row')} with fewer than ${expected(list)} cells; missing cells were left blank.`
+        : `${count(list.length, 'row')} with more than ${expected(list)} cells; ${
+            list.every((r) => r.padded) ? 'extras went into invented columns' : 'extra cells were dropped'
+          }.`,
+    severity: 'warning',
+    rowIndexes: list.map((r) => r.rowIndex),
+    hidden: Math.max(0, list.length - EXAMPLE_LIMIT),
+    examples: list.slice(0, EXAMPLE_LIMIT).map((r) => ({
+      rowIndexes: [r.rowIndex],
+      text: `${fileLabel(r.rowIndex)}Line ${r.line}: ${count(r.cells, 'cell')}`,
+    })),
+  })
+  if (short.length) issues.push(describe(short, 'short'))
+  if (long.length) issues.push(describe(long, 'long'))
+
+  if (meta.branchKey) {
+    // Dated layouts repeat each pair once per date, and date columns expand one line into several rows.
+    const dated = Boolean(meta.dateKey || meta.dateColumns?.length)
+    const pairs = new Map()
+    rows.forEach((row) => {
+      const date = dated ? row.date : ''
+      const key = `${row.product}\u0000${row.branch}\u0000${date}`
+      if (!pairs.has(key)) pairs.set(key, { product: row.product, branch: row.branch, date, rowIndexes: new Set() })
+      pairs.get(key).rowIndexes.add(row.rowIndex)
+    })
+    const duplicates = Array.from(pairs.values())
+      .filter((p) => p.rowIndexes.size > 1)
+      .map((p) => ({ ...p, rowIndexes: Array.from(p.rowIndexes) }))
+    if (duplicates.length) {
+      const where = (d) => `${d.product} at ${d.branch || 'blank branch'}${d.date ? ` on ${d.date}` : ''}`
+      issues.push({
+        id: 'duplicates',
+        title: 'Duplicate product/branch pairs',
+        summary: `${count(duplicates.length, 'product/branch pair')} on more than one row; their values are added together.`,
+        severity: 'warning',
+        rowIndexes: Array.from(new Set(duplicates.flatMap((d) => d.rowIndexes))),
+        hidden: Math.max(0, duplicates.length - EXAMPLE_LIMIT),
+        examples: duplicates.slice(0, EXAMPLE_LIMIT).map((d) => ({
+          rowIndexes: d.rowIndexes,
+          text: `${where(d)}: lines ${d.rowIndexes.map((i) => `${fileLabel(i)}${lineOf(i)}`).join(', ')}`,
+        })),
+      })
+    }
+  }
+
+  if (meta.branchKey && meta.areaKey) {
+    const branches = new Map()
+    rows.forEach((row) => {
+      if (!row.branch) return
+      if (!branches.has(row.branch)) branches.set(row.branch, new Map())
+      const areas = branches.get(row.branch)
+      if (!areas.has(row.area)) areas.set(row.area, new Set())
+      areas.get(row.area).add(row.rowIndex)
+    })
+    const split = Array.from(branches.entries()).filter(([, areas]) => areas.size > 1)
+    const rowsIn = (areas) => Array.from(areas.values()).flatMap((set) => [...set])
+    if (split.length) {
+      issues.push({
+        id: 'branch-areas',
+        title: 'Branches in more than one area',
+        summary: `${count(split.length, 'branch', 'branches')} listed under several areas; area totals split them.`,
+        severity: 'warning',
+        rowIndexes: Array.from(new Set(split.flatMap(([, areas]) => rowsIn(areas)))),
+        hidden: Math.max(0, split.length - EXAMPLE_LIMIT),
+        examples: split.slice(0, EXAMPLE_LIMIT).map(([branch, areas]) => ({
+          rowIndexes: rowsIn(areas),
+          text: `${branch}: ${Array.from(areas.keys())
+            .map((area) => area || 'blank')
+            .join(', ')}`,
+        })),
+      })
+    }
+  }
+
+  if (negatives.length) {
+    issues.push({
+      id: 'negatives',
+      title: 'Negative values',
+      summary: `${count(negatives.length, 'negative value')} in numeric columns.`,
+      severity: 'warning',
+      rowIndexes: uniqueIndexes(negatives),
+      hidden: Math.max(0, negatives.length - EXAMPLE_LIMIT),
+      examples: negatives.slice(0, EXAMPLE_LIMIT).map((n) => ({
+        rowIndexes: [n.rowIndex],
+        text: `${fileLabel(n.rowIndex)}Line ${n.line}, ${n.column}: ${n.value}`,
+      })),
+    })
+  }
+
+  const headerNotes = []
+  source.files.forEach((file) => {
+    const prefix = source.files.length > 1 ? `${file.name}: ` : ''
+    const invented = new Set(file.invented || [])
+    file.headers.forEach((header, idx) => {
+      const raw = String(file.rawHeaders?.[idx] ?? '').trim()
+      if (invented.has(header)) headerNotes.push(`${prefix}"${header}" was added because the file had no header for it.`)
+      else if (!raw) headerNotes.push(`${prefix}Column ${idx + 1} had a blank header and was named "${header}".`)
+      else if (raw !== header) headerNotes.push(`${prefix}"${raw}" was renamed to "${header}" because the name repeats.`)
+    })
+  })
+  if (headerNotes.length) {
+    issues.push({
+      id: 'headers',
+      title: 'Renamed or invented headers',
+      summary: `${count(headerNotes.length, 'header')} not taken as written in the file.`,
+      severity: 'info',
+      rowIndexes: [],
+      hidden: 0,
+      examples: headerNotes.map((text) => ({ text })),
+    })
+  }
+
+  return issues
+}
+
+function uniqueIndexes(entries) {
+  return Array.from(new Set(entries.map((e) => e.rowIndex)))
+}
+
+function count(n, singular, pluralForm = `${singular}s`) {
+  return `${n} ${n === 1 ? singular : pluralForm}`
+}
@@ -0,0 +1,57 @@
+// A scenario is a named list of rules applied in order to the rows in view. Percent changes adjust every
+// matching row; caps and set values apply to the matching rows' total and are spread in proportion.
+import { createId } from './ids.js'
+
+export const RULE_FIELDS = [
+  { value: 'area', label: 'Area' },
+  { value: 'branch', label: 'Branch' },
+  { value: 'product', label: 'Product' },
+]
+
+export const RULE_ACTIONS = [
+  { value: 'percent', label: 'Change by %' },
+  { value: 'cap', label: 'Cap total at' },
+  { value: 'set', label: 'Set total to' },
+]
+
+export const defaultScenarios = { list: [], active: null }
+
+export function createScenario(name, rules = []) {
+  return { id: createId('sc'), name, rules: rules.map((rule) => ({ ...rule, id: createId('rule') })) }
+}
+
+export function createRule(field = 'area') {
+  return { id: createId('rule'), field, value: '', action: 'percent', amount: '' }
+}
+
+export function describeRule(rule) {
+  const target = `${rule.field} ${rule.value || '(any)'}`
+  const amount = Number(rule.amount) || 0
+  if (rule.action === 'cap') return `Cap ${target} at ${amount.toLocaleString()}`
+  if (rule.action === 'set') return amount === 0 ? `Zero ${target} (closed)` : `Set ${target} to ${amount.toLocaleString()}`
+  return `${amount >= 0 ? '+' : ''}${amount}% for ${target}`
+}
+
+// Rules without a value or a number are skipped, so a half-filled rule never changes the view.
+export function applyScenario(rows, scenario) {
+  if (!scenario) return rows
+  let next = rows
+  scenario.rules.forEach((rule) => {
+    const amount = Number(rule.amount)
+    if (!rule.value || rule.amount === '' || !Number.isFinite(amount)) return
+    const matches = (row) => row[rule.field] === rule.value
+    if (rule.action === 'percent') {
+      next = next.map((row) => (matches(row) ? { ...row, metric: row.metric * (1 + amount / 100) } : row))
+      return
+    }
+    const matching = next.filter(matches)
+    const total = matching.reduce((sum, row) => sum + row.metric, 0)
+    if (rule.action === 'cap' && total <= amount) return
+    const scale = total ? amount / total : null
+    next = next.map((row) => {
+      if (!matches(row)) return row
+      return { ...row, metric: scale === null ? amount / matching.length : row.metric * scale }
+    })
+  })
+  return next
+}
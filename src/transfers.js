@@ -0,0 +1,78 @@
+// Suggests stock moves between branches of the same area so each branch's share of a product follows its share
+// of the sales. Branches without an area are treated as one area of their own.
+
+export const defaultTransfers = {
+  enabled: false,
+  sales: null,
+  minQty: 1,
+}
+
+// `salesOf` reads the sales value of a row; `row.metric` is the quantity the branch holds now.
+export function suggestTransfers(rows, settings, salesOf) {
+  const minQty = Math.max(1, Number(settings.minQty) || 1)
+  const groups = new Map()
+  rows.forEach((row) => {
+    if (!row.branch) return
+    const area = row.area || ''
+    const key = `${area}\u0000${row.product}`
+    if (!groups.has(key)) groups.set(key, { area, product: row.product, branches: new Map() })
+    const branches = groups.get(key).branches
+    const entry = branches.get(row.branch) || { branch: row.branch, stock: 0, sales: 0 }
+    entry.stock += row.metric
+    entry.sales += salesOf(row)
+    branches.set(row.branch, entry)
+  })
+
+  const transfers = []
+  const totals = new Map()
+  groups.forEach(({ area, product, branches }) => {
+    const entries = Array.from(branches.values())
+    entries.forEach((entry) => {
+      if (!totals.has(entry.branch)) totals.set(entry.branch, { branch: entry.branch, area, before: 0, after: 0 })
+      const total = totals.get(entry.branch)
+      total.before += entry.stock
+      total.after += entry.stock
+    })
+    const stock = sum(entries.map((entry) => entry.stock))
+    const sales = sum(entries.map((entry) => entry.sales))
+    if (entries.length < 2 || stock <= 0 || sales <= 0) return
+
+    // Whole units only: a branch gives away what it holds above its fair share, rounded down.
+    const balance = entries.map((entry) => ({
+      branch: entry.branch,
+      gap: Math.trunc(entry.stock - (stock * entry.sales) / sales),
+    }))
+    const givers = balance.filter((b) => b.gap > 0).sort((a, b) => b.gap - a.gap)
+    const takers = balance.filter((b) => b.gap < 0).sort((a, b) => a.gap - b.gap)
+    givers.forEach((giver) => {
+      takers.forEach((taker) => {
+        const qty = Math.min(giver.gap, -taker.gap)
+        if (qty < minQty) return
+        transfers.push({ area, product, from: giver.branch, to: taker.branch, qty })
+        giver.gap -= qty
+        taker.gap += qty
+        totals.get(giver.branch).after -= qty
+        totals.get(taker.branch).after += qty
+      })
+    })
+  })
+
+  transfers.sort(
+    (a, b) => a.area.localeCompare(b.area) || a.product.localeCompare(b.product) || b.qty - a.qty,
+  )
+  const branches = Array.from(totals.values()).sort(
+    (a, b) => a.area.localeCompare(b.area) || a.branch.localeCompare(b.branch),
+  )
+  return { transfers, branches, moved: sum(transfers.map((t) => t.qty)) }
+}
+
+export function transfersToTable(transfers) {
+  return [
+    ['Area', 'Product', 'From branch', 'To branch', 'Quantity'],
+    ...transfers.map((t) => [t.area, t.product, t.from, t.to, t.qty]),
+  ]
+}
+
+function sum(values) {
+  return values.reduce((total, value) => total + value, 0)
+}
@@ -0,0 +1,102 @@
+export const NATIVE_UNIT = 'native'
+
+export const UNITS = [
+  { value: 'pc', label: 'Pieces', short: 'pcs' },
+  { value: 'kg', label: 'Kilograms', short: 'kg' },
+  { value: 'case', label: 'Cases', short: 'cases' },
+]
+
+export const defaultUnitSettings = {
+  display: NATIVE_UNIT,
+  products: {},
+}
+
+const UOM_ALIASES = {
+  pc: ['pc', 'pcs', 'piece', 'pieces', 'ea', 'each', 'unit', 'units', 'pack', 'pk'],
+  kg: ['kg', 'kgs', 'kilo', 'kilos', 'kilogram', 'kilograms'],
+  case: ['case', 'cases', 'cs', 'box', 'boxes', 'ctn', 'carton', 'cartons'],
+}
+
+export function normalizeUom(value) {
+  const text = String(value ?? '')
+    .trim()
+    .toLowerCase()
+    .replace(/\.$/, '')
+  if (!text) return null
+  return Object.keys(UOM_ALIASES).find((unit) => UOM_ALIASES[unit].includes(text)) || null
+}
+
+export function unitLabel(unit) {
+  return UNITS.find((u) => u.value === unit)?.short || ''
+}
+
+// Per-product unit and factors: what the file says, overlaid with the user's edits.
+export function productUnits(rows, settings = defaultUnitSettings) {
+  const detected = new Map()
+  rows.forEach((row) => {
+    if (!detected.has(row.product)) detected.set(row.product, { uoms: new Map(), kgPerPc: null, pcsPerCase: null })
+    const entry = detected.get(row.product)
+    if (row.uom) entry.uoms.set(row.uom, (entry.uoms.get(row.uom) || 0) + 1)
+    if (entry.kgPerPc === null && row.kgPerPc > 0) entry.kgPerPc = row.kgPerPc
+    if (entry.pcsPerCase === null && row.pcsPerCase > 0) entry.pcsPerCase = row.pcsPerCase
+  })
+  return Array.from(detected.entries())
+    .sort((a, b) => a[0].localeCompare(b[0]))
+    .map(([product, entry]) => {
+      const fileUom = Array.from(entry.uoms.entries()).sort((a, b) => b[1] - a[1])[0]?.[0] || null
+      const override = settings.products?.[product] || {}
+      return {
+        product,
+        file: { uom: fileUom, kgPerPc: entry.kgPerPc, pcsPerCase: entry.pcsPerCase },
+        uom: override.uom || fileUom || 'pc',
+        kgPerPc: positive(override.kgPerPc) ?? entry.kgPerPc,
+        pcsPerCase: positive(override.pcsPerCase) ?? entry.pcsPerCase,
+        mixed: entry.uoms.size > 1,
+      }
+    })
+}
+
+export function convertQuantity(qty, from, to, { kgPerPc, pcsPerCase }) {
+  if (from === to) return qty
+  let pieces = qty
+  if (from === 'kg') pieces = kgPerPc ? qty / kgPerPc : null
+  else if (from === 'case') pieces = pcsPerCase ? qty * pcsPerCase : null
+  if (pieces === null) return null
+  if (to === 'kg') return kgPerPc ? pieces * kgPerPc : null
+  if (to === 'case') return pcsPerCase ? pieces / pcsPerCase : null
+  return pieces
+}
+
+// Rows whose product lacks the factor needed for the target unit are left out and reported.
+export function convertRows(rows, settings = defaultUnitSettings) {
+  const display = settings.display || NATIVE_UNIT
+  if (display === NATIVE_UNIT) return { rows, skipped: [] }
+  const overrides = settings.products || {}
+  const skipped = new Set()
+  const converted = []
+  rows.forEach((row) => {
+    const override = overrides[row.product] || {}
+    const from = override.uom || row.uom || 'pc'
+    const factors = {
+      kgPerPc: positive(override.kgPerPc) ?? (row.kgPerPc > 0 ? row.kgPerPc : null),
+      pcsPerCase: positive(override.pcsPerCase) ?? (row.pcsPerCase > 0 ? row.pcsPerCase : null),
+    }
+    const metric = convertQuantity(row.metric, from, display, factors)
+    if (metric === null) {
+      skipped.add(row.product)
+      return
+    }
+    converted.push(metric === row.metric ? row : { ...row, metric })
+  })
+  return { rows: converted, skipped: Array.from(skipped).sort() }
+}
+
+export function distinctUnits(rows, settings = defaultUnitSettings) {
+  const overrides = settings.products || {}
+  return Array.from(new Set(rows.map((row) => overrides[row.product]?.uom || row.uom || 'pc'))).sort()
+}
+
+function positive(value) {
+  const n = Number(value)
+  return value !== '' && value !== null && value !== undefined && Number.isFinite(n) && n > 0 ? n : null
+}
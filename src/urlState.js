@@ -0,0 +1,88 @@
+import { FILTER_FIELDS, isActive, toSelection } from './filters.js'
+
+// The view (dataset, filters, grouping, chart) is mirrored in the location hash so a link reproduces it.
+// Only values that differ from the defaults are written, which keeps links short. A filter repeats its
+// parameter once per value: `branch=B1&branch=B2` includes both, `branch.not=B3` excludes one.
+
+const TEXT_FIELDS = {
+  from: 'dateFrom',
+  to: 'dateTo',
+  grain: 'dateGrain',
+  group: 'group',
+  series: 'series',
+  chart: 'chartType',
+}
+const FLAG_FIELDS = { stacked: 'stacked', percent: 'percent' }
+const EXCLUDE_SUFFIX = '.not'
+
+export function encodeView(filters, defaults, dataset = null) {
+  const params = new URLSearchParams()
+  if (dataset) {
+    params.set('ds', dataset.id)
+    params.set('name', dataset.name)
+  }
+  FILTER_FIELDS.forEach((field) => {
+    const selection = toSelection(filters[field])
+    if (!isActive(selection)) return
+    const param = selection.mode === 'exclude' ? `${field}${EXCLUDE_SUFFIX}` : field
+    selection.values.forEach((value) => params.append(param, value))
+  })
+  Object.entries(TEXT_FIELDS).forEach(([param, field]) => {
+    if (filters[field] !== undefined && filters[field] !== defaults[field]) params.set(param, filters[field])
+  })
+  Object.entries(FLAG_FIELDS).forEach(([param, field]) => {
+    if (Boolean(filters[field]) !== Boolean(defaults[field])) params.set(param, filters[field] ? '1' : '0')
+  })
+  if (filters.topN) params.set('top', String(filters.topN))
+  return params.toString()
+}
+
+// Returns null when the hash carries no view, so a bare URL leaves the current view alone.
+export function decodeView(hash, defaults) {
+  const params = new URLSearchParams(String(hash || '').replace(/^#/, ''))
+  const known = [...FILTER_FIELDS, ...Object.keys(TEXT_FIELDS), ...Object.keys(FLAG_FIELDS), 'top', 'ds']
+  if (![...params.keys()].some((key) => known.includes(key.replace(EXCLUDE_SUFFIX, '')))) return null
+  const filters = { ...defaults }
+  FILTER_FIELDS.forEach((field) => {
+    const excluded = params.getAll(`${field}${EXCLUDE_SUFFIX}`)
+    const included = params.getAll(field)
+    if (included.length) filters[field] = { mode: 'include', values: included }
+    else if (excluded.length) filters[field] = { mode: 'exclude', values: excluded }
+  })
+  Object.entries(TEXT_FIELDS).forEach(([param, field]) => {
+    if (params.has(param)) filters[field] = params.get(param)
+  })
+  Object.entries(FLAG_FIELDS).forEach(([param, field]) => {
+    if (params.has(param)) filters[field] = params.get(param) === '1'
+  })
+  if (params.has('top')) filters.topN = Number(params.get('top')) || 0
+  return {
+    datasetId: params.get('ds'),
+    datasetName: params.get('name'),
+    filters,
+  }
+}
+
+export function currentHash() {
+  return window.location.hash.replace(/^#/, '')
+}
+
+// Pushes a history entry so back/forward step through views; the hash is left alone if nothing changed.
+// An entry without a hash (the page as first opened) is replaced instead, so Back never lands on a URL
+// that carries no view and would leave the current one in place.
+export function writeHash(hash) {
+  const current = currentHash()
+  if (current === hash) return
+  const { pathname, search } = window.location
+  const url = `${pathname}${search}${hash ? `#${hash}` : ''}`
+  if (current) window.history.pushState(null, '', url)
+  else window.history.replaceState(null, '', url)
+}
+
+export function missingFilterValues(filters, options) {
+  return FILTER_FIELDS.filter((field) => options[field]).flatMap((field) =>
+    toSelection(filters[field])
+      .values.filter((value) => !options[field].includes(value))
+      .map((value) => ({ field, value })),
+  )
+}
@@ -0,0 +1,112 @@
+import { buildTable, guessHeaderRow, isHeaderRow } from './csv.js'
+
+export const WORKBOOK_PATTERN = /\.(xlsx|xlsm|xlsb|xls|ods)$/i
+
+export function isWorkbookFile(file) {
+  return WORKBOOK_PATTERN.test(file?.name || '')
+}
+
+// SheetJS is most of the bundle, so it is only fetched the first time a workbook is read or written.
+function loadXlsx() {
+  return import('xlsx')
+}
+
+// Every sheet becomes a grid of strings with merged ranges already filled in.
+export function readWorkbook(buffer) {
+  return loadXlsx().then((XLSX) => {
+    const workbook = XLSX.read(buffer, { type: 'array', cellDates: true })
+    return workbook.SheetNames.map((name) => sheetGrid(name, workbook.Sheets[name], XLSX))
+  })
+}
+
+export function suggestHeaderRow(sheet) {
+  const { index } = guessHeaderRow(sheet.cells)
+  // A merged band such as "Week 42" sits above the real header; prefer the row underneath it.
+  const next = sheet.cells[index + 1]
+  if (next && sheet.merges.some((m) => m.s.r === index && m.e.c > m.s.c) && isHeaderRow(next)) return index + 1
+  return index
+}
+
+export function flattenHeaders(sheet, headerRow) {
+  const cells = sheet.cells[headerRow] || []
+  return cells.map((cell, col) => {
+    const parts = [String(cell).trim()]
+    for (let row = headerRow - 1; row >= 0; row--) {
+      const band = sheet.merges.find((m) => m.s.r <= row && m.e.r >= row && m.s.c <= col && m.e.c >= col)
+      if (!band || band.e.c === band.s.c || band.e.r >= headerRow) break
+      parts.unshift(String(sheet.cells[row][col] ?? '').trim())
+    }
+    return Array.from(new Set(parts.filter(Boolean))).join(' ')
+  })
+}
+
+export function sheetToTable(sheet, headerRow, { locale } = {}) {
+  // Rows up to the header stay so that headerRow still indexes the grid; blank rows below it are dropped.
+  const keep = sheet.cells
+    .map((cells, row) => ({ cells, line: row + 1 }))
+    .filter((entry, row) => row <= headerRow || entry.cells.some((cell) => cell !== ''))
+  return buildTable(
+    keep.map((entry) => entry.cells),
+    {
+      headerIdx: headerRow,
+      headerCells: flattenHeaders(sheet, headerRow),
+      lines: keep.map((entry) => entry.line),
+      // Numeric cells come through as plain JavaScript numbers, so only text cells could be in another locale.
+      locale: locale && locale !== 'auto' ? locale : 'en',
+    },
+  )
+}
+
+// The reverse of reading: a table of rows becomes a one-sheet .xlsx file.
+export function tableToXlsx(table, sheetName = 'Sheet1') {
+  return loadXlsx().then((XLSX) => {
+    const workbook = XLSX.utils.book_new()
+    XLSX.utils.book_append_sheet(workbook, XLSX.utils.aoa_to_sheet(table), sheetName.slice(0, 31))
+    const data = XLSX.write(workbook, { type: 'array', bookType: 'xlsx' })
+    return new Blob([data], { type: 'application/vnd.openxmlformats-officedocument.spreadsheetml.sheet' })
+  })
+}
+
+function sheetGrid(name, worksheet, XLSX) {
+  const raw = XLSX.utils.sheet_to_json(worksheet, { header: 1, raw: true, defval: '', blankrows: true })
+  const origin = worksheet['!ref'] ? XLSX.utils.decode_range(worksheet['!ref']).s : { r: 0, c: 0 }
+  const cells = []
+  raw.forEach((row, r) => {
+    cells[origin.r + r] = [...Array(origin.c).fill(''), ...row.map(cellText)]
+  })
+  for (let r = 0; r < cells.length; r++) cells[r] = cells[r] || []
+  const allMerges = worksheet['!merges'] || []
+  allMerges.forEach((m) => {
+    const value = cells[m.s.r]?.[m.s.c] ?? ''
+    for (let r = m.s.r; r <= m.e.r; r++) {
+      for (let c = m.s.c; c <= m.e.c; c++) {
+        if (cells[r]) cells[r][c] = value
+      }
+    }
+  })
+  let first = Infinity
+  let width = 0
+  cells.forEach((row) => {
+    row.forEach((cell, c) => {
+      if (cell === '') return
+      first = Math.min(first, c)
+      width = Math.max(width, c + 1)
+    })
+  })
+  if (!width) return { name, cells: [], merges: [] }
+  const shift = (m) => ({ s: { r: m.s.r, c: m.s.c - first }, e: { r: m.e.r, c: m.e.c - first } })
+  return {
+    name,
+    cells: cells.map((row) => Array.from({ length: width - first }, (_, c) => row[first + c] ?? '')),
+    merges: allMerges.filter((m) => m.e.c >= first).map(shift),
+  }
+}
+
+function cellText(value) {
+  if (value instanceof Date) {
+    const pad = (n) => String(n).padStart(2, '0')
+    return `${value.getFullYear()}-${pad(value.getMonth() + 1)}-${pad(value.getDate())}`
+  }
+  if (value === null || value === undefined) return ''
+  return String(value).trim()
+}
@@ -0,0 +1,42 @@
+// Bounds, pack rounding and locks in allocateSupply.
+import { test } from 'node:test'
+import assert from 'node:assert/strict'
+import { allocateSupply } from '../src/allocation.js'
+
+const branch = (name, { basis = 1, min = null, max = null, locked = null } = {}) => ({ branch: name, basis, min, max, locked })
+const quantities = (result) => Object.fromEntries(result.allocations)
+
+test('pack rounding never pushes a branch past its max', () => {
+  const result = allocateSupply([branch('a', { max: 7 }), branch('b', { max: 7 })], 13, { packSize: 5 })
+  assert.deepEqual(quantities(result), { a: 5, b: 5 })
+  assert.equal(result.unallocated, 3)
+  assert.equal(result.partialPack, null)
+})
+
+test('the part under one pack goes to one branch and is reported', () => {
+  const entries = [branch('a', { basis: 36 }), branch('b', { basis: 34 }), branch('c', { basis: 30 })]
+  const result = allocateSupply(entries, 100, { packSize: 6 })
+  assert.equal(Object.values(quantities(result)).reduce((sum, qty) => sum + qty, 0), 100)
+  assert.equal(result.unallocated, 0)
+  const partial = result.partialPack
+  Object.entries(quantities(result)).forEach(([name, qty]) => assert.equal(qty % 6 === 0, name !== partial))
+})
+
+test('locks above the supply are kept and reported as over-allocated', () => {
+  const result = allocateSupply([branch('a', { locked: 80 }), branch('b')], 50)
+  assert.deepEqual(quantities(result), { a: 80, b: 0 })
+  assert.equal(result.unallocated, 0)
+  assert.equal(result.overAllocated, 30)
+})
+
+test('whole packs go to branches under their min first', () => {
+  const result = allocateSupply([branch('a', { basis: 0, min: 7 }), branch('b')], 20, { packSize: 5 })
+  assert.deepEqual(quantities(result), { a: 10, b: 10 })
+  assert.deepEqual(result.belowMin, [])
+})
+
+test('a min that whole packs cannot meet within the max is reported', () => {
+  const result = allocateSupply([branch('a', { basis: 0, min: 7, max: 8 }), branch('b')], 20, { packSize: 5 })
+  assert.deepEqual(quantities(result), { a: 5, b: 15 })
+  assert.deepEqual(result.belowMin, ['a'])
+})
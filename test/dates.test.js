@@ -0,0 +1,54 @@
+// Year inference for date headers such as "Oct 14 Alloc" and date cells that leave the year out.
+import { test } from 'node:test'
+import assert from 'node:assert/strict'
+import { headerDates, headersNeedYear, valueDates, valuesNeedYear } from '../src/dates.js'
+
+const today = new Date(2026, 9, 19)
+
+test('a run across New Year rolls into the next year and ends before today', () => {
+  assert.deepEqual(headerDates(['Dec 30 Alloc', 'Dec 31 Alloc', 'Jan 1 Alloc'], { today }), [
+    '2025-12-30',
+    '2025-12-31',
+    '2026-01-01',
+  ])
+})
+
+test('dates later in the year than today belong to last year', () => {
+  assert.deepEqual(headerDates(['Oct 14 Alloc', 'Oct 15 Alloc'], { today }), ['2026-10-14', '2026-10-15'])
+  assert.deepEqual(headerDates(['Nov 2 Alloc', 'Nov 3 Alloc'], { today }), ['2025-11-02', '2025-11-03'])
+})
+
+test('a given start year or a header with a year anchors the rest', () => {
+  assert.deepEqual(headerDates(['Oct 14 Alloc', 'Oct 15 Alloc'], { startYear: 2025, today }), [
+    '2025-10-14',
+    '2025-10-15',
+  ])
+  assert.deepEqual(headerDates(['Dec 31, 2023', 'Jan 1', 'Jan 2'], { today }), [
+    '2023-12-31',
+    '2024-01-01',
+    '2024-01-02',
+  ])
+})
+
+test('headers without a date stay null', () => {
+  assert.deepEqual(headerDates(['Branch', 'Oct 14', 'Total'], { today }), [null, '2026-10-14', null])
+  assert.equal(headersNeedYear(['2024-10-14', 'Oct 15 2024']), false)
+  assert.equal(headersNeedYear(['Oct 14 Alloc']), true)
+})
+
+test('date column cells without a year are placed like date headers', () => {
+  const cells = ['Dec 30', 'Dec 31', 'Jan 1', 'Dec 30', 'Jan 1', '']
+  assert.deepEqual(valueDates(cells, { today }), [
+    '2025-12-30',
+    '2025-12-31',
+    '2026-01-01',
+    '2025-12-30',
+    '2026-01-01',
+    null,
+  ])
+  assert.deepEqual(valueDates(['Nov 2', 'Nov 3'], { today }), ['2025-11-02', '2025-11-03'])
+  assert.deepEqual(valueDates(['Oct 14', '2024-10-15'], { today }), ['2024-10-14', '2024-10-15'])
+  assert.deepEqual(valueDates(['Oct 14', 'Oct 15'], { startYear: 2023, today }), ['2023-10-14', '2023-10-15'])
+  assert.equal(valuesNeedYear(['2024-10-14', '2024-W42']), false)
+  assert.equal(valuesNeedYear(['14 Oct']), true)
+})
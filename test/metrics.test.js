@@ -0,0 +1,43 @@
+// Metric and formula checks against sample ERP exports in test/fixtures/erp. Run with `npm test`.
+import { test } from 'node:test'
+import assert from 'node:assert/strict'
+import { readFileSync } from 'node:fs'
+import { detectColumns, expandRows, parseText } from '../src/pipeline.js'
+import { applyMetric, formulaNames, metricOptions } from '../src/metrics.js'
+
+const load = (name) => {
+  const buffer = new Uint8Array(readFileSync(new URL(`./fixtures/erp/${name}`, import.meta.url)))
+  const parsed = parseText(buffer, { delimiter: 'auto', encoding: 'auto', locale: 'auto' })
+  const meta = detectColumns(parsed.headers, parsed.rows, parsed.rawHeaders, parsed.numberLocale)
+  return { meta, rows: expandRows(parsed.rows, meta) }
+}
+
+test('conversion and case columns can be used in formulas', () => {
+  const { meta, rows } = load('conversion.csv')
+  assert.equal(meta.conversionKey, 'kg conversion per pc')
+  assert.equal(meta.caseKey, 'Pcs per case')
+  assert.ok(formulaNames(meta).includes('kg conversion per pc'))
+  const derived = [
+    { name: 'Kg', formula: 'alloc * kg conversion per pc' },
+    { name: 'Cases', formula: 'alloc / pcs per case' },
+  ]
+  const [, kg, cases] = metricOptions(meta, derived)
+  assert.equal(kg.error, null)
+  assert.deepEqual(
+    applyMetric(rows, kg, meta).map((row) => row.metric),
+    [50, 3],
+  )
+  assert.deepEqual(
+    applyMetric(rows, cases, meta).map((row) => row.metric),
+    [2.5, 0.25],
+  )
+})
+
+test('conversion and case columns are not offered as metrics', () => {
+  const { meta } = load('conversion.csv')
+  assert.equal(meta.metricKey, 'Alloc')
+  assert.deepEqual(
+    metricOptions(meta).map((option) => option.label),
+    ['Alloc'],
+  )
+})
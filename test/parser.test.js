@@ -0,0 +1,75 @@
+// Parser checks against sample ERP exports in test/fixtures/erp. Run with `npm test`.
+import { test } from 'node:test'
+import assert from 'node:assert/strict'
+import { readFileSync } from 'node:fs'
+import { parseText } from '../src/pipeline.js'
+import { readNumber } from '../src/numbers.js'
+
+const fixture = (name) => new Uint8Array(readFileSync(new URL(`./fixtures/erp/${name}`, import.meta.url)))
+const parse = (name, options = {}) => parseText(fixture(name), { delimiter: 'auto', encoding: 'auto', locale: 'auto', ...options })
+
+test('quoted fields keep line breaks, delimiters and doubled quotes', () => {
+  const parsed = parse('quoted-newlines.csv')
+  assert.equal(parsed.delimiter, ',')
+  assert.deepEqual(parsed.headers, ['Area', 'Branch', 'Product', 'Notes', 'Qty'])
+  assert.equal(parsed.rows.length, 3)
+  assert.equal(parsed.rows[0].Notes, 'Deliver before 9am\r\nback door')
+  assert.equal(parsed.rows[1].Notes, 'Says "urgent", call first')
+  assert.equal(parsed.rows[2].Notes, '')
+  // Records report the line they start on, so the row after the quoted break starts on line 4.
+  assert.deepEqual(
+    parsed.rowInfo.map((info) => info.line),
+    [2, 4, 5],
+  )
+})
+
+test('semicolon export with a byte order mark and 1.234,5 numbers', () => {
+  const parsed = parse('semicolon-bom-eu.csv')
+  assert.equal(parsed.delimiter, ';')
+  assert.equal(parsed.encoding, 'utf-8')
+  assert.equal(parsed.headers[0], 'Area')
+  assert.equal(parsed.numberLocale, 'eu')
+  assert.deepEqual(
+    parsed.rows.map((row) => readNumber(row.Qty, parsed.numberLocale)),
+    [1234.5, 12.75, 2000],
+  )
+})
+
+test('pipe export with bracketed and trailing-minus negatives', () => {
+  const parsed = parse('pipe-negatives.csv')
+  assert.equal(parsed.delimiter, '|')
+  assert.equal(parsed.numberLocale, 'en')
+  assert.deepEqual(
+    parsed.rows.map((row) => readNumber(row.Qty, parsed.numberLocale)),
+    [-1200, -50, 1500.25],
+  )
+})
+
+test('Windows-1252 files are detected when they are not valid UTF-8', () => {
+  const parsed = parse('windows-1252.csv')
+  assert.equal(parsed.encoding, 'windows-1252')
+  assert.deepEqual(
+    parsed.rows.map((row) => row.Branch),
+    ['Peñafrancia', 'Mañalac'],
+  )
+  assert.equal(parsed.rows[1].Product, 'Crème Brûlée')
+})
+
+test('delimiter, encoding and locale can be forced', () => {
+  const parsed = parse('windows-1252.csv', { delimiter: ';', encoding: 'windows-1252', locale: 'eu' })
+  assert.equal(parsed.delimiter, ';')
+  assert.equal(parsed.encoding, 'windows-1252')
+  assert.equal(parsed.numberLocale, 'eu')
+  assert.equal(parsed.headers.length, 1)
+})
+
+test('readNumber handles the ERP number formats', () => {
+  assert.equal(readNumber('1.234,5'), 1234.5)
+  assert.equal(readNumber('1,234.5'), 1234.5)
+  assert.equal(readNumber('(1,200)'), -1200)
+  assert.equal(readNumber('50-'), -50)
+  assert.equal(readNumber('1,200', 'eu'), 1.2)
+  assert.equal(readNumber(' 12 % '), 12)
+  assert.equal(readNumber('n/a'), null)
+  assert.equal(readNumber(''), null)
+})
@@ -0,0 +1,67 @@
+// Detection and totals on the sample ERP exports in test/fixtures/erp, through the module and the CLI.
+import { test } from 'node:test'
+import assert from 'node:assert/strict'
+import { execFileSync } from 'node:child_process'
+import { readFileSync } from 'node:fs'
+import { fileURLToPath } from 'node:url'
+import { aggregate, detectColumns, expandRows, parseText } from '../src/pipeline.js'
+
+const fixturePath = (name) => fileURLToPath(new URL(`./fixtures/erp/${name}`, import.meta.url))
+const load = (name) => {
+  const parsed = parseText(new Uint8Array(readFileSync(fixturePath(name))), {
+    delimiter: 'auto',
+    encoding: 'auto',
+    locale: 'auto',
+  })
+  const meta = detectColumns(parsed.headers, parsed.rows, parsed.rawHeaders, parsed.numberLocale)
+  return { meta, rows: expandRows(parsed.rows, meta) }
+}
+const cli = (...args) =>
+  execFileSync(process.execPath, [fileURLToPath(new URL('../bin/allocation.js', import.meta.url)), ...args], {
+    encoding: 'utf8',
+  })
+
+const FILES = {
+  'quoted-newlines.csv': { total: 245, byArea: { North: 205, South: 40 } },
+  'semicolon-bom-eu.csv': { total: 3247.25, byArea: { North: 1247.25, South: 2000 } },
+  'pipe-negatives.csv': { total: 250.25, byArea: { North: -1250, South: 1500.25 } },
+}
+
+Object.entries(FILES).forEach(([name, expected]) => {
+  test(`${name}: detected columns and totals`, () => {
+    const { meta, rows } = load(name)
+    assert.equal(meta.productKey, 'Product')
+    assert.equal(meta.branchKey, 'Branch')
+    assert.equal(meta.areaKey, 'Area')
+    assert.equal(meta.metricKey, 'Qty')
+    assert.equal(rows.length, 3)
+    assert.equal(rows.reduce((sum, row) => sum + row.metric, 0), expected.total)
+    assert.deepEqual(
+      Object.fromEntries(aggregate(rows, 'area').map((entry) => [entry.label, entry.value])),
+      expected.byArea,
+    )
+  })
+})
+
+test('the CLI prints the same totals as JSON', () => {
+  const groups = JSON.parse(cli('--group', 'area', fixturePath('semicolon-bom-eu.csv')))
+  assert.deepEqual(groups, [
+    { label: 'South', value: 2000 },
+    { label: 'North', value: 1247.25 },
+  ])
+})
+
+test('CLI rows from several files name the file and the metric column of each file', () => {
+  const [header, ...lines] = cli('--format', 'csv', fixturePath('pipe-negatives.csv'), fixturePath('conversion.csv'))
+    .trim()
+    .split(/\r?\n/)
+  assert.equal(header, 'Product,Branch,Area,File,Metric,Metric column,Unit')
+  assert.equal(lines[0], 'Pork BBQ,Alpha,North,pipe-negatives.csv,-1200,Qty,')
+  assert.equal(lines[3], 'Rice 5kg,Makati,,conversion.csv,10,Alloc,')
+  assert.equal(lines.length, 5)
+})
+
+test('CLI rows from one file keep its metric header and leave the file out', () => {
+  const [header] = cli('--format', 'csv', fixturePath('conversion.csv')).split(/\r?\n/)
+  assert.equal(header, 'Product,Branch,Alloc,Unit')
+})
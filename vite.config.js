@@ -4,4 +4,15 @@ import react from '@vitejs/plugin-react'
 // https://vite.dev/config/
 export default defineConfig({
   plugins: [react()],
+  build: {
+    rollupOptions: {
+      output: {
+        // Libraries change less often than the app, so they get their own cacheable chunks.
+        manualChunks: {
+          react: ['react', 'react-dom'],
+          chart: ['chart.js'],
+        },
+      },
+    },
+  },
 })